@@ -0,0 +1,326 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+import {getNavGrid} from './NavGrid.js'
+import {ResourceLedger, getResourceLedger} from './ResourceLedger.script.js'
+import {spawnPoliceUnit, HUMANOID_POLICE_STATS} from './HumanoidPoliceSpawner.script.js'
+
+// Products (GAME.md: "Advanced Factory {'Humanoids', 'Tire', 'GPUs'} ... output: by type")
+// Orders are paid from the ResourceLedger when queued; units spawn / resources arrive at dawn
+export const ADVANCED_FACTORY_PRODUCTS = {
+    Humanoids: {
+        label: 'Humanoid police',
+        cost: {money: 150, food: 2, components: 1},
+        unitStats: HUMANOID_POLICE_STATS,
+        color: 0x3366CC
+    },
+    Tire: {
+        label: 'Robot tire',
+        cost: {money: 250, components: 2},
+        unitStats: {},  // RobotTireController defaults, like the scene's robot tires
+        color: 0x222222
+    },
+    GPUs: {
+        label: 'GPUs',
+        cost: {money: 100, components: 1},
+        output: {gpu: 2}
+    }
+}
+
+/**
+ * AdvancedFactory - Turns factory components into police units or GPUs
+ *
+ * Specifications (GAME.md: "Advanced Factory {'Humanoids', 'Tire', 'GPUs'}
+ * (input: advanced factory comp, advanced factory bp | output: by type)"):
+ * - HP: 700
+ * - Armor: 8
+ * - Cost: $800 + 2 factory components + 2 blueprints (handled by BuildingPlacer)
+ * - Footprint: 3x3 cells
+ * - productType selects what new orders build (ADVANCED_FACTORY_PRODUCTS)
+ * - Production queue: enqueue() pays an order from the ResourceLedger; every dawn
+ *   the first ordersPerDay orders complete. Units spawn next to the factory through
+ *   the HumanoidPoliceSpawner unit logic, GPUs go to the ledger
+ * - Destroyed or sabotaged factories lose that day's work, not the queue
+ * - In-game panel (left edge) to pick the product and queue orders
+ */
+export class AdvancedFactory extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties, 'productType', 'ordersPerDay', 'maxQueue']
+    static ComponentType = 'AdvancedFactory'
+
+    health = 700
+    maxHealth = 700
+    armor = 8
+
+    gridWidth = 3
+    gridDepth = 3
+    buildingHeight = 2.6
+
+    // Production queue
+    productType = 'Humanoids'
+    ordersPerDay = 2
+    maxQueue = 6
+    queue = []  // Product types, oldest first
+
+    healthBarWidth = 3.0
+    healthBarOffset = 4.2
+    _displayedHealth = 700
+
+    // In-game panel
+    _panel = null
+
+    start() {
+        super.start()
+
+        this.queue = []
+        this._createPanel()
+    }
+
+    stop() {
+        super.stop()
+        this._removePanel()
+    }
+
+    _createBuildingGeometry(group) {
+        const wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4F5D6B,
+            roughness: 0.5,
+            metalness: 0.5,
+            emissive: 0x4F5D6B,
+            emissiveIntensity: 0.03
+        })
+        const accentMaterial = new THREE.MeshStandardMaterial({
+            color: 0xD4A017,
+            roughness: 0.4,
+            metalness: 0.6
+        })
+
+        // Main hall
+        const hall = new THREE.Mesh(new THREE.BoxGeometry(2.8, this.buildingHeight, 2.8), wallMaterial)
+        hall.position.y = this.buildingHeight / 2
+        hall.castShadow = true
+        hall.receiveShadow = true
+        hall.name = 'AdvancedFactoryHall'
+        group.add(hall)
+
+        // Assembly bay door and roof vents
+        const door = new THREE.Mesh(new THREE.BoxGeometry(1.4, 1.4, 0.05), accentMaterial)
+        door.position.set(0, 0.7, 1.42)
+        door.name = 'AdvancedFactoryDoor'
+        group.add(door)
+
+        const ventGeo = new THREE.BoxGeometry(0.5, 0.4, 0.5)
+        for (const x of [-0.8, 0.8]) {
+            const vent = new THREE.Mesh(ventGeo, accentMaterial.clone())
+            vent.position.set(x, this.buildingHeight + 0.2, -0.6)
+            vent.castShadow = true
+            vent.name = 'AdvancedFactoryVent'
+            group.add(vent)
+        }
+    }
+
+    // ==================== QUEUE ====================
+
+    /**
+     * Pay for one order of `productType` and queue it
+     * @returns {boolean} False if the product is unknown, the queue is full or the ledger can't pay
+     */
+    enqueue(productType = this.productType) {
+        const product = ADVANCED_FACTORY_PRODUCTS[productType]
+        if (!product || !this.isAlive) return false
+        if (this.queue.length >= this.maxQueue) return false
+
+        const ledger = getResourceLedger(this.ctx)
+        if (ledger && !ledger.spend(product.cost)) return false
+
+        this.queue.push(productType)
+        this._updatePanel()
+        return true
+    }
+
+    /**
+     * Complete the first ordersPerDay orders (called by the dawn production tick;
+     * profession workers raise the number of orders)
+     */
+    _produceOutput(multiplier = 1) {
+        const output = {}
+        const orders = this.queue.splice(0, Math.round(this.ordersPerDay * multiplier))
+
+        orders.forEach((productType, index) => {
+            const product = ADVANCED_FACTORY_PRODUCTS[productType]
+            if (product.unitStats) {
+                this._spawnUnit(productType, product, index, orders.length)
+            }
+            for (const [resource, amount] of Object.entries(product.output || {})) {
+                output[resource] = (output[resource] || 0) + amount
+            }
+        })
+
+        this._updatePanel()
+        return output
+    }
+
+    /**
+     * Spawn a finished unit on a walkable cell beside the factory
+     */
+    _spawnUnit(productType, product, index, count) {
+        const center = this.object.position
+        const angle = (Math.PI * 2 * index) / Math.max(1, count)
+        const radius = Math.max(this.gridWidth, this.gridDepth) / 2 + 1.5
+
+        const navGrid = getNavGrid(this.ctx)
+        const cell = navGrid.worldToCell(center.x + Math.cos(angle) * radius, center.z + Math.sin(angle) * radius)
+        const walkable = navGrid.findNearestWalkable(cell.x, cell.z)
+        const position = walkable ? navGrid.cellToWorld(walkable.x, walkable.z) : {x: center.x, z: center.z + radius}
+
+        const scene = this.ctx?.viewer?.scene
+        const unitObj = spawnPoliceUnit(this.ctx, {
+            x: position.x,
+            y: 0.5,
+            z: position.z,
+            name: `${productType}_${Date.now()}_${index}`,
+            stats: product.unitStats,
+            parent: scene?.modelRoot || scene
+        })
+        if (!unitObj) return
+
+        unitObj.add(this._createUnitMesh(productType, product))
+        //console.log(`[AdvancedFactory] Built ${product.label} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`)
+    }
+
+    _createUnitMesh(productType, product) {
+        const material = new THREE.MeshStandardMaterial({color: product.color, roughness: 0.6})
+        const geometry = productType === 'Tire'
+            ? new THREE.TorusGeometry(0.4, 0.15, 12, 24)
+            : new THREE.CapsuleGeometry(0.3, 0.8, 4, 12)
+
+        const mesh = new THREE.Mesh(geometry, material)
+        mesh.castShadow = true
+        mesh.name = `${productType}Mesh`
+        return mesh
+    }
+
+    _die(attacker = null) {
+        super._die(attacker)
+        this._removePanel()
+    }
+
+    // ==================== PANEL ====================
+
+    _createPanel() {
+        this._removePanel()
+
+        // One shared column for every factory
+        let column = document.getElementById('advanced-factory-panels')
+        if (!column) {
+            column = document.createElement('div')
+            column.id = 'advanced-factory-panels'
+            column.style.cssText = `
+                position: fixed;
+                left: 20px;
+                top: 50%;
+                transform: translateY(-50%);
+                z-index: 1000;
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                font-family: 'Segoe UI', Arial, sans-serif;
+            `
+            const container = this.ctx?.viewer?.container || document.body
+            container.appendChild(column)
+        }
+
+        this._panel = document.createElement('div')
+        this._panel.style.cssText = `
+            padding: 10px 12px;
+            background: rgba(20,20,30,0.9);
+            border: 1px solid #D4A017;
+            border-radius: 8px;
+            color: #eee;
+            font-size: 13px;
+        `
+        // Clicks on the panel must not place buildings or command units
+        this._panel.addEventListener('mousedown', (event) => event.stopPropagation())
+        column.appendChild(this._panel)
+
+        this._updatePanel()
+    }
+
+    _removePanel() {
+        if (!this._panel) return
+
+        const column = this._panel.parentElement
+        this._panel.remove()
+        this._panel = null
+        if (column && column.children.length === 0) column.remove()
+    }
+
+    _updatePanel() {
+        if (!this._panel) return
+
+        this._panel.innerHTML = ''
+
+        const title = document.createElement('div')
+        title.style.cssText = 'font-weight: bold; color: #D4A017; margin-bottom: 6px;'
+        title.textContent = `Advanced Factory - queue ${this.queue.length}/${this.maxQueue}`
+        this._panel.appendChild(title)
+
+        for (const [productType, product] of Object.entries(ADVANCED_FACTORY_PRODUCTS)) {
+            const queued = this.queue.filter(type => type === productType).length
+            const button = document.createElement('button')
+            button.style.cssText = `
+                display: block;
+                width: 100%;
+                margin-top: 4px;
+                padding: 6px 8px;
+                text-align: left;
+                background: ${productType === this.productType ? 'rgba(212,160,23,0.35)' : 'rgba(60,60,80,0.5)'};
+                border: 1px solid rgba(255,255,255,0.15);
+                border-radius: 6px;
+                color: #fff;
+                font-size: 12px;
+                cursor: pointer;
+            `
+            button.innerHTML = `${product.label}${queued ? ` (${queued})` : ''}<br>${ResourceLedger.format(product.cost)}`
+            button.title = 'Select and queue one order'
+            button.onclick = () => {
+                this.productType = productType
+                this.enqueue(productType)
+                this._updatePanel()
+            }
+            this._panel.appendChild(button)
+        }
+    }
+
+    // ==================== UI CONFIG ====================
+
+    QueueOrder = () => {
+        this.enqueue()
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: 'Advanced Factory',
+        children: [
+            {
+                type: 'dropdown',
+                property: 'productType',
+                label: 'Product',
+                children: Object.keys(ADVANCED_FACTORY_PRODUCTS).map(productType => ({label: productType, value: productType})),
+            },
+            {
+                type: 'button',
+                label: 'Queue Order',
+                onClick: this.QueueOrder,
+            },
+            {
+                type: 'button',
+                label: 'Test Produce',
+                onClick: this.TestProduce,
+            },
+            {
+                type: 'button',
+                label: 'Test Damage (100)',
+                onClick: this.TestDamage,
+            },
+        ],
+    }
+}
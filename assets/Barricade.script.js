@@ -2,6 +2,10 @@ import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getNavGrid} from './NavGrid.js'
+import {getOccupancyMap} from './OccupancyMap.js'
+import {getRoadNetwork} from './RoadNetwork.js'
+import {getGameClock} from './GameClock.js'
 
 /**
  * Barricade - Defensive wall building that blocks enemy movement
@@ -11,6 +15,8 @@ import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
  * - Armor: 5
  * - Cost: $100 (handled by BuildingPlacer)
  * - Static physics body blocks enemies
+ * - Enemies attack it when it's the cheapest way to their target (see BreachPlanner.js)
+ * - Tractors crush it outright
  */
 export class Barricade extends Object3DComponent {
     static StateProperties = [
@@ -32,7 +38,7 @@ export class Barricade extends Object3DComponent {
 
     // Internal state
     _isAlive = true
-    _lastDamageTime = 0
+    _lastDamageTime = -Infinity  // Game time (GameClock) of the last hit
     _displayedHealth = 500
 
     // Visual components
@@ -50,10 +56,17 @@ export class Barricade extends Object3DComponent {
     }
 
     get isInvulnerable() {
-        const now = Date.now()
+        const now = getGameClock().now()
         return (now - this._lastDamageTime) < (this.invulnerabilityTime * 1000)
     }
 
+    /**
+     * True if the building touches a Road (production prerequisite)
+     */
+    get isConnectedToRoad() {
+        return getRoadNetwork(this.ctx).isBuildingConnected(this)
+    }
+
     start() {
         if (super.start) super.start()
 
@@ -63,6 +76,8 @@ export class Barricade extends Object3DComponent {
 
         this._createBuildingGeometry()
         this._createPhysicsBody()
+        this._registerNavObstacle()
+        this._registerOccupancy()
         this._createHealthBar()
     }
 
@@ -71,6 +86,8 @@ export class Barricade extends Object3DComponent {
         this._removeHealthBar()
         this._removeBuildingGeometry()
         this._removePhysicsBody()
+        this._unregisterNavObstacle()
+        this._unregisterOccupancy()
     }
 
     // ==================== BUILDING GEOMETRY ====================
@@ -189,6 +206,50 @@ export class Barricade extends Object3DComponent {
         }
     }
 
+    // ==================== NAV GRID ====================
+
+    _registerNavObstacle() {
+        if (!this.object) return
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+
+        // Footprint matches the wall (1 x 0.3), rotated with the object
+        getNavGrid(this.ctx).addObstacle(this, {
+            x: worldPos.x,
+            z: worldPos.z,
+            width: 1,
+            depth: 0.3,
+            rotation: this.object.rotation.y
+        })
+    }
+
+    _unregisterNavObstacle() {
+        getNavGrid().removeObstacle(this)
+    }
+
+    // ==================== OCCUPANCY ====================
+
+    _registerOccupancy() {
+        if (!this.object) return
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+
+        // One build cell, same as BuildingPlacer's barricade footprint
+        getOccupancyMap(this.ctx).addBuilding(this, {
+            x: worldPos.x,
+            z: worldPos.z,
+            gridWidth: 1,
+            gridDepth: 1,
+            rotation: this.object.rotation.y
+        })
+    }
+
+    _unregisterOccupancy() {
+        getOccupancyMap().removeBuilding(this)
+    }
+
     // ==================== HEALTH BAR ====================
 
     _createHealthBar() {
@@ -286,7 +347,7 @@ export class Barricade extends Object3DComponent {
 
         const effectiveDamage = Math.max(1, amount - this.armor)
         this.health -= effectiveDamage
-        this._lastDamageTime = Date.now()
+        this._lastDamageTime = getGameClock().now()
 
         // Flash red on damage
         this._flashDamage()
@@ -296,6 +357,16 @@ export class Barricade extends Object3DComponent {
         }
     }
 
+    /**
+     * Destroyed outright regardless of armor (heavy vehicles, see EnemySystemManager)
+     */
+    crush(attacker = null) {
+        if (!this.isAlive) return
+
+        this.health = 0
+        this._die(attacker)
+    }
+
     _flashDamage() {
         if (!this._meshGroup) return
 
@@ -323,6 +394,10 @@ export class Barricade extends Object3DComponent {
         // Remove physics body immediately so enemies can pass
         this._removePhysicsBody()
 
+        // Free the cells so pathfinders route through the gap
+        this._unregisterNavObstacle()
+        this._unregisterOccupancy()
+
         // Visual feedback - fade out and remove
         if (this.object) {
             this.object.traverse((child) => {
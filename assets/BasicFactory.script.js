@@ -0,0 +1,61 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+
+/**
+ * BasicFactory - First industry tier, builds advanced factory components
+ *
+ * Specifications (GAME.md: "Basic Factory (input: within sweatshop zone, road | output: FPVs, advanced factory comp)"):
+ * - HP: 500
+ * - Armor: 6
+ * - Cost: $500 + 3 workers (handled by BuildingPlacer)
+ * - Footprint: 3x2 cells
+ * - Must stand within a sweatshop zone and touch a road (ProductionChain.js)
+ * - Produces 1 advanced factory component per day (FPV output is not implemented yet)
+ */
+export class BasicFactory extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties]
+    static ComponentType = 'BasicFactory'
+
+    health = 500
+    maxHealth = 500
+    armor = 6
+
+    gridWidth = 3
+    gridDepth = 2
+    buildingHeight = 2.0
+
+    production = {components: 1}
+
+    healthBarWidth = 2.6
+    healthBarOffset = 3.4
+    _displayedHealth = 500
+
+    _createBuildingGeometry(group) {
+        const wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0x6F7F8F,
+            roughness: 0.7,
+            metalness: 0.2,
+            emissive: 0x6F7F8F,
+            emissiveIntensity: 0.02
+        })
+        const chimneyMaterial = new THREE.MeshStandardMaterial({
+            color: 0x8B3A2B,
+            roughness: 0.8
+        })
+
+        // Factory hall
+        const hall = new THREE.Mesh(new THREE.BoxGeometry(2.8, this.buildingHeight, 1.8), wallMaterial)
+        hall.position.y = this.buildingHeight / 2
+        hall.castShadow = true
+        hall.receiveShadow = true
+        hall.name = 'BasicFactoryHall'
+        group.add(hall)
+
+        // Chimney
+        const chimney = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.25, 1.2, 12), chimneyMaterial)
+        chimney.position.set(0.9, this.buildingHeight + 0.6, -0.4)
+        chimney.castShadow = true
+        chimney.name = 'BasicFactoryChimney'
+        group.add(chimney)
+    }
+}
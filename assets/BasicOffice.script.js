@@ -0,0 +1,66 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+
+/**
+ * BasicOffice - Design bureau that draws blueprints
+ *
+ * Specifications (GAME.md: "Basic Office (input: within residential zone, road | output: GPU bp,
+ * advanced factory bp | peace_output: member of technical staff)"):
+ * - HP: 400
+ * - Armor: 4
+ * - Cost: $400 + 2 workers (handled by BuildingPlacer)
+ * - Footprint: 2x2 cells
+ * - Must stand within a residential zone and touch a road (ProductionChain.js)
+ * - Produces 1 blueprint per day; a night without damage has a chance of a member
+ *   of technical staff
+ */
+export class BasicOffice extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties]
+    static ComponentType = 'BasicOffice'
+
+    health = 400
+    maxHealth = 400
+    armor = 4
+
+    gridWidth = 2
+    gridDepth = 2
+    buildingHeight = 3.0
+
+    production = {blueprints: 1}
+    peaceOutput = {staff: 1}
+    peaceOutputChance = 0.3
+
+    healthBarOffset = 3.6
+    _displayedHealth = 400
+
+    _createBuildingGeometry(group) {
+        const wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0xA9C4D9,
+            roughness: 0.3,
+            metalness: 0.5,
+            emissive: 0xA9C4D9,
+            emissiveIntensity: 0.03
+        })
+        const frameMaterial = new THREE.MeshStandardMaterial({
+            color: 0x3A4A5A,
+            roughness: 0.6
+        })
+
+        // Glass tower
+        const tower = new THREE.Mesh(new THREE.BoxGeometry(1.6, this.buildingHeight, 1.6), wallMaterial)
+        tower.position.y = this.buildingHeight / 2
+        tower.castShadow = true
+        tower.receiveShadow = true
+        tower.name = 'BasicOfficeTower'
+        group.add(tower)
+
+        // Floor bands
+        const bandGeo = new THREE.BoxGeometry(1.65, 0.08, 1.65)
+        for (const y of [0.75, 1.5, 2.25, 3.0]) {
+            const band = new THREE.Mesh(bandGeo, frameMaterial.clone())
+            band.position.y = y
+            band.name = 'BasicOfficeBand'
+            group.add(band)
+        }
+    }
+}
@@ -0,0 +1,235 @@
+import {getNavGrid} from './NavGrid.js'
+import {getFlowField} from './FlowField.js'
+
+/**
+ * BreachPlanner - Routes that go THROUGH barricades when that's the cheapest way
+ *
+ * Barricades are NavGrid obstacles, so the regular flow field walks around them
+ * and gives up when a target is walled in. This service:
+ * 1. Wraps the NavGrid in a breach grid where cells blocked only by Barricades are
+ *    walkable at a cost that grows with the hits needed to break the wall (health, armor)
+ * 2. Builds shared flow fields on that grid (FlowField.js), so agents either walk around
+ *    a wall or straight at it, whichever is cheaper
+ * 3. Traces an agent's route a few cells ahead: the first barricade on it is the breach point
+ * 4. Remembers active breach points so nearby attackers pile onto the same barricade
+ *
+ * Costs are read when a field is computed (fields recompute when the NavGrid changes,
+ * e.g. a barricade is placed or destroyed), not on every hit.
+ */
+
+/**
+ * NavGrid view for FlowField: barricade cells are walkable, at a cost
+ */
+class BreachGrid {
+    constructor(planner) {
+        this.planner = planner
+    }
+
+    get navGrid() {
+        return getNavGrid(this.planner.ctx)
+    }
+
+    get minX() { return this.navGrid.minX }
+    get maxX() { return this.navGrid.maxX }
+    get minZ() { return this.navGrid.minZ }
+    get maxZ() { return this.navGrid.maxZ }
+    get version() { return this.navGrid.version }
+
+    inBounds(cx, cz) {
+        return this.navGrid.inBounds(cx, cz)
+    }
+
+    getObstacleCellsAt(cx, cz) {
+        return this.navGrid.getObstacleCellsAt(cx, cz)
+    }
+
+    isWalkable(cx, cz) {
+        return this.navGrid.isWalkable(cx, cz) || (this.inBounds(cx, cz) && this.planner.getBarricadeAt(cx, cz) !== null)
+    }
+
+    getCost(cx, cz) {
+        const barricade = this.planner.getBarricadeAt(cx, cz)
+        return barricade ? this.planner.getBreachCost(barricade) : 1
+    }
+
+    worldToCell(x, z) {
+        return this.navGrid.worldToCell(x, z)
+    }
+
+    cellToWorld(cx, cz) {
+        return this.navGrid.cellToWorld(cx, cz)
+    }
+}
+
+export class BreachPlanner {
+    constructor(ctx = null) {
+        this.ctx = ctx
+
+        this.referenceDamage = 5        // Damage per hit used to price a wall (CrowdController.memberDamage)
+        this.costPerHit = 0.5           // Extra path cost (in cells) per hit needed to break a wall
+        this.lookahead = 4              // Cells traced along the route when looking for a breach point
+        this.pileRadius = 5             // Attackers this close to an active breach join it
+        this.breachMemoryMs = 3000      // Game time a breach point stays active without attackers
+
+        this._grid = new BreachGrid(this)
+
+        // Breachable cells: cellKey -> Barricade (rebuilt when the NavGrid changes)
+        this._barricadeCells = new Map()
+        this._barricadeCellsVersion = -1
+
+        // Active breach points: Barricade -> game time last targeted
+        this._activeBreaches = new Map()
+    }
+
+    _key(cx, cz) {
+        return `${cx},${cz}`
+    }
+
+    // ==================== BARRICADE CELLS ====================
+
+    /**
+     * Barricade that is the only obstacle on a cell (null if the cell is free,
+     * or also blocked by something that can't be breached, e.g. City Hall)
+     */
+    getBarricadeAt(cx, cz) {
+        const navGrid = getNavGrid(this.ctx)
+        if (this._barricadeCellsVersion !== navGrid.version) {
+            this._rebuildBarricadeCells(navGrid)
+        }
+        return this._barricadeCells.get(this._key(cx, cz)) || null
+    }
+
+    _rebuildBarricadeCells(navGrid) {
+        this._barricadeCells.clear()
+
+        const counts = new Map()
+        const barricades = this.ctx?.ecp?.getComponentsOfType?.('Barricade') || []
+        for (const barricade of barricades) {
+            if (!barricade.isAlive || !navGrid.hasObstacle(barricade)) continue
+
+            for (const cell of navGrid.getObstacleCells(barricade)) {
+                const key = this._key(cell.x, cell.z)
+                counts.set(key, (counts.get(key) || 0) + 1)
+
+                // Overlapping walls: the strongest one decides the cost
+                const current = this._barricadeCells.get(key)
+                if (!current || barricade.health > current.health) {
+                    this._barricadeCells.set(key, barricade)
+                }
+            }
+        }
+
+        for (const [key, count] of counts) {
+            const [cx, cz] = key.split(',').map(Number)
+            if (navGrid.getObstacleCount(cx, cz) > count) {
+                this._barricadeCells.delete(key)
+            }
+        }
+
+        this._barricadeCellsVersion = navGrid.version
+    }
+
+    /**
+     * Path cost multiplier for walking through one cell of a barricade
+     */
+    getBreachCost(barricade) {
+        const hits = barricade.health / Math.max(1, this.referenceDamage - (barricade.armor || 0))
+        return 1 + hits * this.costPerHit
+    }
+
+    // ==================== ROUTES ====================
+
+    /**
+     * NavGrid view where barricade cells are walkable (at getBreachCost), for
+     * per-agent A* - heavy vehicles path with their own cost function instead
+     */
+    get grid() {
+        return this._grid
+    }
+
+    /**
+     * Shared breach-aware flow field toward a world position
+     */
+    getField(targetX, targetZ) {
+        return getFlowField(this._grid, this._grid.worldToCell(targetX, targetZ))
+    }
+
+    /**
+     * Steering direction toward a static target, through barricades if that's cheaper
+     * @returns {{x: number, z: number} | null} null if unreachable (callers fall back to A*)
+     */
+    sampleWorld(x, z, targetX, targetZ) {
+        return this.getField(targetX, targetZ).sampleWorld(x, z)
+    }
+
+    /**
+     * Barricade an agent at (x, z) has to break on its way to the target:
+     * the first barricade within `lookahead` cells along its route, otherwise
+     * an active breach point within `pileRadius`
+     * @returns {Object|null} Barricade component
+     */
+    getBreachTarget(x, z, targetX, targetZ, now) {
+        const field = this.getField(targetX, targetZ)
+        let cell = this._grid.worldToCell(x, z)
+
+        for (let step = 0; step <= this.lookahead && cell; step++) {
+            const barricade = this.getBarricadeAt(cell.x, cell.z)
+            if (barricade) {
+                this._activeBreaches.set(barricade, now)
+                return barricade
+            }
+            cell = field.getNextCell(cell.x, cell.z)
+        }
+
+        return this._findActiveBreach(x, z, now)
+    }
+
+    _findActiveBreach(x, z, now) {
+        let closest = null
+        let closestDist = this.pileRadius
+
+        for (const [barricade, lastTargeted] of this._activeBreaches) {
+            if (!barricade.isAlive || !barricade.object || now - lastTargeted > this.breachMemoryMs) {
+                this._activeBreaches.delete(barricade)
+                continue
+            }
+
+            const dx = barricade.object.position.x - x
+            const dz = barricade.object.position.z - z
+            const dist = Math.sqrt(dx * dx + dz * dz)
+            if (dist <= closestDist) {
+                closestDist = dist
+                closest = barricade
+            }
+        }
+
+        return closest
+    }
+
+    /**
+     * Forget breach points and cached cells (scene reload)
+     */
+    reset() {
+        this._barricadeCells.clear()
+        this._barricadeCellsVersion = -1
+        this._activeBreaches.clear()
+    }
+}
+
+// Global singleton instance
+let breachPlanner = null
+
+/**
+ * Get the shared BreachPlanner (created on first use)
+ */
+export function getBreachPlanner(ctx = null) {
+    if (!breachPlanner) {
+        breachPlanner = new BreachPlanner(ctx)
+    }
+
+    if (ctx && !breachPlanner.ctx) {
+        breachPlanner.ctx = ctx
+    }
+
+    return breachPlanner
+}
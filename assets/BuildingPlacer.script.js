@@ -1,6 +1,14 @@
 import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 import {getGridVisual} from './GridVisual.script.js'
+import {getGameStateManager, GameState} from './GameStateManager.script.js'
+import {getOccupancyMap, OccupancyMap} from './OccupancyMap.js'
+import {getNavGrid} from './NavGrid.js'
+import {ResourceLedger, getResourceLedger} from './ResourceLedger.script.js'
+import {PRODUCTION_REQUIREMENTS, getMissingRequirements} from './ProductionChain.js'
+
+// Components whose objects block placement on the cells they stand on
+const UNIT_COMPONENT_TYPES = ['PlayerController', 'RobotTireController', 'FriendlyUnitData']
 
 /**
  * BuildingPlacer - UI toolbar and placement system for buildings
@@ -9,19 +17,27 @@ import {getGridVisual} from './GridVisual.script.js'
  * - Bottom-center toolbar with building type buttons
  * - Ghost mesh preview at mouse position with GRID SNAPPING
  * - Day-only placement validation
- * - Money cost checking
- * - Keyboard shortcuts (1=Barricade, 2=Road, Escape=cancel)
+ * - Cost checking: money or multi-resource costs like {money: 200, gpu: 2} (ResourceLedger)
+ * - Footprint validation per cell (OccupancyMap buildings, friendly units, map bounds)
+ *   with blocked cells shown in red on the grid
+ * - Production chain prerequisites (zones, road access, see ProductionChain.js): the zones
+ *   the selected building needs are drawn as rings, missing ones are named in the tooltip
+ * - Click-and-drag to place a straight or L-shaped run, paid in one transaction
+ *   (stops at the first blocked or unaffordable segment)
+ * - Keyboard shortcuts (1-9 in toolbar order, Escape=cancel)
  * - R to rotate building 90 degrees
  */
 export class BuildingPlacer extends Object3DComponent {
-    static StateProperties = ['enabled', 'gridSize', 'snapToGrid']
+    static StateProperties = ['enabled', 'gridSize', 'snapToGrid', 'maxRunLength']
     static ComponentType = 'BuildingPlacer'
 
     enabled = true
     gridSize = 1        // Grid cell size (1 unit = 1 meter)
     snapToGrid = true   // Whether to snap placement to grid
+    unitRadius = 0.4    // Units closer than this to a footprint cell block it
+    maxRunLength = 40   // Max buildings in one drag
 
-    // Building definitions with grid dimensions
+    // Building definitions with grid dimensions (cost: money amount or {resource: amount})
     _buildings = {
         barricade: {
             name: 'Barricade',
@@ -46,6 +62,76 @@ export class BuildingPlacer extends Object3DComponent {
             color: 0x1a1a1a,
             gridWidth: 2,
             gridDepth: 2
+        },
+        residence: {
+            name: 'Residence',
+            cost: 200,
+            componentType: 'Residence',
+            ghostGeometry: () => new THREE.BoxGeometry(1.8, 2.4, 1.8),
+            ghostOffset: new THREE.Vector3(0, 1.2, 0),
+            color: 0xC9B79C,
+            gridWidth: 2,
+            gridDepth: 2
+        },
+        farm: {
+            name: 'Farm',
+            cost: 150,
+            componentType: 'Farm',
+            ghostGeometry: () => new THREE.BoxGeometry(2, 0.6, 2),
+            ghostOffset: new THREE.Vector3(0, 0.3, 0),
+            color: 0x7FB03A,
+            gridWidth: 2,
+            gridDepth: 2
+        },
+        sweatshop: {
+            name: 'Sweatshop',
+            cost: {money: 300, workers: 2},
+            componentType: 'Sweatshop',
+            ghostGeometry: () => new THREE.BoxGeometry(1.9, 1.8, 1.9),
+            ghostOffset: new THREE.Vector3(0, 0.9, 0),
+            color: 0x8A8F7A,
+            gridWidth: 2,
+            gridDepth: 2
+        },
+        basicFactory: {
+            name: 'Basic Factory',
+            cost: {money: 500, workers: 3},
+            componentType: 'BasicFactory',
+            ghostGeometry: () => new THREE.BoxGeometry(2.8, 2, 1.8),
+            ghostOffset: new THREE.Vector3(0, 1, 0),
+            color: 0x6F7F8F,
+            gridWidth: 3,
+            gridDepth: 2
+        },
+        basicOffice: {
+            name: 'Basic Office',
+            cost: {money: 400, workers: 2},
+            componentType: 'BasicOffice',
+            ghostGeometry: () => new THREE.BoxGeometry(1.6, 3, 1.6),
+            ghostOffset: new THREE.Vector3(0, 1.5, 0),
+            color: 0xA9C4D9,
+            gridWidth: 2,
+            gridDepth: 2
+        },
+        advancedFactory: {
+            name: 'Advanced Factory',
+            cost: {money: 800, components: 2, blueprints: 2},
+            componentType: 'AdvancedFactory',
+            ghostGeometry: () => new THREE.BoxGeometry(2.8, 2.6, 2.8),
+            ghostOffset: new THREE.Vector3(0, 1.3, 0),
+            color: 0x4F5D6B,
+            gridWidth: 3,
+            gridDepth: 3
+        },
+        reeducationCamp: {
+            name: 'Re-education Camp',
+            cost: 350,
+            componentType: 'ReeducationCamp',
+            ghostGeometry: () => new THREE.BoxGeometry(2.9, 1.6, 2.9),
+            ghostOffset: new THREE.Vector3(0, 0.8, 0),
+            color: 0x7A7F6A,
+            gridWidth: 3,
+            gridDepth: 3
         }
     }
 
@@ -53,11 +139,25 @@ export class BuildingPlacer extends Object3DComponent {
     _selectedType = null
     _isPlacementValid = false
     _rotation = 0  // Current rotation in radians (0, PI/2, PI, 3PI/2)
+    _footprintCells = []  // [{cellX, cellZ, worldX, worldZ, blocked}] of the current ghost
+    _missingRequirements = []  // Production chain prerequisites the ghost doesn't meet
+    _hasPointer = false   // Whether _intersectionPoint holds a ground position yet
 
     // Snapped position
     _snappedX = 0
     _snappedZ = 0
 
+    // Drag placement
+    _dragStart = null          // Raw ground point where the drag began (null = not dragging)
+    _runSegments = []          // [{x, z, cells, missing, placeable}] from drag start to cursor
+    _runPlaceableCount = 0     // Leading segments placed on release
+    _runGhostGroup = null
+    _runValidMaterial = null
+    _runInvalidMaterial = null
+    _costLabel = null
+    _pointerClientX = 0
+    _pointerClientY = 0
+
     // UI elements
     _toolbarElement = null
 
@@ -70,6 +170,9 @@ export class BuildingPlacer extends Object3DComponent {
     _gridOutline = null
     _gridOutlineMaterial = null
 
+    // Zone rings of the providers the selected building needs
+    _zoneRingGroup = null
+
     // Raycasting
     _raycaster = new THREE.Raycaster()
     _mouse = new THREE.Vector2()
@@ -79,6 +182,7 @@ export class BuildingPlacer extends Object3DComponent {
     // Event handlers
     _handleMouseMove = null
     _handleMouseDown = null
+    _handleMouseUp = null
     _handleKeyDown = null
 
     // References
@@ -100,10 +204,12 @@ export class BuildingPlacer extends Object3DComponent {
         // Setup event listeners
         this._handleMouseMove = this._onMouseMove.bind(this)
         this._handleMouseDown = this._onMouseDown.bind(this)
+        this._handleMouseUp = this._onMouseUp.bind(this)
         this._handleKeyDown = this._onKeyDown.bind(this)
 
         window.addEventListener('mousemove', this._handleMouseMove)
         window.addEventListener('mousedown', this._handleMouseDown)
+        window.addEventListener('mouseup', this._handleMouseUp)
         window.addEventListener('keydown', this._handleKeyDown)
     }
 
@@ -111,8 +217,10 @@ export class BuildingPlacer extends Object3DComponent {
         if (super.stop) super.stop()
 
         this._removeToolbar()
+        this._endDrag()
         this._removeGhost()
         this._removeGridOutline()
+        this._removeZoneRings()
 
         // Hide grid highlight
         if (this._gridVisual) {
@@ -121,9 +229,17 @@ export class BuildingPlacer extends Object3DComponent {
 
         window.removeEventListener('mousemove', this._handleMouseMove)
         window.removeEventListener('mousedown', this._handleMouseDown)
+        window.removeEventListener('mouseup', this._handleMouseUp)
         window.removeEventListener('keydown', this._handleKeyDown)
     }
 
+    /**
+     * True while a building type is selected (ghost following the mouse)
+     */
+    get isPlacing() {
+        return !!this._selectedType
+    }
+
     // ==================== GRID SNAPPING ====================
 
     _snapToGrid(value) {
@@ -132,6 +248,12 @@ export class BuildingPlacer extends Object3DComponent {
     }
 
     _getSnappedPosition(x, z) {
+        const building = this._buildings[this._selectedType]
+        if (this.snapToGrid && building) {
+            // Whole-cell footprints (even sizes sit on a cell edge)
+            return getOccupancyMap(this.ctx).snapFootprint(x, z, building.gridWidth, building.gridDepth, this._rotation)
+        }
+
         return {
             x: this._snapToGrid(x),
             z: this._snapToGrid(z)
@@ -245,9 +367,9 @@ export class BuildingPlacer extends Object3DComponent {
         nameSpan.style.fontSize = '15px'
 
         const costSpan = document.createElement('span')
-        costSpan.textContent = `$${building.cost}`
+        costSpan.innerHTML = ResourceLedger.format(building.cost)
         costSpan.style.cssText = `
-            color: #FFD166;
+            color: #ddd;
             font-size: 13px;
         `
 
@@ -314,19 +436,25 @@ export class BuildingPlacer extends Object3DComponent {
             return
         }
 
+        this._endDrag()
         this._selectedType = type
         this._rotation = 0  // Reset rotation on new selection
         this._updateButtonStates()
         this._createGhost(type)
         this._createGridOutline(type)
+        this._createZoneRings(type)
     }
 
     _cancelPlacement() {
+        this._endDrag()
         this._selectedType = null
         this._rotation = 0
+        this._footprintCells = []
+        this._missingRequirements = []
         this._updateButtonStates()
         this._removeGhost()
         this._removeGridOutline()
+        this._removeZoneRings()
 
         // Hide grid highlight
         if (this._gridVisual) {
@@ -339,9 +467,9 @@ export class BuildingPlacer extends Object3DComponent {
         if (this._ghostGroup) {
             this._ghostGroup.rotation.y = this._rotation
         }
-        // Update grid outline for rotated building
+        // Re-snap (even footprints move when width and depth swap) and update the outline
         if (this._selectedType) {
-            this._updateGridOutline()
+            this._updatePlacement()
         }
     }
 
@@ -379,6 +507,9 @@ export class BuildingPlacer extends Object3DComponent {
     }
 
     _removeGhost() {
+        // Run ghosts share the ghost geometry
+        this._removeRunPreview()
+
         if (this._ghostGroup) {
             this._ghostGroup.removeFromParent()
             this._ghostMesh?.geometry?.dispose()
@@ -493,6 +624,55 @@ export class BuildingPlacer extends Object3DComponent {
         this._gridOutlineMaterial.color.setHex(this._isPlacementValid ? 0x44ff44 : 0xff4444)
     }
 
+    // ==================== ZONE RINGS ====================
+
+    /**
+     * Ring around every standing provider of a zone the building needs,
+     * in the provider's toolbar color
+     */
+    _createZoneRings(type) {
+        this._removeZoneRings()
+
+        const zoneTypes = PRODUCTION_REQUIREMENTS[this._buildings[type]?.componentType]?.zones || []
+        if (zoneTypes.length === 0) return
+
+        this._zoneRingGroup = new THREE.Group()
+        this._zoneRingGroup.name = 'BuildingZoneRings'
+
+        for (const zoneType of zoneTypes) {
+            const color = Object.values(this._buildings).find(def => def.componentType === zoneType)?.color ?? 0xffffff
+            for (const provider of this.ctx?.ecp?.getComponentsOfType?.(zoneType) || []) {
+                if (!provider.object || !provider.isAlive || !(provider.zoneRadius > 0)) continue
+
+                const geometry = new THREE.RingGeometry(provider.zoneRadius - 0.15, provider.zoneRadius, 64)
+                geometry.rotateX(-Math.PI / 2)
+                const material = new THREE.MeshBasicMaterial({
+                    color,
+                    transparent: true,
+                    opacity: 0.6,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+                const ring = new THREE.Mesh(geometry, material)
+                ring.position.set(provider.object.position.x, 0.04, provider.object.position.z)
+                this._zoneRingGroup.add(ring)
+            }
+        }
+
+        this.ctx?.viewer?.scene?.add(this._zoneRingGroup)
+    }
+
+    _removeZoneRings() {
+        if (!this._zoneRingGroup) return
+
+        for (const ring of this._zoneRingGroup.children) {
+            ring.geometry?.dispose()
+            ring.material?.dispose()
+        }
+        this._zoneRingGroup.removeFromParent()
+        this._zoneRingGroup = null
+    }
+
     // ==================== VALIDATION ====================
 
     _checkPlacementValid() {
@@ -501,43 +681,142 @@ export class BuildingPlacer extends Object3DComponent {
         const building = this._buildings[this._selectedType]
         if (!building) return false
 
-        // Check if day phase
-        if (this._dayNightManager && !this._dayNightManager.isDay) {
+        // Footprint and prerequisites first so the grid and tooltip explain them in every phase
+        this._footprintCells = this._evaluateFootprint(building, this._snappedX, this._snappedZ)
+        const footprintClear = this._footprintCells.every(cell => !cell.blocked)
+        this._missingRequirements = this._getMissingRequirements(building, this._snappedX, this._snappedZ)
+
+        if (!this._canBuildNow()) return false
+
+        if (this._missingRequirements.length > 0) {
             return false
         }
 
         // Check if can afford
-        if (this._moneyCounter && !this._moneyCounter.canAfford(building.cost)) {
+        if (!this._canAfford(building.cost)) {
             return false
         }
 
-        return true
+        return footprintClear
+    }
+
+    /**
+     * Production chain prerequisites not met at (x, z) (ProductionChain.js)
+     * @returns {string[]}
+     */
+    _getMissingRequirements(building, x, z) {
+        return getMissingRequirements(this.ctx, building.componentType, {
+            x,
+            z,
+            gridWidth: building.gridWidth,
+            gridDepth: building.gridDepth,
+            rotation: this._rotation
+        })
+    }
+
+    /**
+     * Ledger check (no ledger in the scene = free placement)
+     */
+    _canAfford(cost) {
+        const ledger = getResourceLedger(this.ctx)
+        return !ledger || ledger.canAfford(cost)
+    }
+
+    /**
+     * Day phase check (GameStateManager owns the phase, also blocks menu/pause)
+     */
+    _canBuildNow() {
+        const gameState = getGameStateManager(this.ctx)
+        if (gameState) return gameState.gameState === GameState.DAY
+        return !this._dayNightManager || this._dayNightManager.isDay
+    }
+
+    /**
+     * Footprint cells at (x, z), each marked blocked if it is outside the map,
+     * taken by a building or stood on by a unit
+     * @returns {Array<{cellX: number, cellZ: number, worldX: number, worldZ: number, blocked: boolean}>}
+     */
+    _evaluateFootprint(building, x, z, unitPositions = this._getUnitPositions()) {
+        const occupancyMap = getOccupancyMap(this.ctx)
+        const navGrid = getNavGrid(this.ctx)
+        const reach = occupancyMap.gridSize / 2 + this.unitRadius
+
+        const cells = occupancyMap.getFootprintCells({
+            x,
+            z,
+            gridWidth: building.gridWidth,
+            gridDepth: building.gridDepth,
+            rotation: this._rotation
+        })
+
+        return cells.map((cell) => {
+            const navCell = navGrid.worldToCell(cell.worldX, cell.worldZ)
+            const blocked = !navGrid.inBounds(navCell.x, navCell.z) ||
+                occupancyMap.isOccupied(cell.cellX, cell.cellZ) ||
+                unitPositions.some(p => Math.abs(p.x - cell.worldX) < reach && Math.abs(p.z - cell.worldZ) < reach)
+            return {...cell, blocked}
+        })
+    }
+
+    _getUnitPositions() {
+        const positions = []
+        const worldPos = new THREE.Vector3()
+
+        for (const type of UNIT_COMPONENT_TYPES) {
+            for (const component of this.ctx?.ecp?.getComponentsOfType?.(type) || []) {
+                if (!component.object || component.isAlive === false) continue
+                component.object.getWorldPosition(worldPos)
+                positions.push({x: worldPos.x, z: worldPos.z})
+            }
+        }
+
+        return positions
     }
 
     // ==================== PLACEMENT ====================
 
-    _placeBuilding() {
-        if (!this._selectedType || !this._ghostGroup) return
-        if (!this._isPlacementValid) {
+    /**
+     * Place the leading placeable segments of the dragged run (a plain click is a run of one)
+     * and pay for all of them in one transaction
+     */
+    _placeRun() {
+        if (!this._selectedType || !this._ghostGroup || !this._dragStart) return
+
+        const building = this._buildings[this._selectedType]
+        if (!building) return
+
+        // Re-check right before spending (money or units may have changed since the last frame)
+        this._updateRun()
+        const segments = this._runSegments.slice(0, this._runPlaceableCount)
+        if (segments.length === 0) {
             this._showInvalidFeedback()
             return
         }
 
-        const building = this._buildings[this._selectedType]
-        if (!building) return
+        // Pay for the whole run
+        const ledger = getResourceLedger(this.ctx)
+        if (ledger && !ledger.spend(ResourceLedger.scale(building.cost, segments.length))) {
+            this._showInvalidFeedback()
+            return
+        }
 
-        // Spend money
-        if (this._moneyCounter) {
-            if (!this._moneyCounter.spendMoney(building.cost)) {
-                this._showInvalidFeedback()
-                return
-            }
+        for (const segment of segments) {
+            const buildingObj = this._createBuilding(building, segment.x, segment.z)
+            this._showPlacementFeedback(buildingObj.position)
         }
 
-        // Create building object at snapped position
+        // Part of the run was blocked or unaffordable
+        if (segments.length < this._runSegments.length) {
+            this._showInvalidFeedback()
+        }
+
+        // Keep selected for rapid placement (don't cancel)
+    }
+
+    _createBuilding(building, x, z) {
         const buildingObj = new THREE.Group()
         buildingObj.name = `${building.name}_${Date.now()}`
-        buildingObj.position.set(this._snappedX, 0, this._snappedZ)
+        buildingObj.position.set(x, 0, z)
         buildingObj.rotation.y = this._rotation
 
         // Add to scene
@@ -551,13 +830,207 @@ export class BuildingPlacer extends Object3DComponent {
         // Add component
         const action = this.ctx?.ecp?.addComponent(buildingObj, building.componentType)
         if (action && action.component) {
-            console.log(`[BuildingPlacer] Placed ${building.name} at grid (${this._snappedX}, ${this._snappedZ})`)
+            console.log(`[BuildingPlacer] Placed ${building.name} at grid (${x}, ${z})`)
         }
 
-        // Show placement feedback
-        this._showPlacementFeedback(buildingObj.position)
+        return buildingObj
+    }
 
-        // Keep selected for rapid placement (don't cancel)
+    // ==================== DRAG RUN ====================
+
+    /**
+     * Footprint centers from the drag start to the cursor, one footprint apart:
+     * a straight line, or an L (longer leg first) when the cursor is off both axes
+     */
+    _getRunPositions(building) {
+        const start = this._getSnappedPosition(this._dragStart.x, this._dragStart.z)
+        const end = {x: this._snappedX, z: this._snappedZ}
+
+        const gridSize = getOccupancyMap(this.ctx).gridSize
+        const {width, depth} = OccupancyMap.getRotatedSize(building.gridWidth, building.gridDepth, this._rotation)
+        const stepX = width * gridSize
+        const stepZ = depth * gridSize
+        const countX = Math.round((end.x - start.x) / stepX)
+        const countZ = Math.round((end.z - start.z) / stepZ)
+
+        const positions = [start]
+        const walk = (dx, dz, count) => {
+            const from = positions[positions.length - 1]
+            for (let i = 1; i <= Math.abs(count) && positions.length < this.maxRunLength; i++) {
+                positions.push({x: from.x + dx * i, z: from.z + dz * i})
+            }
+        }
+
+        if (Math.abs(countX * stepX) >= Math.abs(countZ * stepZ)) {
+            walk(Math.sign(countX) * stepX, 0, countX)
+            walk(0, Math.sign(countZ) * stepZ, countZ)
+        } else {
+            walk(0, Math.sign(countZ) * stepZ, countZ)
+            walk(Math.sign(countX) * stepX, 0, countX)
+        }
+
+        return positions
+    }
+
+    /**
+     * Re-evaluate every segment of the run; everything from the first blocked
+     * or unaffordable segment on is not placed
+     */
+    _updateRun() {
+        const building = this._buildings[this._selectedType]
+        if (!building || !this._dragStart) return
+
+        const unitPositions = this._getUnitPositions()
+        let stopped = !this._canBuildNow()
+
+        this._runSegments = this._getRunPositions(building).map((position, index) => {
+            const cells = this._evaluateFootprint(building, position.x, position.z, unitPositions)
+            const missing = this._getMissingRequirements(building, position.x, position.z)
+            const affordable = this._canAfford(ResourceLedger.scale(building.cost, index + 1))
+            if (!affordable || missing.length > 0 || cells.some(cell => cell.blocked)) stopped = true
+            return {...position, cells, missing, placeable: !stopped}
+        })
+        this._runPlaceableCount = this._runSegments.filter(segment => segment.placeable).length
+
+        this._updateRunPreview()
+        this._updateCostLabel(building)
+
+        if (this._gridVisual) {
+            this._gridVisual.showCellHighlights(this._runSegments.flatMap(segment => segment.cells))
+        }
+    }
+
+    _updateRunPreview() {
+        if (!this._ghostMesh) return
+
+        if (!this._runGhostGroup) {
+            this._runValidMaterial = new THREE.MeshBasicMaterial({
+                color: 0x44ff44,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+            this._runInvalidMaterial = new THREE.MeshBasicMaterial({
+                color: 0xff4444,
+                transparent: true,
+                opacity: 0.5,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+
+            this._runGhostGroup = new THREE.Group()
+            this._runGhostGroup.name = 'BuildingRunGhosts'
+            this.ctx?.viewer?.scene?.add(this._runGhostGroup)
+        }
+
+        // Grow the pool as needed (meshes share the ghost geometry)
+        const group = this._runGhostGroup
+        while (group.children.length < this._runSegments.length) {
+            const mesh = new THREE.Mesh(this._ghostMesh.geometry, this._runValidMaterial)
+            mesh.position.copy(this._ghostMesh.position)
+            mesh.renderOrder = 999
+
+            const segmentGroup = new THREE.Group()
+            segmentGroup.add(mesh)
+            group.add(segmentGroup)
+        }
+
+        group.children.forEach((segmentGroup, index) => {
+            const segment = this._runSegments[index]
+            segmentGroup.visible = !!segment
+            if (!segment) return
+
+            segmentGroup.position.set(segment.x, 0, segment.z)
+            segmentGroup.rotation.y = this._rotation
+            segmentGroup.children[0].material = segment.placeable ? this._runValidMaterial : this._runInvalidMaterial
+        })
+
+        // The run replaces the single ghost and its outline while dragging
+        this._ghostGroup.visible = false
+        if (this._gridOutline) this._gridOutline.visible = false
+    }
+
+    _removeRunPreview() {
+        if (this._runGhostGroup) {
+            this._runGhostGroup.removeFromParent()
+            this._runValidMaterial?.dispose()
+            this._runInvalidMaterial?.dispose()
+            this._runGhostGroup = null
+            this._runValidMaterial = null
+            this._runInvalidMaterial = null
+        }
+    }
+
+    /**
+     * Tooltip at the cursor: the run's count and cost while dragging, and any missing
+     * production chain prerequisite (of the first segment that can't be placed)
+     */
+    _updateCostLabel(building) {
+        const missing = this._dragStart
+            ? this._runSegments[this._runPlaceableCount]?.missing || []
+            : this._missingRequirements
+        if (!this._dragStart && missing.length === 0) {
+            this._removeCostLabel()
+            return
+        }
+
+        if (!this._costLabel) {
+            this._costLabel = document.createElement('div')
+            this._costLabel.style.cssText = `
+                position: fixed;
+                z-index: 1001;
+                pointer-events: none;
+                padding: 6px 10px;
+                background: rgba(20,20,30,0.9);
+                border: 1px solid rgba(255,255,255,0.2);
+                border-radius: 6px;
+                color: #fff;
+                font-family: 'Segoe UI', Arial, sans-serif;
+                font-size: 13px;
+                font-weight: bold;
+                white-space: nowrap;
+            `
+
+            const container = this.ctx?.viewer?.container || document.body
+            container.appendChild(this._costLabel)
+        }
+
+        let html = building.name
+        if (this._dragStart) {
+            const count = this._runSegments.length
+            const placeable = this._runPlaceableCount
+            html = `${placeable} × ${building.name} ${ResourceLedger.format(ResourceLedger.scale(building.cost, placeable))}`
+            if (placeable < count) {
+                html += `<br><span style="color:#ff6666">${count - placeable} blocked / unaffordable</span>`
+            }
+        }
+        for (const reason of missing) {
+            html += `<br><span style="color:#ff6666">${reason}</span>`
+        }
+
+        this._costLabel.innerHTML = html
+        this._costLabel.style.left = `${this._pointerClientX + 16}px`
+        this._costLabel.style.top = `${this._pointerClientY + 16}px`
+    }
+
+    _removeCostLabel() {
+        if (this._costLabel) {
+            this._costLabel.remove()
+            this._costLabel = null
+        }
+    }
+
+    _endDrag() {
+        this._dragStart = null
+        this._runSegments = []
+        this._runPlaceableCount = 0
+
+        this._removeRunPreview()
+        this._removeCostLabel()
+
+        if (this._ghostGroup) this._ghostGroup.visible = true
+        if (this._gridOutline) this._gridOutline.visible = true
     }
 
     _showInvalidFeedback() {
@@ -633,6 +1106,9 @@ export class BuildingPlacer extends Object3DComponent {
     _onMouseMove(event) {
         if (!this._selectedType || !this._ghostGroup) return
 
+        this._pointerClientX = event.clientX
+        this._pointerClientY = event.clientY
+
         // Get mouse position in normalized device coordinates
         const canvas = this.ctx?.viewer?.canvas
         if (!canvas) return
@@ -646,43 +1122,68 @@ export class BuildingPlacer extends Object3DComponent {
         if (!camera) return
 
         this._raycaster.setFromCamera(this._mouse, camera)
-        const intersects = this._raycaster.ray.intersectPlane(this._groundPlane, this._intersectionPoint)
+        if (this._raycaster.ray.intersectPlane(this._groundPlane, this._intersectionPoint)) {
+            this._hasPointer = true
+        }
 
-        if (intersects) {
-            // Snap to grid
-            const snapped = this._getSnappedPosition(this._intersectionPoint.x, this._intersectionPoint.z)
-            this._updateGhostPosition(snapped.x, snapped.z)
+        this._updatePlacement()
+    }
 
-            // Update grid outline position
-            if (this._gridOutline) {
-                this._gridOutline.position.set(snapped.x, 0, snapped.z)
-            }
+    /**
+     * Snap the ghost to the last ground point and refresh validity, outline and cell tiles
+     */
+    _updatePlacement() {
+        if (!this._selectedType) return
 
-            // Update GridVisual highlight if available
-            if (this._gridVisual && this._selectedType) {
-                const building = this._buildings[this._selectedType]
-                this._gridVisual.showHighlight(
-                    snapped.x, snapped.z,
-                    building.gridWidth, building.gridDepth,
-                    this._isPlacementValid
-                )
-            }
+        if (this._hasPointer) {
+            const snapped = this._getSnappedPosition(this._intersectionPoint.x, this._intersectionPoint.z)
+            this._updateGhostPosition(snapped.x, snapped.z)
         }
 
-        // Update validity
+        this._refreshValidity()
+        this._updateGridOutline()
+    }
+
+    _refreshValidity() {
         this._isPlacementValid = this._checkPlacementValid()
         this._updateGhostColor(this._isPlacementValid)
-        this._updateGridOutline()
+
+        // Show exactly which cells are blocked (the whole run while dragging)
+        if (this._dragStart) {
+            this._updateRun()
+        } else if (this._hasPointer) {
+            this._gridVisual?.showCellHighlights(this._footprintCells)
+            this._updateCostLabel(this._buildings[this._selectedType])
+        }
     }
 
     _onMouseDown(event) {
-        if (event.button !== 0) return  // Left click only
         if (!this._selectedType) return
 
+        // Right click aborts a drag
+        if (event.button === 2 && this._dragStart) {
+            this._endDrag()
+            return
+        }
+
+        if (event.button !== 0) return  // Left click only
+
         // Check if clicking on UI
         if (event.target !== this.ctx?.viewer?.canvas) return
+        if (!this._hasPointer) return
 
-        this._placeBuilding()
+        // Start a run, placed on release
+        this._dragStart = {x: this._intersectionPoint.x, z: this._intersectionPoint.z}
+        this._pointerClientX = event.clientX
+        this._pointerClientY = event.clientY
+        this._updateRun()
+    }
+
+    _onMouseUp(event) {
+        if (event.button !== 0 || !this._dragStart) return
+
+        this._placeRun()
+        this._endDrag()
     }
 
     _onKeyDown(event) {
@@ -703,8 +1204,9 @@ export class BuildingPlacer extends Object3DComponent {
             return
         }
 
-        // Escape to cancel
-        if (event.key === 'Escape') {
+        // Escape to cancel (consumed so GameStateManager doesn't also pause)
+        if (event.key === 'Escape' && this._selectedType) {
+            event.preventDefault()
             this._cancelPlacement()
         }
     }
@@ -712,11 +1214,13 @@ export class BuildingPlacer extends Object3DComponent {
     // ==================== UPDATE ====================
 
     preFrame() {
-        // Update ghost visibility based on day/night
-        if (this._ghostGroup && this._dayNightManager) {
-            // Refresh validity check
-            this._isPlacementValid = this._checkPlacementValid()
-            this._updateGhostColor(this._isPlacementValid)
+        // Update ghost visibility based on game phase
+        if (this._ghostGroup) {
+            // Refresh validity check (units move, buildings get placed or destroyed)
+            this._refreshValidity()
+            if (this._gridOutlineMaterial) {
+                this._gridOutlineMaterial.color.setHex(this._isPlacementValid ? 0x44ff44 : 0xff4444)
+            }
         }
     }
 }
@@ -2,6 +2,11 @@ import {Object3DComponent} from 'threepipe'
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getNavGrid} from './NavGrid.js'
+import {getOccupancyMap} from './OccupancyMap.js'
+import {getRoadNetwork} from './RoadNetwork.js'
+import {getGameStateManager} from './GameStateManager.script.js'
+import {getGameClock} from './GameClock.js'
 
 /**
  * CityHall - Main building that must be defended
@@ -11,6 +16,7 @@ import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
  * - Mesh: Large box (3×1×3) with #D8E2F0 material
  * - HP: 1000
  * - Passive: +$10/sec baseline (handled by MoneyCounter)
+ * - Spies can sabotage it, halting the income for a while
  */
 export class CityHall extends Object3DComponent {
     static StateProperties = [
@@ -32,7 +38,8 @@ export class CityHall extends Object3DComponent {
 
     // Internal state
     _isAlive = true
-    _lastDamageTime = 0
+    _lastDamageTime = -Infinity  // Game time (GameClock) of the last hit
+    _sabotagedUntil = -Infinity  // Game time until which income is halted
     _displayedHealth = 1000
 
     // Health bar components
@@ -54,10 +61,21 @@ export class CityHall extends Object3DComponent {
     }
 
     get isInvulnerable() {
-        const now = Date.now()
+        const now = getGameClock().now()
         return (now - this._lastDamageTime) < (this.invulnerabilityTime * 1000)
     }
 
+    get isSabotaged() {
+        return getGameClock().now() < this._sabotagedUntil
+    }
+
+    /**
+     * True if the building touches a Road (production prerequisite)
+     */
+    get isConnectedToRoad() {
+        return getRoadNetwork(this.ctx).isBuildingConnected(this)
+    }
+
     start() {
         if (super.start) super.start()
 
@@ -65,6 +83,7 @@ export class CityHall extends Object3DComponent {
         this.maxHealth = 1000
         this.health = this.maxHealth
         this._displayedHealth = this.health
+        this._sabotagedUntil = -Infinity
 
         // Create building geometry
         this._createBuildingGeometry()
@@ -72,6 +91,12 @@ export class CityHall extends Object3DComponent {
         // Create physics body (STATIC - blocks enemies)
         this._createPhysicsBody()
 
+        // Block City Hall footprint on the shared nav grid
+        this._registerNavObstacle()
+
+        // Reserve the build cells so nothing can be placed inside City Hall
+        this._registerOccupancy()
+
         // Create health bar
         this._createHealthBar()
     }
@@ -124,6 +149,48 @@ export class CityHall extends Object3DComponent {
         }
     }
 
+    // ==================== NAV GRID ====================
+
+    _registerNavObstacle() {
+        if (!this.object) return
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+
+        getNavGrid(this.ctx).addObstacle(this, {
+            x: worldPos.x,
+            z: worldPos.z,
+            width: 3,
+            depth: 3,
+            rotation: this.object.rotation.y
+        })
+    }
+
+    _unregisterNavObstacle() {
+        getNavGrid().removeObstacle(this)
+    }
+
+    // ==================== OCCUPANCY ====================
+
+    _registerOccupancy() {
+        if (!this.object) return
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+
+        getOccupancyMap(this.ctx).addBuilding(this, {
+            x: worldPos.x,
+            z: worldPos.z,
+            gridWidth: 3,
+            gridDepth: 3,
+            rotation: this.object.rotation.y
+        })
+    }
+
+    _unregisterOccupancy() {
+        getOccupancyMap().removeBuilding(this)
+    }
+
     /**
      * Create the City Hall building geometry
      * PRD: Large box (3×1×3) with #D8E2F0 material
@@ -177,6 +244,8 @@ export class CityHall extends Object3DComponent {
         this._removeHealthBar()
         this._removeBuildingGeometry()
         this._removePhysicsBody()
+        this._unregisterNavObstacle()
+        this._unregisterOccupancy()
     }
 
     _removeBuildingGeometry() {
@@ -394,7 +463,7 @@ export class CityHall extends Object3DComponent {
         // Apply armor reduction
         const effectiveDamage = Math.max(1, amount - this.armor)
         this.health -= effectiveDamage
-        this._lastDamageTime = Date.now()
+        this._lastDamageTime = getGameClock().now()
 
         //console.log(`[CityHall] Took ${effectiveDamage} damage (${Math.ceil(this.health)}/${this.maxHealth} HP)`)
 
@@ -413,6 +482,18 @@ export class CityHall extends Object3DComponent {
         //console.log(`[CityHall] Healed ${actualHeal} HP (${Math.ceil(this.health)}/${this.maxHealth})`)
     }
 
+    /**
+     * Halt income for a while (Spy enemies)
+     * Repeated sabotage extends the outage instead of stacking
+     */
+    sabotage(durationMs, saboteur = null) {
+        if (!this.isAlive) return
+
+        const until = getGameClock().now() + durationMs
+        //console.log('[CityHall] Sabotaged! Income halted')
+        this._sabotagedUntil = Math.max(this._sabotagedUntil, until)
+    }
+
     _die(attacker = null) {
         this._isAlive = false
         console.error('[CityHall] DESTROYED! Game Over!')
@@ -427,32 +508,13 @@ export class CityHall extends Object3DComponent {
     }
 
     _triggerGameOver() {
-        // Create game over UI overlay
-        const gameOverDiv = document.createElement('div')
-        gameOverDiv.style.position = 'fixed'
-        gameOverDiv.style.top = '50%'
-        gameOverDiv.style.left = '50%'
-        gameOverDiv.style.transform = 'translate(-50%, -50%)'
-        gameOverDiv.style.fontSize = '120px'
-        gameOverDiv.style.fontWeight = 'bold'
-        gameOverDiv.style.color = '#ff0000'
-        gameOverDiv.style.textAlign = 'center'
-        gameOverDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.8)'
-        gameOverDiv.style.padding = '60px 120px'
-        gameOverDiv.style.borderRadius = '20px'
-        gameOverDiv.style.zIndex = '10000'
-        gameOverDiv.style.textShadow = '0 0 20px rgba(255, 0, 0, 0.8)'
-        gameOverDiv.textContent = 'GAME OVER'
-
-        document.body.appendChild(gameOverDiv)
-
-        // Add subtitle
-        const subtitleDiv = document.createElement('div')
-        subtitleDiv.style.fontSize = '40px'
-        subtitleDiv.style.marginTop = '20px'
-        subtitleDiv.style.color = '#ffffff'
-        subtitleDiv.textContent = 'City Hall Destroyed'
-        gameOverDiv.appendChild(subtitleDiv)
+        // Game flow (overlay, freezing the simulation) is owned by GameStateManager
+        const gameState = getGameStateManager(this.ctx)
+        if (!gameState) {
+            console.warn('[CityHall] No GameStateManager found - cannot end the game')
+            return
+        }
+        gameState.gameOver('City Hall Destroyed')
     }
 
     // ==================== UPDATE ====================
@@ -484,12 +546,6 @@ export class CityHall extends Object3DComponent {
             this.object.visible = true
         }
         //console.log('[CityHall] Health reset')
-
-        // Remove game over UI if exists
-        const gameOverDiv = document.querySelector('div')
-        if (gameOverDiv && gameOverDiv.textContent === 'GAME OVER') {
-            gameOverDiv.remove()
-        }
     }
 
     uiConfig = {
@@ -1,6 +1,7 @@
 import * as CANNON from 'cannon-es'
 import * as THREE from 'three'
 import {EntityComponentPlugin} from 'threepipe'
+import {getGameClock} from './GameClock.js'
 
 /**
  * CollisionSystem - Physics using cannon-es (NO custom physics)
@@ -52,6 +53,14 @@ export class CollisionSystem {
      */
     static _cooldownMs = 300
 
+    /**
+     * Forget per-run state (restart / level change)
+     * Body maps are WeakMaps and clear themselves once the objects are gone
+     */
+    static reset() {
+        this._damageCooldowns.clear()
+    }
+
     /**
      * Create or get physics body for an entity
      * Cannon-es will handle all physics simulation for this body
@@ -426,9 +435,9 @@ export class CollisionSystem {
         }
 
             // Apply damage based on impulse
-            const now = Date.now()
+            const now = getGameClock().now()
             console.log(`[CollisionSystem] Collision impulse: ${impulse.toFixed(2)}`)
-            this._applyImpulseDamage(controllerA, controllerB, impulse, this._cooldownMs, now)
+            this._applyImpulseDamage(controllerA, controllerB, impulse, this._cooldownMs, now, bodyA, bodyB)
         } catch (error) {
             console.error('[CollisionSystem] Error in collision listener:', error)
         }
@@ -438,7 +447,7 @@ export class CollisionSystem {
      * Apply damage based on collision impulse from cannon-es
      * Higher impulse = more damage
      */
-    static _applyImpulseDamage(controllerA, controllerB, impulse, cooldownMs, now) {
+    static _applyImpulseDamage(controllerA, controllerB, impulse, cooldownMs, now, bodyA = null, bodyB = null) {
         const typeA = controllerA.constructor.ComponentType
         const typeB = controllerB.constructor.ComponentType
 
@@ -462,7 +471,11 @@ export class CollisionSystem {
             const lastDamage = this._damageCooldowns.get(victim) || 0
             if (now - lastDamage >= cooldownMs) {
                 // Damage = base damage + impulse-based damage
-                let damage = attacker.damage || 10
+                // (vehicles declare a separate ramDamage for collisions)
+                let damage = attacker.ramDamage || attacker.damage || 10
+                if (attacker.steering === 'vehicle') {
+                    damage *= this._getRamFactor(attacker, bodyA, bodyB)
+                }
 
                 // Add impulse damage (scale factor determines sensitivity)
                 // Higher impulse = harder hit = more damage
@@ -483,6 +496,20 @@ export class CollisionSystem {
         }
     }
 
+    /**
+     * Vehicles deal full ram damage at top speed: 0-1 from the closing speed
+     * along the vehicle's forward axis (side-swipes and rear hits do little)
+     */
+    static _getRamFactor(vehicle, vehicleBody, victimBody) {
+        if (!vehicleBody || vehicle._heading === null || vehicle._heading === undefined) return 1
+
+        const relX = vehicleBody.velocity.x - (victimBody?.velocity.x || 0)
+        const relZ = vehicleBody.velocity.z - (victimBody?.velocity.z || 0)
+        const closingSpeed = relX * Math.sin(vehicle._heading) + relZ * Math.cos(vehicle._heading)
+
+        return Math.max(0, Math.min(1, closingSpeed / (vehicle.maxSpeed || 1)))
+    }
+
     /**
      * Sync ALL entities from cannon-es bodies back to three.js objects
      * Call this AFTER world.step() to update all visuals with physics results
@@ -523,7 +550,7 @@ export class CollisionSystem {
         if (!scene) return
 
         const myPos = myObject.position
-        const now = Date.now()
+        const now = getGameClock().now()
 
         scene.traverse((obj) => {
             if (obj === myObject || !obj.position) return
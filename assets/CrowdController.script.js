@@ -2,6 +2,14 @@ import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 import {CollisionSystem} from './CollisionSystem.js'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getNavGrid} from './NavGrid.js'
+import {findPath} from './Pathfinding.js'
+import {getBreachPlanner} from './BreachPlanner.js'
+import {getGameClock} from './GameClock.js'
+import {TargetSelector, TargetKind, TARGET_KINDS, getTargetProfile} from './Targeting.js'
+import {getLeakedTech} from './LeakedTech.js'
+import {getGasClouds} from './GasClouds.js'
+import {findCampWithRoom} from './ReeducationCamp.script.js'
 
 /**
  * CrowdMember - Simple class to hold crowd member data (not a component)
@@ -28,8 +36,18 @@ class CrowdMember {
         this.attackRange = 1.5
         this.detectionRange = 100
         this.attackFrequency = 1
+        this.armor = 0  // Damage ignored per hit (leaked body armor, see LeakedTech.js)
         this.mass = 1.5  // For collision physics
 
+        // Veteran aura (see EnemySystemManager.getAuraLeaders)
+        this._leader = null       // Veteran this member currently follows
+        this._scatterUntil = 0    // Game time until which the member flees (its Veteran died)
+        this._scatterDir = null
+
+        // Morale (0-1, see CrowdController MORALE): breaks below fleeMorale
+        this.morale = 1
+        this._fleeing = false     // Broke: runs for the map edge and disperses
+
         // Physics state (for cannon-es integration)
         this._physicsBody = null  // Cannon-es body
         this._velocity = new THREE.Vector3()  // Velocity reference (synced with cannon-es)
@@ -128,41 +146,24 @@ class CrowdMember {
 
     takeDamage(amount, attacker = null) {
         if (!this.isAlive) return
+        if (this.armor > 0) {
+            amount = Math.max(1, amount - this.armor)
+        }
         this.health -= amount
+        this.controller?.onMemberHit?.(this, attacker)
+
         if (this.health <= 0) {
             this.health = 0
-            this.isAlive = false
-
-            // Get scene before hiding anything (needed for cleanup)
-            const scene = this.controller?.ctx?.viewer?.scene
-
-            // Hide mesh first (ensure death happens)
-            this.mesh.visible = false
 
-            // Remove physics body and debug visualization
-            if (this._physicsBody && this.controller) {
-                const physicsManager = getPhysicsWorldManager()
-                if (physicsManager && physicsManager.world) {
-                    CollisionSystem.removeBody(this.mesh, physicsManager.world)
-                    this._physicsBody = null
-                }
-            }
-
-            // Clean up humanoid body parts (CRITICAL - removes the 10 frozen body parts!)
-            // Manager is responsible for cleanup, not data class
-            if (scene && this.controller) {
-                this.controller._cleanupHumanoidBodyParts(this, scene)
-            }
-
-            // Clean up animation component reference
-            if (this.animationComponent) {
-                this.animationComponent = null
+            // Subdued by police batons: arrested instead of killed while a camp has room
+            if (attacker?.nonLethal && this.controller?.canArrest?.()) {
+                this.arrest()
+                return
             }
 
-            // Remove health bar
-            if (scene) {
-                this.removeHealthBar(scene)
-            }
+            this.isAlive = false
+            this._removeFromWorld()
+            this.controller?.onMemberDeath?.(this)
 
             // Try to spawn ragdoll (non-blocking)
             try {
@@ -196,6 +197,70 @@ class CrowdMember {
             }
         }
     }
+
+    /**
+     * Leave the map without a fight (morale broke): no ragdoll, counted as dispersed
+     */
+    disperse() {
+        if (!this.isAlive) return
+
+        this.isAlive = false
+        this._removeFromWorld()
+        this.controller?.onMemberDispersed?.(this)
+    }
+
+    /**
+     * Taken to a Re-education camp as a prisoner: no ragdoll, counted as arrested
+     */
+    arrest() {
+        if (!this.isAlive) return
+
+        this.isAlive = false
+
+        // Teleported into the camp, which shows its inmates in the yard
+        const camp = this.controller?.onMemberArrested?.(this)
+        if (camp?.object) {
+            this.mesh.position.x = camp.object.position.x
+            this.mesh.position.z = camp.object.position.z
+        }
+        this._removeFromWorld()
+    }
+
+    /**
+     * Hide the member and drop its body, body parts and health bar (death, dispersal or arrest)
+     */
+    _removeFromWorld() {
+        // Get scene before hiding anything (needed for cleanup)
+        const scene = this.controller?.ctx?.viewer?.scene
+
+        // Hide mesh first (ensure death happens)
+        this.mesh.visible = false
+
+        // Remove physics body and debug visualization
+        if (this._physicsBody && this.controller) {
+            const physicsManager = getPhysicsWorldManager()
+            if (physicsManager && physicsManager.world) {
+                CollisionSystem.removeBody(this.mesh, physicsManager.world)
+                this._physicsBody = null
+            }
+        }
+
+        // Clean up humanoid body parts (CRITICAL - removes the 10 frozen body parts!)
+        // Manager is responsible for cleanup, not data class
+        if (scene && this.controller) {
+            this.controller._cleanupHumanoidBodyParts(this, scene)
+        }
+
+        // Clean up animation component reference
+        if (this.animationComponent) {
+            this.animationComponent = null
+        }
+
+        // Remove health bar
+        if (scene) {
+            this.removeHealthBar(scene)
+        }
+    }
 }
 
 /**
@@ -203,12 +268,25 @@ class CrowdMember {
  *
  * IMPORTANT: Crowds should only spawn at night!
  * Set spawnOnlyAtNight=true (default) to wait for DayNightManager
+ *
+ * Morale (per member, pulled toward the crowd average):
+ * - Drops from nearby deaths (crowd members and EnemySystemManager enemies), Robot Tire
+ *   rams, tear gas (GasClouds.js) and police presence
+ * - Rises near Veterans and when City Hall takes damage
+ * - Below fleeMorale a member breaks: runs for the map edge and disperses
+ *   (counted as dispersed, not killed, in the night report)
+ *
+ * Arrests: members subdued by a nonLethal attacker (Humanoid police) are teleported
+ * to a ReeducationCamp with room as prisoners instead of dying
  */
 export class CrowdController extends Object3DComponent {
     static StateProperties = [
         'enabled', 'crowdSize', 'spawnRadius', 'memberHealth', 'memberSpeed',
         'memberDamage', 'separationRadius', 'separationStrength', 'respawnDelay',
-        'spawnOnlyAtNight'
+        'spawnOnlyAtNight', 'followerCohesion', 'scatterDuration',
+        'fleeMorale', 'moraleContagion', 'moraleDeathLoss', 'moraleDeathRadius', 'moraleRamLoss',
+        'moralePolicePressure', 'moralePoliceRadius', 'moraleVeteranBoost', 'moraleCityHallBoost',
+        'exitSearchRadius'
     ]
     static ComponentType = 'CrowdController'
 
@@ -222,6 +300,20 @@ export class CrowdController extends Object3DComponent {
     separationStrength = 3.0
     respawnDelay = 5000
     spawnOnlyAtNight = true  // If true, only spawn when night begins
+    followerCohesion = 0.6   // How strongly Veteran followers stick to their leader
+    scatterDuration = 3000   // ms followers flee after their Veteran dies
+
+    // Morale (0-1)
+    fleeMorale = 0.25           // Members below this break and run for the map edge
+    moraleContagion = 0.2       // Per second pull toward the crowd's average morale
+    moraleDeathLoss = 0.12      // Per death within moraleDeathRadius
+    moraleDeathRadius = 6
+    moraleRamLoss = 0.35        // Rammed by a Robot Tire
+    moralePolicePressure = 0.04 // Per second per police unit (or the player) within moralePoliceRadius
+    moralePoliceRadius = 8
+    moraleVeteranBoost = 0.15   // Per second inside a Veteran's aura
+    moraleCityHallBoost = 2     // Per fraction of City Hall max health lost
+    exitSearchRadius = 25       // Cells searched around each map edge point for a fleeing member's exit
 
     // Internal
     _members = []
@@ -229,10 +321,15 @@ export class CrowdController extends Object3DComponent {
     _cityHall = null
     _player = null
     _initialized = false
-    _gridSize = 1
+    _navGrid = null         // Shared walkability grid (see NavGrid.js)
+    _targetSelector = null  // Weighted target priority (see Targeting.js)
     _debugTimer = 0
     _physicsWorld = null    // Cannon-es world reference
     _hasSpawned = false     // Track if already spawned this night
+    _lastCityHallHealth = null
+    _killedCount = 0        // Night report (resetNightReport)
+    _dispersedCount = 0
+    _arrestedCount = 0
 
     // Collision settings (deprecated - cannon-es handles collisions now)
     collisionRadius = 1.0   // radius for crowd-soldier collision
@@ -247,6 +344,8 @@ export class CrowdController extends Object3DComponent {
         this._cityHall = null
         this._target = null
         this._hasSpawned = false
+        this._lastCityHallHealth = null
+        this.resetNightReport()
 
         // Get physics world
         const physicsManager = getPhysicsWorldManager()
@@ -256,6 +355,10 @@ export class CrowdController extends Object3DComponent {
         }
         this._physicsWorld = physicsManager.world
 
+        // Shared nav grid (obstacles registered by buildings)
+        this._navGrid = getNavGrid(this.ctx)
+        this._targetSelector = new TargetSelector(this.ctx)
+
         // Find targets (City Hall is primary target per PRD)
         this._findCityHall()
         this._findPlayer()
@@ -285,6 +388,19 @@ export class CrowdController extends Object3DComponent {
         this._hasSpawned = true
     }
 
+    /**
+     * Spawn a single member at a world position
+     * Called by the WaveDirector (DayNightManager) to release wave enemies over time
+     */
+    spawnMemberAt(x, z) {
+        if (!this.enabled || !this._initialized) return null
+
+        const scene = this.ctx?.viewer?.scene
+        if (!scene) return null
+
+        return this._spawnMember(new THREE.Vector3(x, 0, z), this._members.length, scene, 0)
+    }
+
     /**
      * Called when day begins - reset spawn state
      */
@@ -323,6 +439,27 @@ export class CrowdController extends Object3DComponent {
         this._cleanup()
     }
 
+    // ==================== TARGETING ====================
+
+    /**
+     * Pick a member's target from the weighted crowd profile (see Targeting.js)
+     * Falls back to a City Hall found by name when no target component exists
+     */
+    _selectTarget(member, myPos, now) {
+        const selected = this._targetSelector?.selectTarget(member, getTargetProfile('crowd'), myPos, now)
+        if (selected) return selected
+
+        const cityHall = this._cityHall || this._findCityHall()
+        if (!cityHall) return null
+
+        return {
+            kind: TargetKind.CITY_HALL,
+            object: cityHall,
+            component: EntityComponentPlugin.GetComponent(cityHall, 'CityHall'),
+            hitboxRadius: TARGET_KINDS[TargetKind.CITY_HALL].hitboxRadius
+        }
+    }
+
     _cleanup() {
         const scene = this.ctx?.viewer?.scene
         if (!scene) return
@@ -478,9 +615,9 @@ export class CrowdController extends Object3DComponent {
         }
     }
 
-    _spawnMember(center, index, scene) {
+    _spawnMember(center, index, scene, spread = this.spawnRadius) {
         const angle = (index / this.crowdSize) * Math.PI * 2 + Math.random() * 0.5
-        const radius = Math.random() * this.spawnRadius
+        const radius = Math.random() * spread
         const x = center.x + Math.cos(angle) * radius
         const z = center.z + Math.sin(angle) * radius
 
@@ -499,12 +636,14 @@ export class CrowdController extends Object3DComponent {
 
         scene.add(mesh)
 
-        // Create member data
+        // Create member data (with any tech the enemy faction leaked from destroyed industry)
+        const bonus = getLeakedTech().getStatBonus('crowd')
         const member = new CrowdMember(mesh, this)
-        member.health = this.memberHealth
-        member.maxHealth = this.memberHealth
-        member.speed = this.memberSpeed
-        member.damage = this.memberDamage
+        member.health = this.memberHealth * bonus.healthMultiplier
+        member.maxHealth = member.health
+        member.speed = this.memberSpeed * bonus.speedMultiplier
+        member.damage = this.memberDamage * bonus.damageMultiplier
+        member.armor = bonus.armorBonus
         member.addHealthBarToScene(scene)
 
         // CREATE CANNON-ES PHYSICS BODY for crowd member
@@ -606,118 +745,320 @@ export class CrowdController extends Object3DComponent {
         }
     }
 
-    // ==================== A* PATHFINDING ====================
+    // ==================== PATHFINDING ====================
 
-    _worldToGrid(x, z) {
-        return {
-            x: Math.round(x / this._gridSize),
-            z: Math.round(z / this._gridSize)
+    _findPath(startX, startZ, endX, endZ) {
+        const navGrid = this._navGrid || getNavGrid(this.ctx)
+        this._navGrid = navGrid
+
+        const start = navGrid.worldToCell(startX, startZ)
+
+        // Targets like City Hall sit on blocked cells - path to the closest open cell instead
+        const targetCell = navGrid.worldToCell(endX, endZ)
+        const end = navGrid.findNearestWalkable(targetCell.x, targetCell.z)
+        if (!end) return []
+
+        // Unreachable goals yield a partial path to the closest reachable cell
+        const {path} = findPath(navGrid, start, end)
+        return path.map(cell => navGrid.cellToWorld(cell.x, cell.z))
+    }
+
+    /**
+     * Steering direction from the shared flow field toward a static target
+     * (breach-aware: walls are walked around or broken through, whichever is cheaper)
+     * @returns {{x: number, z: number} | null} null when the field can't guide us (use A*)
+     */
+    _sampleFlowField(myPos, targetPos) {
+        return getBreachPlanner(this.ctx).sampleWorld(myPos.x, myPos.z, targetPos.x, targetPos.z)
+    }
+
+    _calculateSeparation(member) {
+        const separation = new THREE.Vector3()
+        const myPos = member.mesh.position
+
+        for (const other of this._members) {
+            if (other === member || !other.isAlive) continue
+
+            const dx = myPos.x - other.mesh.position.x
+            const dz = myPos.z - other.mesh.position.z
+            const dist = Math.sqrt(dx * dx + dz * dz)
+
+            if (dist < this.separationRadius && dist > 0.01) {
+                const strength = (this.separationRadius - dist) / this.separationRadius
+                separation.x += (dx / dist) * strength * this.separationStrength
+                separation.z += (dz / dist) * strength * this.separationStrength
+            }
         }
+
+        return separation
     }
 
-    _gridToWorld(gx, gz) {
-        return {
-            x: gx * this._gridSize,
-            z: gz * this._gridSize
+    // ==================== VETERAN AURA ====================
+
+    /**
+     * Closest aura leader (Veteran) whose aura covers a position
+     */
+    _findLeader(position, leaders) {
+        let closest = null
+        let closestDist = Infinity
+
+        for (const leader of leaders) {
+            const dx = leader.mesh.position.x - position.x
+            const dz = leader.mesh.position.z - position.z
+            const dist = Math.sqrt(dx * dx + dz * dz)
+            if (dist <= leader.auraRadius && dist < closestDist) {
+                closestDist = dist
+                closest = leader
+            }
         }
+
+        return closest
     }
 
-    _heuristic(a, b) {
-        return Math.abs(a.x - b.x) + Math.abs(a.z - b.z)
+    /**
+     * Steering that keeps a follower with its leader: match the leader's heading,
+     * and close the gap once it drifts past half the aura radius
+     */
+    _calculateCohesion(member, leader) {
+        const myPos = member.mesh.position
+        const dx = leader.mesh.position.x - myPos.x
+        const dz = leader.mesh.position.z - myPos.z
+        const dist = Math.sqrt(dx * dx + dz * dz)
+        const cohesion = {x: 0, z: 0}
+
+        const leaderVelocity = leader._velocity
+        const leaderSpeed = leaderVelocity ? Math.sqrt(leaderVelocity.x ** 2 + leaderVelocity.z ** 2) : 0
+        if (leaderSpeed > 0.1) {
+            cohesion.x += (leaderVelocity.x / leaderSpeed) * this.followerCohesion
+            cohesion.z += (leaderVelocity.z / leaderSpeed) * this.followerCohesion
+        }
+
+        const slack = leader.auraRadius / 2
+        if (dist > slack) {
+            const pull = Math.min(1, (dist - slack) / slack) * this.followerCohesion
+            cohesion.x += (dx / dist) * pull
+            cohesion.z += (dz / dist) * pull
+        }
+
+        return cohesion
     }
 
-    _getNeighbors(node) {
-        const dirs = [
-            {x: 0, z: 1}, {x: 0, z: -1}, {x: 1, z: 0}, {x: -1, z: 0},
-            {x: 1, z: 1}, {x: 1, z: -1}, {x: -1, z: 1}, {x: -1, z: -1}
-        ]
-        return dirs.map(d => ({x: node.x + d.x, z: node.z + d.z}))
+    /**
+     * A Veteran died: its followers break formation and run from where it fell
+     */
+    scatterFollowers(leader, x, z) {
+        const until = getGameClock().now() + this.scatterDuration
+
+        for (const member of this._members) {
+            if (!member.isAlive || member._leader !== leader) continue
+
+            const dx = member.mesh.position.x - x
+            const dz = member.mesh.position.z - z
+            const dist = Math.sqrt(dx * dx + dz * dz)
+            const angle = Math.random() * Math.PI * 2
+
+            member._scatterDir = dist > 0.01
+                ? {x: dx / dist, z: dz / dist}
+                : {x: Math.cos(angle), z: Math.sin(angle)}
+            member._scatterUntil = until
+            member._leader = null
+            member.path = []
+        }
     }
 
-    _findPath(startX, startZ, endX, endZ) {
-        const start = this._worldToGrid(startX, startZ)
-        const end = this._worldToGrid(endX, endZ)
-
-        if (start.x === end.x && start.z === end.z) return []
-
-        const openSet = []
-        const closedSet = new Set()
-        const cameFrom = new Map()
-        const gScore = new Map()
-        const fScore = new Map()
-        const key = (n) => `${n.x},${n.z}`
-
-        openSet.push(start)
-        gScore.set(key(start), 0)
-        fScore.set(key(start), this._heuristic(start, end))
-
-        let iterations = 0
-        while (openSet.length > 0 && iterations < 200) {
-            iterations++
-            openSet.sort((a, b) => (fScore.get(key(a)) || Infinity) - (fScore.get(key(b)) || Infinity))
-            const current = openSet.shift()
-            const currentKey = key(current)
-
-            if (current.x === end.x && current.z === end.z) {
-                const path = []
-                let node = current
-                while (node) {
-                    path.unshift(this._gridToWorld(node.x, node.z))
-                    node = cameFrom.get(key(node))
-                }
-                return path.slice(1)
+    // ==================== MORALE ====================
+
+    /**
+     * Average morale of the members still in the fight (1 when there are none)
+     */
+    get crowdMorale() {
+        let total = 0
+        let count = 0
+        for (const member of this._members) {
+            if (!member.isAlive || member._fleeing) continue
+            total += member.morale
+            count++
+        }
+        return count > 0 ? total / count : 1
+    }
+
+    onMemberHit(member, attacker) {
+        if (attacker?.constructor?.ComponentType === 'RobotTireController') {
+            member.morale -= this.moraleRamLoss
+        }
+    }
+
+    onMemberDeath(member) {
+        this._killedCount++
+        this.onNearbyDeath(member.mesh.position.x, member.mesh.position.z)
+    }
+
+    /**
+     * Someone on the protestors' side died at (x, z): a crowd member of this controller
+     * or an EnemySystemManager enemy (Spy, Veteran, EV, Tractor)
+     */
+    onNearbyDeath(x, z) {
+        for (const other of this._members) {
+            if (!other.isAlive) continue
+            const dx = other.mesh.position.x - x
+            const dz = other.mesh.position.z - z
+            if (dx * dx + dz * dz <= this.moraleDeathRadius * this.moraleDeathRadius) {
+                other.morale -= this.moraleDeathLoss
             }
+        }
+    }
 
-            closedSet.add(currentKey)
+    onMemberDispersed(member) {
+        this._dispersedCount++
+    }
+
+    /**
+     * Whether a subdued member can be arrested (some Re-education camp has room)
+     */
+    canArrest() {
+        return !!findCampWithRoom(this.ctx)
+    }
+
+    /**
+     * @returns {ReeducationCamp|null} Camp that took the prisoner
+     */
+    onMemberArrested(member) {
+        const camp = findCampWithRoom(this.ctx)
+        if (!camp || !camp.admitPrisoner()) return null
+
+        this._arrestedCount++
+        return camp
+    }
+
+    /**
+     * Members killed, dispersed and arrested since the last resetNightReport()
+     */
+    getNightReport() {
+        return {killed: this._killedCount, dispersed: this._dispersedCount, arrested: this._arrestedCount}
+    }
+
+    resetNightReport() {
+        this._killedCount = 0
+        this._dispersedCount = 0
+        this._arrestedCount = 0
+    }
 
-            for (const neighbor of this._getNeighbors(current)) {
-                const neighborKey = key(neighbor)
-                if (closedSet.has(neighborKey)) continue
+    /**
+     * Continuous morale effects: City Hall damage, pull toward the crowd average,
+     * police presence, gas, Veteran auras. Breaks members below fleeMorale.
+     */
+    _updateMorale(dt, now) {
+        // City Hall damage since the last frame emboldens everyone
+        let cityHallBoost = 0
+        const cityHall = this._cityHall ? EntityComponentPlugin.GetComponent(this._cityHall, 'CityHall') : null
+        if (cityHall) {
+            if (this._lastCityHallHealth !== null && cityHall.health < this._lastCityHallHealth) {
+                cityHallBoost = (this._lastCityHallHealth - cityHall.health) / cityHall.maxHealth * this.moraleCityHallBoost
+            }
+            this._lastCityHallHealth = cityHall.health
+        }
 
-                const isDiagonal = neighbor.x !== current.x && neighbor.z !== current.z
-                const moveCost = isDiagonal ? 1.414 : 1
-                const tentativeG = (gScore.get(currentKey) || 0) + moveCost
+        const gasClouds = getGasClouds()
+        gasClouds.prune(now)
+        const police = (this._targetSelector?.getCandidates(now) || [])
+            .filter(candidate => candidate.kind === TargetKind.POLICE || candidate.kind === TargetKind.PLAYER)
+        const policeRadiusSq = this.moralePoliceRadius * this.moralePoliceRadius
+        const crowdMorale = this.crowdMorale
 
-                const inOpen = openSet.some(n => n.x === neighbor.x && n.z === neighbor.z)
-                if (!inOpen) {
-                    openSet.push(neighbor)
-                } else if (tentativeG >= (gScore.get(neighborKey) || Infinity)) {
-                    continue
+        for (const member of this._members) {
+            if (!member.isAlive || member._fleeing) continue
+
+            const position = member.mesh.position
+            let change = cityHallBoost + (crowdMorale - member.morale) * this.moraleContagion * dt
+
+            for (const unit of police) {
+                const dx = unit.object.position.x - position.x
+                const dz = unit.object.position.z - position.z
+                if (dx * dx + dz * dz <= policeRadiusSq) {
+                    change -= this.moralePolicePressure * dt
                 }
+            }
+
+            change -= gasClouds.moraleLossAt(position.x, position.z) * dt
 
-                cameFrom.set(neighborKey, current)
-                gScore.set(neighborKey, tentativeG)
-                fScore.set(neighborKey, tentativeG + this._heuristic(neighbor, end))
+            if (member._leader) {
+                change += this.moraleVeteranBoost * dt
+            }
+
+            member.morale = Math.max(0, Math.min(1, member.morale + change))
+            if (member.morale < this.fleeMorale) {
+                this._startFleeing(member)
             }
         }
+    }
 
-        return [end]
+    _startFleeing(member) {
+        const position = member.mesh.position
+        member._fleeing = true
+        member._leader = null
+        member._exit = this._findExit(position)
+        member.path = member._exit ? this._findPath(position.x, position.z, member._exit.x, member._exit.z) : []
+        member.pathIndex = 0
     }
 
-    _calculateSeparation(member) {
-        const separation = new THREE.Vector3()
-        const myPos = member.mesh.position
+    /**
+     * Closest walkable cell on the map edge (nearest edge first, then the others;
+     * null only if no edge has a walkable cell within exitSearchRadius)
+     */
+    _findExit(position) {
+        const navGrid = this._navGrid || getNavGrid(this.ctx)
+        const cell = navGrid.worldToCell(position.x, position.z)
+        const edges = [
+            {x: navGrid.minX, z: cell.z, dist: cell.x - navGrid.minX},
+            {x: navGrid.maxX, z: cell.z, dist: navGrid.maxX - cell.x},
+            {x: cell.x, z: navGrid.minZ, dist: cell.z - navGrid.minZ},
+            {x: cell.x, z: navGrid.maxZ, dist: navGrid.maxZ - cell.z}
+        ]
+        edges.sort((a, b) => a.dist - b.dist)
 
-        for (const other of this._members) {
-            if (other === member || !other.isAlive) continue
+        for (const edge of edges) {
+            const exitCell = navGrid.findNearestWalkable(edge.x, edge.z, this.exitSearchRadius)
+            if (exitCell) return navGrid.cellToWorld(exitCell.x, exitCell.z)
+        }
+        return null
+    }
 
-            const dx = myPos.x - other.mesh.position.x
-            const dz = myPos.z - other.mesh.position.z
-            const dist = Math.sqrt(dx * dx + dz * dz)
+    /**
+     * Run for the exit (no attacks) and disperse on arrival
+     */
+    _updateFleeing(member, dt) {
+        const position = member.mesh.position
+        const exit = member._exit
+        const dx = exit ? exit.x - position.x : 0
+        const dz = exit ? exit.z - position.z : 0
+        const dist = Math.sqrt(dx * dx + dz * dz)
+        if (!exit || dist < 1.5) {
+            member.disperse()
+            return
+        }
 
-            if (dist < this.separationRadius && dist > 0.01) {
-                const strength = (this.separationRadius - dist) / this.separationRadius
-                separation.x += (dx / dist) * strength * this.separationStrength
-                separation.z += (dz / dist) * strength * this.separationStrength
+        // Follow the escape path, straight at the exit once it runs out
+        let inputX = dx / dist
+        let inputZ = dz / dist
+        while (member.pathIndex < member.path.length) {
+            const waypoint = member.path[member.pathIndex]
+            const wx = waypoint.x - position.x
+            const wz = waypoint.z - position.z
+            const waypointDist = Math.sqrt(wx * wx + wz * wz)
+            if (waypointDist >= 0.5) {
+                inputX = wx / waypointDist
+                inputZ = wz / waypointDist
+                break
             }
+            member.pathIndex++
         }
 
-        return separation
+        this._moveMember(member, inputX, inputZ, member.speed * 3, dt)
     }
 
     // ==================== UPDATE ====================
 
-    _updateMember(member, dt, now) {
+    _updateMember(member, dt, now, leaders = []) {
         if (!member.isAlive || !member.mesh) return
 
         const myPos = member.mesh.position
@@ -731,38 +1072,41 @@ export class CrowdController extends Object3DComponent {
             // Sync TO body (prepare input for physics)
             CollisionSystem.syncObjectToBody(member.mesh, member, member._physicsBody)
 
-            // Determine target: City Hall first, then player
-            let target = this._cityHall || this._target || this._player
-            if (!target) {
-                // Try to find targets again
-                this._findCityHall()
-                this._findPlayer()
-                target = this._cityHall || this._player
+            // Morale broke: run for the map edge, no attacks
+            if (member._fleeing) {
+                this._updateFleeing(member, dt)
+                return
+            }
+
+            // Scattering after its Veteran died: flee, no attacks
+            if (now < member._scatterUntil) {
+                this._moveMember(member, member._scatterDir.x, member._scatterDir.z, member.speed * 3, dt)
+                return
             }
 
+            // Veteran aura: faster, harder hitting, moves with the group
+            member._leader = this._findLeader(myPos, leaders)
+            const speedMultiplier = member._leader ? member._leader.auraSpeedMultiplier : 1
+            const damage = member.damage * (member._leader ? member._leader.auraDamageMultiplier : 1)
+
+            // Weighted target priority (City Hall, blocking barricades, production, player, police)
+            const selection = this._selectTarget(member, myPos, now)
+
             // No target? Just idle (no forces applied)
-            if (!target) {
+            if (!selection) {
                 return
             }
 
+            const target = selection.object
             const targetPos = target.position
             const distToTarget = Math.sqrt(
                 Math.pow(targetPos.x - myPos.x, 2) +
                 Math.pow(targetPos.z - myPos.z, 2)
             )
 
-            // Outside detection range - idle
-            if (distToTarget > member.detectionRange) {
-                return
-            }
-
-            // Check if target is City Hall (has larger hitbox)
-            const cityHallComp = EntityComponentPlugin.GetComponent(target, 'CityHall')
-
             // Effective attack range: base range + target's hitbox radius
             // City Hall is 3x3, so hitbox radius is ~1.5 units
-            const targetHitboxRadius = cityHallComp ? 1.5 : 0
-            const effectiveAttackRange = member.attackRange + targetHitboxRadius
+            const effectiveAttackRange = member.attackRange + selection.hitboxRadius
 
             // In attack range - attack (no movement)
             if (distToTarget <= effectiveAttackRange) {
@@ -770,14 +1114,10 @@ export class CrowdController extends Object3DComponent {
                 if (now - member.lastAttackTime >= cooldown) {
                     member.lastAttackTime = now
 
-                    // Attack City Hall or Player
-                    if (cityHallComp && typeof cityHallComp.takeDamage === 'function') {
-                        cityHallComp.takeDamage(member.damage, member)
-                    } else {
-                        const playerController = EntityComponentPlugin.GetComponent(target, 'PlayerController')
-                        if (playerController && typeof playerController.takeDamage === 'function') {
-                            playerController.takeDamage(member.damage, member)
-                        }
+                    // Attack whatever was selected (City Hall, barricade, player, unit, ...)
+                    if (selection.component && typeof selection.component.takeDamage === 'function') {
+                        selection.component.takeDamage(damage, member)
+                        getLeakedTech().onTargetHit(selection, now)
                     }
                 }
                 // CRITICAL: Still sync physics body -> mesh even when in attack range
@@ -786,53 +1126,77 @@ export class CrowdController extends Object3DComponent {
                 return
             }
 
-            // Update path periodically
-            if (now - member.lastPathUpdate > member.pathUpdateInterval || member.path.length === 0) {
-                member.path = this._findPath(myPos.x, myPos.z, targetPos.x, targetPos.z)
-                member.pathIndex = 0
-                member.lastPathUpdate = now
-            }
-
-            // Follow path
             let inputX = 0
             let inputZ = 0
 
-            if (member.path.length > 0 && member.pathIndex < member.path.length) {
-                const target = member.path[member.pathIndex]
-                const dx = target.x - myPos.x
-                const dz = target.z - myPos.z
-                const dist = Math.sqrt(dx * dx + dz * dz)
-
-                if (dist < 0.3) {
-                    member.pathIndex++
-                } else {
-                    inputX = dx / dist
-                    inputZ = dz / dist
+            // Static goal (City Hall): steer by the shared flow field instead of per-agent A*
+            const flowDir = selection.kind === TargetKind.CITY_HALL ? this._sampleFlowField(myPos, targetPos) : null
+
+            if (flowDir) {
+                inputX = flowDir.x
+                inputZ = flowDir.z
+            } else {
+                // Moving target (player) or off-field: per-agent A*, updated periodically
+                if (now - member.lastPathUpdate > member.pathUpdateInterval || member.path.length === 0) {
+                    member.path = this._findPath(myPos.x, myPos.z, targetPos.x, targetPos.z)
+                    member.pathIndex = 0
+                    member.lastPathUpdate = now
+                }
+
+                // Follow path
+                if (member.path.length > 0 && member.pathIndex < member.path.length) {
+                    const target = member.path[member.pathIndex]
+                    const dx = target.x - myPos.x
+                    const dz = target.z - myPos.z
+                    const dist = Math.sqrt(dx * dx + dz * dz)
+
+                    if (dist < 0.3) {
+                        member.pathIndex++
+                    } else {
+                        inputX = dx / dist
+                        inputZ = dz / dist
+                    }
                 }
             }
 
             // REMOVED: _calculateSeparation() - cannon-es handles crowd separation automatically!
             // Custom separation forces were fighting against physics engine
 
-            // Already normalized from pathfinding, no need to normalize again
+            // Followers blend in their leader's heading (renormalize the combined direction)
+            if (member._leader) {
+                const cohesion = this._calculateCohesion(member, member._leader)
+                inputX += cohesion.x
+                inputZ += cohesion.z
 
-            // Apply movement force via cannon-es
-            const acceleration = member.speed * 3
-            CollisionSystem.applyMovementForce(member._physicsBody, inputX, inputZ, acceleration)
+                const length = Math.sqrt(inputX * inputX + inputZ * inputZ)
+                if (length > 1) {
+                    inputX /= length
+                    inputZ /= length
+                }
+            }
 
-            // Sync FROM body (read physics results from previous frame)
-            CollisionSystem.syncBodyToObject(member.mesh, member, member._physicsBody)
+            this._moveMember(member, inputX, inputZ, member.speed * 3 * speedMultiplier, dt)
+        }
+    }
 
-            // Face movement direction
-            if (member._velocity) {
-                const speed = Math.sqrt(member._velocity.x ** 2 + member._velocity.z ** 2)
-                if (speed > 0.1) {
-                    const targetRotation = Math.atan2(member._velocity.x, member._velocity.z)
-                    let rotDiff = targetRotation - member.mesh.rotation.y
-                    while (rotDiff > Math.PI) rotDiff -= Math.PI * 2
-                    while (rotDiff < -Math.PI) rotDiff += Math.PI * 2
-                    member.mesh.rotation.y += rotDiff * Math.min(1, 10 * dt)
-                }
+    /**
+     * Apply movement force via cannon-es, sync the mesh and face the movement direction
+     */
+    _moveMember(member, inputX, inputZ, acceleration, dt) {
+        CollisionSystem.applyMovementForce(member._physicsBody, inputX, inputZ, acceleration)
+
+        // Sync FROM body (read physics results from previous frame)
+        CollisionSystem.syncBodyToObject(member.mesh, member, member._physicsBody)
+
+        // Face movement direction
+        if (member._velocity) {
+            const speed = Math.sqrt(member._velocity.x ** 2 + member._velocity.z ** 2)
+            if (speed > 0.1) {
+                const targetRotation = Math.atan2(member._velocity.x, member._velocity.z)
+                let rotDiff = targetRotation - member.mesh.rotation.y
+                while (rotDiff > Math.PI) rotDiff -= Math.PI * 2
+                while (rotDiff < -Math.PI) rotDiff += Math.PI * 2
+                member.mesh.rotation.y += rotDiff * Math.min(1, 10 * dt)
             }
         }
     }
@@ -843,8 +1207,11 @@ export class CrowdController extends Object3DComponent {
     update({time, deltaTime}) {
         if (!this.enabled || !this._initialized) return false
 
-        const dt = deltaTime / 1000
-        const now = Date.now()
+        const clock = getGameClock()
+        if (!clock.isRunning) return false
+
+        const dt = clock.deltaTime / 1000
+        const now = clock.now()
 
         // Try to find player if not found
         if (!this._player) {
@@ -859,9 +1226,15 @@ export class CrowdController extends Object3DComponent {
             //console.log(`[CrowdController] alive=${alive}/${this._members.length}, player=${this._player ? this._player.name : 'null'}`)
         }
 
+        // Veterans organizing nearby members (EnemySystemManager)
+        const enemyManager = this.ctx?.ecp?.getComponentOfType?.('EnemySystemManager')
+        const leaders = enemyManager?.getAuraLeaders?.() || []
+
+        this._updateMorale(dt, now)
+
         // Update each member
         for (const member of this._members) {
-            this._updateMember(member, dt, now)
+            this._updateMember(member, dt, now, leaders)
         }
         // Note: Cannon-es handles collisions automatically through collision events
         // No need for manual collision checks!
@@ -1,17 +1,39 @@
 import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
+import {WaveDirector, DEFAULT_NIGHT_WAVES} from './WaveDirector.js'
+import {DifficultyDirector} from './DifficultyDirector.js'
+import {getLeakedTech} from './LeakedTech.js'
+import {TARGET_KINDS, TargetKind} from './Targeting.js'
+import {getResourceLedger, RESOURCE_LABELS} from './ResourceLedger.script.js'
+import {getGameStateManager, GameState} from './GameStateManager.script.js'
+import {getGameClock} from './GameClock.js'
 
 /**
  * DayNightManager - Manages day/night cycle, lighting, and enemy spawning
  * Singleton component - should only have one in the scene
  *
+ * Enemies are released over the night by a WaveDirector. With `adaptiveDifficulty` (on by default)
+ * a DifficultyDirector plans each night at dusk from the player's force,
+ * keeping stat multipliers within [difficultyMinMultiplier, difficultyMaxMultiplier];
+ * turned off, the fixed `nightWaves` tables are played instead (one list of wave
+ * entries per night, see WaveDirector.js).
+ * Tech the enemies leaked from destroyed industry adds to either (LeakedTech.js) and is
+ * announced in a briefing when the night starts.
+ *
+ * Dawn runs the production tick: every production building (TARGET_KINDS.production)
+ * produces once and the output goes to the ResourceLedger.
+ *
+ * Phase changes go through GameStateManager: this component only requests
+ * night start / night cleared, the GameStateManager decides (and detects victory).
+ *
  * Lighting from PRD:
  * - Day: DirectionalLight 1.0, AmbientLight 0.4
  * - Night: DirectionalLight 0.2, AmbientLight 0.1
  */
 export class DayNightManager extends Object3DComponent {
     static StateProperties = [
-        'isDay', 'countdownDuration', 'autoEndNight',
+        'isDay', 'countdownDuration', 'autoEndNight', 'nightNumber', 'nightWaves',
+        'adaptiveDifficulty', 'difficultyMinMultiplier', 'difficultyMaxMultiplier', 'showDifficultyPanel',
         'dayDirectionalIntensity', 'dayAmbientIntensity',
         'nightDirectionalIntensity', 'nightAmbientIntensity',
         'lightTransitionDuration'
@@ -23,6 +45,14 @@ export class DayNightManager extends Object3DComponent {
     isTransitioning = false
     countdownDuration = 5000  // 5 seconds in milliseconds
     autoEndNight = true  // automatically end night when all enemies dead
+    nightNumber = 0  // Incremented when each night starts (1 = first night)
+    nightWaves = DEFAULT_NIGHT_WAVES  // Per-night wave tables
+
+    // Adaptive difficulty (DifficultyDirector.js)
+    adaptiveDifficulty = true  // Plan nights from the player's force (off: play nightWaves)
+    difficultyMinMultiplier = 0.75  // Designer bounds for budget and enemy stat multipliers
+    difficultyMaxMultiplier = 1.75
+    showDifficultyPanel = false  // Debug panel with the current plan and its reasoning
 
     // Lighting settings (from PRD section 15)
     dayDirectionalIntensity = 1.0
@@ -44,6 +74,9 @@ export class DayNightManager extends Object3DComponent {
     _handleKeyDown = null
     _handleKeyUp = null
     _enemyCount = 0
+    _waveDirector = null
+    _difficultyDirector = null
+    _difficultyPanel = null
 
     // Light references
     _directionalLight = null
@@ -65,6 +98,15 @@ export class DayNightManager extends Object3DComponent {
         // Find lights in scene
         this._findLights()
 
+        this._waveDirector = new WaveDirector(this.ctx)
+        this._difficultyDirector = new DifficultyDirector(this.ctx)
+        this._updateDifficultyPanel()
+
+        // Game flow is owned by GameStateManager - add one if the scene doesn't have it
+        if (!getGameStateManager(this.ctx) && this.ctx?.ecp && this.object) {
+            this.ctx.ecp.addComponent(this.object, 'GameStateManager')
+        }
+
         // Set initial lighting state (day)
         this._applyLightingInstant(true)
 
@@ -123,7 +165,7 @@ export class DayNightManager extends Object3DComponent {
      */
     _startLightTransition(toDay) {
         this._isLightTransitioning = true
-        this._lightTransitionStart = Date.now()
+        this._lightTransitionStart = getGameClock().now()
 
         // Store current values as start
         if (this._directionalLight) {
@@ -160,7 +202,7 @@ export class DayNightManager extends Object3DComponent {
     _updateLightTransition() {
         if (!this._isLightTransitioning) return
 
-        const elapsed = Date.now() - this._lightTransitionStart
+        const elapsed = getGameClock().now() - this._lightTransitionStart
         const t = Math.min(1, elapsed / this.lightTransitionDuration)
 
         // Ease function (smooth step)
@@ -214,14 +256,16 @@ export class DayNightManager extends Object3DComponent {
         window.removeEventListener('keyup', this._handleKeyUp)
 
         this._removeCountdownUI()
+        this._removeDifficultyPanel()
+        this._waveDirector?.stop()
     }
 
     // ==================== KEYBOARD INPUT ====================
 
     _onKeyDown(event) {
-        if (event.code === 'Space' && !this._spaceKeyDown && this.isDay && !this.isTransitioning) {
+        if (event.code === 'Space' && !this._spaceKeyDown && this._canRequestNight()) {
             this._spaceKeyDown = true
-            this._spaceKeyDownTime = Date.now()
+            this._spaceKeyDownTime = getGameClock().now()
             this._createCountdownUI()
         }
     }
@@ -281,6 +325,37 @@ export class DayNightManager extends Object3DComponent {
 
     // ==================== NIGHT/DAY CYCLE ====================
 
+    _canRequestNight() {
+        if (!this.isDay || this.isTransitioning) return false
+
+        const gameState = getGameStateManager(this.ctx)
+        return !gameState || gameState.gameState === GameState.DAY
+    }
+
+    /**
+     * Ask the GameStateManager to start the night (it calls startNight())
+     */
+    _requestNight() {
+        const gameState = getGameStateManager(this.ctx)
+        if (gameState) {
+            gameState.startNight()
+        } else {
+            this.startNight()
+        }
+    }
+
+    /**
+     * Tell the GameStateManager the night is over (it calls endNight() or declares victory)
+     */
+    _requestNightCleared() {
+        const gameState = getGameStateManager(this.ctx)
+        if (gameState) {
+            gameState.nightCleared()
+        } else {
+            this.endNight()
+        }
+    }
+
     startNight() {
         if (!this.isDay || this.isTransitioning) {
             console.warn('[DayNightManager] Cannot start night - already night or transitioning')
@@ -293,24 +368,22 @@ export class DayNightManager extends Object3DComponent {
         // Start lighting transition to night
         this._startLightTransition(false)
 
-        // Find and trigger all spawners
-        const spawners = this._findAllSpawners()
-
-        let totalEnemies = 0
-        for (const spawner of spawners) {
-            if (spawner.enabled && typeof spawner.spawn === 'function') {
-                spawner.spawn()
-                totalEnemies += spawner.spawnCount || 0
-            }
-        }
-
-        this._enemyCount = totalEnemies
+        // Queue this night's waves (released over time in update)
+        this.nightNumber++
+        const waves = this.adaptiveDifficulty
+            ? this._planNight(this.nightNumber).waves
+            : this._waveDirector.getWavesForNight(this.nightNumber, this.nightWaves)
+        this._waveDirector.startWaves(getLeakedTech().applyToWaves(waves))
+        this._difficultyDirector.onNightStart()
+        this._resetNightReport()
+        this._enemyCount = this._waveDirector.totalCount
 
         this.isDay = false
         this.isTransitioning = false
 
         // Show night start message with dramatic styling
-        this._showMessage('NIGHT PHASE', 2000, '#ff4444')
+        this._showMessage(`NIGHT ${this.nightNumber}`, 2000, '#ff4444')
+        this._showBriefing()
     }
 
     endNight() {
@@ -321,31 +394,18 @@ export class DayNightManager extends Object3DComponent {
         // Start lighting transition to day
         this._startLightTransition(true)
 
+        // Drop anything still queued
+        this._waveDirector?.stop()
+        this._difficultyDirector?.onNightEnd()
+
         this.isDay = true
         this.isTransitioning = false
         this._enemyCount = 0
 
         // Show day start message
+        const produced = this._runProductionTick()
         this._showMessage('DAY PHASE', 2000, '#44ff44')
-    }
-
-    _findAllSpawners() {
-        const spawners = []
-        const scene = this.ctx?.viewer?.scene
-        if (!scene) return spawners
-
-        // Find all spawner components
-        scene.traverse((obj) => {
-            // Check for CrowdController (main enemy spawner)
-            const crowdController = EntityComponentPlugin.GetComponent(obj, 'CrowdController')
-            if (crowdController) spawners.push(crowdController)
-
-            // Check for EVSpawner
-            const evSpawner = EntityComponentPlugin.GetComponent(obj, 'EVSpawner')
-            if (evSpawner) spawners.push(evSpawner)
-        })
-
-        return spawners
+        this._showNightReport(produced)
     }
 
     _countAliveEnemies() {
@@ -379,22 +439,6 @@ export class DayNightManager extends Object3DComponent {
         return count
     }
 
-    _checkCityHallDestroyed() {
-        const scene = this.ctx?.viewer?.scene
-        if (!scene) return false
-
-        let cityHallDestroyed = false
-
-        scene.traverse((obj) => {
-            const cityHall = EntityComponentPlugin.GetComponent(obj, 'CityHall')
-            if (cityHall && !cityHall.isAlive) {
-                cityHallDestroyed = true
-            }
-        })
-
-        return cityHallDestroyed
-    }
-
     _showMessage(text, duration = 2000, color = '#ffffff') {
         const messageDiv = document.createElement('div')
         messageDiv.style.position = 'fixed'
@@ -426,17 +470,229 @@ export class DayNightManager extends Object3DComponent {
         }, duration - 300)
     }
 
+    // ==================== ADAPTIVE DIFFICULTY ====================
+
+    /**
+     * Measure the player's force and plan a night (designer bounds applied here)
+     */
+    _planNight(nightNumber) {
+        const director = this._difficultyDirector
+        director.minMultiplier = this.difficultyMinMultiplier
+        director.maxMultiplier = Math.max(this.difficultyMinMultiplier, this.difficultyMaxMultiplier)
+
+        const plan = director.planNight(nightNumber)
+        //console.log(`[DayNightManager] Night ${nightNumber} plan:`, plan.counts, plan.reasons)
+        this._updateDifficultyPanel()
+        return plan
+    }
+
+    _createDifficultyPanel() {
+        this._removeDifficultyPanel()
+
+        this._difficultyPanel = document.createElement('div')
+        this._difficultyPanel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            z-index: 1000;
+            max-width: 420px;
+            padding: 12px 16px;
+            background: rgba(20,20,30,0.9);
+            border-radius: 10px;
+            border: 2px solid rgba(255,255,255,0.1);
+            color: #ddd;
+            font-family: 'Segoe UI', Arial, sans-serif;
+            font-size: 13px;
+            line-height: 1.4;
+            pointer-events: none;
+        `
+
+        const container = this.ctx?.viewer?.container || document.body
+        container.appendChild(this._difficultyPanel)
+    }
+
+    _updateDifficultyPanel() {
+        if (!this.showDifficultyPanel) {
+            this._removeDifficultyPanel()
+            return
+        }
+        if (!this._difficultyPanel) {
+            this._createDifficultyPanel()
+        }
+
+        const plan = this._difficultyDirector?.lastPlan
+        if (!plan) {
+            this._difficultyPanel.innerHTML = `<b>Difficulty Director</b><br>No plan yet - nights are planned at dusk`
+            return
+        }
+
+        const counts = Object.entries(plan.counts)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${type}`)
+            .join(', ')
+        const reasons = plan.reasons.map(reason => `<li>${reason}</li>`).join('')
+
+        this._difficultyPanel.innerHTML = `
+            <b style="color: #88aaff;">Difficulty Director - night ${plan.nightNumber}</b><br>
+            Pressure x${plan.pressure.toFixed(2)} | budget ${plan.budget}<br>
+            Health x${plan.stats.health.toFixed(2)}, damage x${plan.stats.damage.toFixed(2)}, speed x${plan.stats.speed.toFixed(2)}<br>
+            Enemies: ${counts || 'none'}
+            <ul style="margin: 6px 0 0; padding-left: 18px;">${reasons}</ul>
+        `
+    }
+
+    _removeDifficultyPanel() {
+        if (this._difficultyPanel) {
+            this._difficultyPanel.remove()
+            this._difficultyPanel = null
+        }
+    }
+
+    // ==================== NIGHT BRIEFING ====================
+
+    /**
+     * List the tech enemies leaked from destroyed industry (new leaks highlighted)
+     */
+    _showBriefing(duration = 6000) {
+        const {newTechs, activeTechs} = getLeakedTech().takeBriefing()
+        if (activeTechs.length === 0) return
+
+        const lines = activeTechs.map(tech => {
+            const isNew = newTechs.includes(tech)
+            const label = isNew ? `<b style="color: #ff8844;">NEW</b> ${tech.label}` : tech.label
+            return `<li>${label} - ${tech.description}</li>`
+        }).join('')
+        this._showPanel('LEAKED TECH', '#ff8844', `
+            <div style="margin-top: 4px;">Destroyed industry handed the protesters:</div>
+            <ul style="margin: 8px 0 0; padding-left: 20px;">${lines}</ul>
+        `, duration)
+    }
+
+    // ==================== NIGHT REPORT ====================
+
+    /**
+     * Components that count killed / dispersed / arrested enemies (getNightReport / resetNightReport)
+     */
+    _getNightReporters() {
+        const ecp = this.ctx?.ecp
+        return [
+            ...(ecp?.getComponentsOfType?.('CrowdController') || []),
+            ...(ecp?.getComponentsOfType?.('EnemySystemManager') || [])
+        ]
+    }
+
+    _resetNightReport() {
+        for (const reporter of this._getNightReporters()) {
+            reporter.resetNightReport?.()
+        }
+    }
+
+    /**
+     * End-of-night tally: enemies killed vs crowd members dispersed by broken morale
+     * or arrested, and what the dawn production tick yielded
+     */
+    _showNightReport(produced = {}, duration = 6000) {
+        let killed = 0
+        let dispersed = 0
+        let arrested = 0
+        for (const reporter of this._getNightReporters()) {
+            const report = reporter.getNightReport?.()
+            if (!report) continue
+            killed += report.killed
+            dispersed += report.dispersed
+            arrested += report.arrested || 0
+        }
+        const producedLines = Object.entries(produced)
+            .filter(([, amount]) => amount > 0)
+            .map(([resource, amount]) => resource === 'money'
+                ? `<div>Money: <b>+$${amount}</b></div>`
+                : `<div>${RESOURCE_LABELS[resource] || resource}: <b>+${amount}</b></div>`)
+            .join('')
+        if (killed + dispersed + arrested === 0 && !producedLines) return
+
+        this._showPanel(`NIGHT ${this.nightNumber} REPORT`, '#44ff44', `
+            <div style="margin-top: 8px;">Killed: <b>${killed}</b></div>
+            <div>Dispersed: <b>${dispersed}</b></div>
+            <div>Arrested: <b>${arrested}</b></div>
+            ${producedLines ? `<div style="margin-top: 8px;">${producedLines}</div>` : ''}
+        `, duration)
+    }
+
+    // ==================== PRODUCTION ====================
+
+    /**
+     * Per-day tick: every production building produces once
+     * @returns {Object<string, number>} Total resources added to the ResourceLedger
+     */
+    _runProductionTick() {
+        const ecp = this.ctx?.ecp
+
+        const produced = {}
+        for (const type of TARGET_KINDS[TargetKind.PRODUCTION].componentTypes) {
+            for (const building of ecp?.getComponentsOfType?.(type) || []) {
+                const output = building.produce?.() || {}
+                for (const [resource, amount] of Object.entries(output)) {
+                    produced[resource] = (produced[resource] || 0) + amount
+                }
+            }
+        }
+
+        getResourceLedger(this.ctx)?.add(produced)
+        return produced
+    }
+
+    /**
+     * Centered info panel that fades out after `duration` ms
+     */
+    _showPanel(title, color, html, duration) {
+        const panelDiv = document.createElement('div')
+        panelDiv.style.position = 'fixed'
+        panelDiv.style.top = '38%'
+        panelDiv.style.left = '50%'
+        panelDiv.style.transform = 'translateX(-50%)'
+        panelDiv.style.minWidth = '360px'
+        panelDiv.style.padding = '16px 24px'
+        panelDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.75)'
+        panelDiv.style.border = `2px solid ${color}`
+        panelDiv.style.borderRadius = '10px'
+        panelDiv.style.color = '#eee'
+        panelDiv.style.fontFamily = `'Segoe UI', Arial, sans-serif`
+        panelDiv.style.fontSize = '16px'
+        panelDiv.style.zIndex = '9998'
+        panelDiv.style.pointerEvents = 'none'
+        panelDiv.innerHTML = `<div style="font-size: 20px; font-weight: bold; color: ${color};">${title}</div>${html}`
+
+        const container = this.ctx?.viewer?.container || document.body
+        container.appendChild(panelDiv)
+
+        setTimeout(() => {
+            panelDiv.style.transition = 'opacity 0.3s ease-out'
+            panelDiv.style.opacity = '0'
+            setTimeout(() => {
+                panelDiv.remove()
+            }, 300)
+        }, duration - 300)
+    }
+
     // ==================== UPDATE ====================
 
-    update({deltaTime}) {
+    update() {
         if (!this.object) return false
 
+        const clock = getGameClock()
+        if (!clock.isRunning) return false
+
         // Update lighting transition
         this._updateLightTransition()
 
+        // Release queued wave enemies
+        if (!this.isDay) {
+            this._waveDirector?.update(clock.deltaTime)
+        }
+
         // Check space key hold for countdown
-        if (this._spaceKeyDown && this.isDay && !this.isTransitioning) {
-            const elapsed = Date.now() - this._spaceKeyDownTime
+        if (this._spaceKeyDown && this._canRequestNight()) {
+            const elapsed = getGameClock().now() - this._spaceKeyDownTime
             const remaining = this.countdownDuration - elapsed
 
             if (remaining > 0) {
@@ -446,22 +702,17 @@ export class DayNightManager extends Object3DComponent {
                 // Countdown complete - start night!
                 this._spaceKeyDown = false
                 this._spaceKeyDownTime = 0
-                this.startNight()
+                this._requestNight()
             }
         }
 
         // Auto-end night when conditions met
         if (!this.isDay && !this.isTransitioning && this.autoEndNight) {
-            // Check if City Hall destroyed (game over)
-            if (this._checkCityHallDestroyed()) {
-                this.endNight()
-                return true
-            }
-
-            // Check if all enemies dead
+            // Check if all enemies dead AND nothing left to spawn
+            const queuedEnemies = this._waveDirector?.queuedCount || 0
             const aliveEnemies = this._countAliveEnemies()
-            if (aliveEnemies === 0 && this._enemyCount > 0) {
-                this.endNight()
+            if (queuedEnemies === 0 && aliveEnemies === 0 && this._enemyCount > 0) {
+                this._requestNightCleared()
             }
         }
 
@@ -472,16 +723,26 @@ export class DayNightManager extends Object3DComponent {
 
     ForceStartNight = () => {
         if (this.isDay) {
-            this.startNight()
+            this._requestNight()
         }
     }
 
     ForceEndNight = () => {
         if (!this.isDay) {
-            this.endNight()
+            this._requestNightCleared()
         }
     }
 
+    ToggleDifficultyPanel = () => {
+        this.showDifficultyPanel = !this.showDifficultyPanel
+        this._updateDifficultyPanel()
+    }
+
+    PreviewNextNight = () => {
+        this.showDifficultyPanel = true
+        this._planNight(this.nightNumber + 1)
+    }
+
     uiConfig = {
         type: 'folder',
         label: 'Day/Night Manager',
@@ -496,6 +757,16 @@ export class DayNightManager extends Object3DComponent {
                 label: 'Force End Night',
                 onClick: this.ForceEndNight,
             },
+            {
+                type: 'button',
+                label: 'Toggle Difficulty Panel',
+                onClick: this.ToggleDifficultyPanel,
+            },
+            {
+                type: 'button',
+                label: 'Preview Next Night Plan',
+                onClick: this.PreviewNextNight,
+            },
         ],
     }
 }
@@ -0,0 +1,280 @@
+import {getLeakedTech} from './LeakedTech.js'
+
+/**
+ * DifficultyDirector - Matches each night's enemies to the current police capability
+ *
+ * Owned by DayNightManager (not a component). At dusk it:
+ * 1. Measures the player's force (measureForce): friendly units by type, total barricade HP,
+ *    money, and the damage City Hall took last night
+ * 2. Compares that strength to what is expected on this night: a stronger force gets a bigger
+ *    budget and tougher enemies, a City Hall that barely held gets some slack (pressure)
+ * 3. Spends the budget on a mix that counters the force (planNight):
+ *    - Barricade walls  -> Tractors (crush them) and Spies (slip past)
+ *    - Police units     -> Veterans (shoot from range) and EVs (run them down)
+ *    - A rich economy   -> Spies (sabotage income)
+ *    - Whatever is left -> Crowds
+ * 4. Returns a wave table (WaveDirector format) with stat multipliers inside designer bounds
+ *
+ * Tech leaked from destroyed industry can unlock enemy types earlier (LeakedTech.js).
+ *
+ * Every decision is written to plan.reasons for the debug panel.
+ */
+
+// Threat points per friendly unit type (unknown types count 1)
+export const UNIT_STRENGTH = {
+    soldier: 1,
+    humanoidPolice: 1,
+    fpvDrone: 2,
+    robotTire: 3
+}
+
+// Budget cost per enemy type, first night it may appear, and how its wave is released
+export const ENEMY_COSTS = {
+    crowd: {cost: 1, unlockNight: 1, intervalSec: 0.6, delaySec: 0},
+    ev: {cost: 8, unlockNight: 2, intervalSec: 5, delaySec: 25},
+    spy: {cost: 5, unlockNight: 3, intervalSec: 8, delaySec: 35},
+    veteran: {cost: 10, unlockNight: 3, intervalSec: 10, delaySec: 15},
+    tractor: {cost: 15, unlockNight: 3, intervalSec: 12, delaySec: 45}
+}
+
+export class DifficultyDirector {
+    constructor(ctx) {
+        this.ctx = ctx
+
+        // Designer bounds for budget and stat multipliers (DayNightManager overrides these)
+        this.minMultiplier = 0.75
+        this.maxMultiplier = 1.75
+
+        // Budget (enemy cost points): baseBudget on night 1, x budgetGrowth every night after
+        // (20 crowd, 20 + 15 crowd + EV, ... like DEFAULT_NIGHT_WAVES)
+        this.baseBudget = 20
+        this.budgetGrowth = 2.2
+        this.specialShare = 0.6         // At most this much of the budget goes to special enemies
+
+        // Strength expected on a night: expectedStrength + expectedGrowth per night after the first
+        this.expectedStrength = 3
+        this.expectedGrowth = 3
+        this.barricadeHealthPerPoint = 500  // One full barricade
+        this.moneyPerPoint = 1000
+
+        // City Hall damage last night (fraction of max health) that leaves pressure unchanged;
+        // less pushes harder, more eases off
+        this.targetCityHallDamage = 0.15
+
+        // Counters
+        this.barricadesPerTractor = 4
+        this.barricadesPerSpy = 6
+        this.moneyPerSpy = 2000
+        this.unitPointsPerVeteran = 3
+        this.unitPointsPerEV = 4
+        this.crowdStreamSize = 25       // Crowds are split into streams of at most this many
+        this.crowdStreamDelaySec = 15
+
+        this.lastPlan = null
+
+        // City Hall damage tracking (onNightStart/onNightEnd)
+        this._cityHallHealthAtNightStart = null
+        this._lastNightCityHallDamage = 0
+        this._lastNightCityHallMaxHealth = 0
+    }
+
+    // ==================== NIGHT TRACKING ====================
+
+    onNightStart() {
+        const cityHall = this._getCityHall()
+        this._cityHallHealthAtNightStart = cityHall ? cityHall.health : null
+    }
+
+    onNightEnd() {
+        const cityHall = this._getCityHall()
+        if (!cityHall || this._cityHallHealthAtNightStart === null) return
+
+        this._lastNightCityHallDamage = Math.max(0, this._cityHallHealthAtNightStart - cityHall.health)
+        this._lastNightCityHallMaxHealth = cityHall.maxHealth
+        this._cityHallHealthAtNightStart = null
+    }
+
+    _getCityHall() {
+        return this.ctx?.ecp?.getComponentOfType?.('CityHall') || null
+    }
+
+    // ==================== MEASUREMENT ====================
+
+    /**
+     * Snapshot of the player's force
+     * @returns {{units: Object<string, number>, unitPoints: number, barricadeCount: number,
+     *            barricadeHealth: number, money: number, cityHallDamage: number, strength: number}}
+     */
+    measureForce() {
+        const ecp = this.ctx?.ecp
+
+        const units = {}
+        let unitPoints = 0
+        const addUnit = (type) => {
+            units[type] = (units[type] || 0) + 1
+            unitPoints += UNIT_STRENGTH[type] ?? 1
+        }
+        for (const unit of ecp?.getComponentsOfType?.('FriendlyUnitData') || []) {
+            if (unit.isAlive && unit.enabled !== false) addUnit(unit.unitType)
+        }
+        for (const robot of ecp?.getComponentsOfType?.('RobotTireController') || []) {
+            if (robot.isAlive) addUnit('robotTire')
+        }
+
+        let barricadeCount = 0
+        let barricadeHealth = 0
+        for (const barricade of ecp?.getComponentsOfType?.('Barricade') || []) {
+            if (!barricade.isAlive) continue
+            barricadeCount++
+            barricadeHealth += barricade.health
+        }
+
+        const money = ecp?.getComponentOfType?.('MoneyCounter')?.money || 0
+        const cityHallDamage = this._lastNightCityHallMaxHealth > 0
+            ? this._lastNightCityHallDamage / this._lastNightCityHallMaxHealth
+            : 0
+
+        const strength = unitPoints +
+            barricadeHealth / this.barricadeHealthPerPoint +
+            money / this.moneyPerPoint
+
+        return {units, unitPoints, barricadeCount, barricadeHealth, money, cityHallDamage, strength}
+    }
+
+    // ==================== PLANNING ====================
+
+    /**
+     * Choose a night's composition and stat multipliers
+     * @returns {{nightNumber: number, force: Object, pressure: number, budget: number,
+     *            stats: {health: number, damage: number, speed: number},
+     *            counts: Object<string, number>, waves: Array, reasons: string[]}}
+     */
+    planNight(nightNumber) {
+        const night = Math.max(1, nightNumber)
+        const force = this.measureForce()
+        const reasons = []
+
+        // Pressure: how hard to push, relative to the expected force on this night
+        const expected = this.expectedStrength + this.expectedGrowth * (night - 1)
+        const ratio = force.strength / expected
+        reasons.push(`Force strength ${force.strength.toFixed(1)} vs ${expected.toFixed(1)} expected on night ${night} (x${ratio.toFixed(2)})`)
+
+        const slack = 1 + this.targetCityHallDamage - force.cityHallDamage
+        if (force.cityHallDamage > this.targetCityHallDamage) {
+            reasons.push(`City Hall lost ${(force.cityHallDamage * 100).toFixed(0)}% last night - easing off (x${slack.toFixed(2)})`)
+        } else {
+            reasons.push(`City Hall lost ${(force.cityHallDamage * 100).toFixed(0)}% last night - pushing harder (x${slack.toFixed(2)})`)
+        }
+
+        const pressure = this._clamp(ratio * slack)
+        if (pressure !== ratio * slack) {
+            reasons.push(`Pressure clamped to designer bounds [${this.minMultiplier}, ${this.maxMultiplier}]`)
+        }
+
+        const budget = Math.round(this.baseBudget * Math.pow(this.budgetGrowth, night - 1) * pressure)
+        const stats = {
+            health: pressure,
+            damage: pressure,
+            speed: this._clamp(1 + (pressure - 1) / 2)
+        }
+        reasons.push(`Budget ${budget} points, enemy health/damage x${stats.health.toFixed(2)}, speed x${stats.speed.toFixed(2)}`)
+
+        const counts = this._chooseComposition(night, force, budget, reasons)
+        const waves = this._buildWaves(counts, stats)
+
+        this.lastPlan = {nightNumber: night, force, pressure, budget, stats, counts, waves, reasons}
+        return this.lastPlan
+    }
+
+    /**
+     * Special enemies that counter the force, crowds with the rest of the budget
+     */
+    _chooseComposition(night, force, budget, reasons) {
+        const wanted = {tractor: 0, spy: 0, veteran: 0, ev: 0}
+
+        if (force.barricadeCount > 0) {
+            wanted.tractor = Math.floor(force.barricadeCount / this.barricadesPerTractor)
+            wanted.spy += Math.floor(force.barricadeCount / this.barricadesPerSpy)
+            reasons.push(`${force.barricadeCount} barricades (${Math.round(force.barricadeHealth)} HP) - ${wanted.tractor} tractor(s) to crush walls, spies to slip past`)
+        }
+        if (force.money >= this.moneyPerSpy) {
+            const spies = Math.floor(force.money / this.moneyPerSpy)
+            wanted.spy += spies
+            reasons.push(`$${Math.floor(force.money)} banked - ${spies} spy(s) to sabotage income`)
+        }
+        if (force.unitPoints > 0) {
+            wanted.veteran = Math.floor(force.unitPoints / this.unitPointsPerVeteran)
+            wanted.ev = Math.max(1, Math.floor(force.unitPoints / this.unitPointsPerEV))
+            const unitList = Object.entries(force.units).map(([type, count]) => `${count} ${type}`).join(', ')
+            reasons.push(`Police: ${unitList} - veterans to outrange them, EVs to run them down`)
+        }
+
+        // Buy counters in priority order while they fit in the special share of the budget
+        const counts = {crowd: 0, tractor: 0, spy: 0, veteran: 0, ev: 0}
+        let specialBudget = budget * this.specialShare
+        let spent = 0
+        for (const type of ['tractor', 'veteran', 'ev', 'spy']) {
+            const def = ENEMY_COSTS[type]
+            if (wanted[type] === 0) continue
+            const unlockNight = getLeakedTech().getUnlockNight(type, def.unlockNight)
+            if (night < unlockNight) {
+                reasons.push(`${type} not unlocked until night ${unlockNight}`)
+                continue
+            }
+            if (unlockNight < def.unlockNight) {
+                reasons.push(`${type} unlocked early by leaked tech`)
+            }
+
+            while (counts[type] < wanted[type] && def.cost <= specialBudget) {
+                counts[type]++
+                specialBudget -= def.cost
+                spent += def.cost
+            }
+            if (counts[type] < wanted[type]) {
+                reasons.push(`Budget only covers ${counts[type]}/${wanted[type]} ${type}`)
+            }
+        }
+
+        counts.crowd = Math.max(0, Math.floor((budget - spent) / ENEMY_COSTS.crowd.cost))
+        reasons.push(`Crowds fill the remaining ${budget - spent} points`)
+
+        return counts
+    }
+
+    /**
+     * Counts -> wave entries (crowds split into staggered streams, specials on their usual delays)
+     */
+    _buildWaves(counts, stats) {
+        const waves = []
+
+        let crowds = counts.crowd
+        for (let stream = 0; crowds > 0; stream++) {
+            const count = Math.min(crowds, this.crowdStreamSize)
+            waves.push(this._entry('crowd', count, stream * this.crowdStreamDelaySec, stats))
+            crowds -= count
+        }
+
+        for (const type of ['veteran', 'ev', 'spy', 'tractor']) {
+            if (counts[type] > 0) {
+                waves.push(this._entry(type, counts[type], ENEMY_COSTS[type].delaySec, stats))
+            }
+        }
+
+        return waves
+    }
+
+    _entry(type, count, delaySec, stats) {
+        return {
+            type,
+            count,
+            intervalSec: count > 1 ? ENEMY_COSTS[type].intervalSec : 0,
+            entry: 'randomEdge',
+            delaySec,
+            stats: {...stats}
+        }
+    }
+
+    _clamp(multiplier) {
+        return Math.max(this.minMultiplier, Math.min(this.maxMultiplier, multiplier))
+    }
+}
@@ -1,5 +1,6 @@
 import {Object3DComponent} from 'threepipe'
 import * as THREE from 'three'
+import {getLeakedTech} from './LeakedTech.js'
 
 /**
  * EVSpawner - Spawns fast Electric Vehicle enemies with ramming damage
@@ -28,7 +29,12 @@ export class EVSpawner extends Object3DComponent {
     _evColor = 0x44ff44  // electric green
     _evScale = 1.5
     _evMass = 20  // VERY heavy vehicle - should plow through everything
-    _evFriction = 5  // good turning
+    _evFriction = 5  // good turning - grip rarely limits the turning radius
+    _evMaxSpeed = 14  // m/s
+    _evBrakeDeceleration = 12
+    _evMaxSteerAngle = 0.6  // rad - quick to turn (GAME.md)
+    _evWheelBase = 2.5
+    _evLookahead = 4
 
     // Internal state
     _spawnedEnemies = []
@@ -82,82 +88,7 @@ export class EVSpawner extends Object3DComponent {
             const x = spawnerPos.x + Math.cos(angle) * radius
             const z = spawnerPos.z + Math.sin(angle) * radius
 
-            // Create enemy object
-            const enemyObj = new THREE.Group()
-            enemyObj.position.set(x, spawnerPos.y, z)
-            enemyObj.name = `EV_${i}`
-
-            // Create vehicle geometry (box for car body) - LARGER for visibility
-            const carBody = new THREE.Mesh(
-                new THREE.BoxGeometry(3, 1.5, 4),  // width, height, length (bigger)
-                new THREE.MeshStandardMaterial({
-                    color: this._evColor,
-                    metalness: 0.6,
-                    roughness: 0.2,
-                    emissive: this._evColor,
-                    emissiveIntensity: 0.3  // make it glow slightly
-                })
-            )
-            carBody.position.y = 0.75  // lift off ground
-            carBody.castShadow = true
-            carBody.receiveShadow = true
-            carBody.name = 'EVBody'
-            enemyObj.add(carBody)
-
-            //console.log(`[EVSpawner] Created car body for EV ${i}, body dimensions: 3x1.5x4`)
-
-            // Add a smaller box on top for cabin/roof
-            const carRoof = new THREE.Mesh(
-                new THREE.BoxGeometry(2.2, 0.8, 2),
-                new THREE.MeshStandardMaterial({
-                    color: this._evColor,
-                    metalness: 0.6,
-                    roughness: 0.2,
-                    emissive: this._evColor,
-                    emissiveIntensity: 0.3
-                })
-            )
-            carRoof.position.y = 1.55  // on top of body
-            carRoof.position.z = -0.4  // slightly toward back
-            carRoof.castShadow = true
-            carRoof.name = 'EVRoof'
-            enemyObj.add(carRoof)
-
-            // Make sure the object is visible
-            enemyObj.visible = true
-            carBody.visible = true
-            carRoof.visible = true
-
-            // Add to scene
-            scene.add(enemyObj)
-
-            // Find EnemySystemManager and register enemy with it
-            const enemyManager = this.ctx.ecp.getComponentOfType('EnemySystemManager')
-            if (!enemyManager) {
-                console.error('[EVSpawner] EnemySystemManager not found!')
-                scene.remove(enemyObj)
-                continue
-            }
-
-            // Register enemy with manager (manager controls lifecycle)
-            const enemy = enemyManager.registerEnemy(enemyObj, {
-                enemyType: 'ev',
-                health: this._evHealth,
-                maxHealth: this._evMaxHealth,
-                speed: this._evSpeed,
-                damage: this._evDamage,
-                armor: this._evArmor,
-                detectionRange: this._evDetectionRange,
-                attackRange: this._evAttackRange,
-                mass: this._evMass,
-                friction: this._evFriction,
-                collisionRadius: 2.5,
-                animationScale: 1.0,
-                animationColor: 0x44ff44
-            })
-
-            this._spawnedEnemies.push(enemy)
-            //console.log(`[EVSpawner] ✓ Successfully spawned EV ${i + 1}/${this.spawnCount}`)
+            this.spawnEVAt(x, z, spawnerPos.y)
         }
 
         //console.log(`[EVSpawner] ========================================`)
@@ -165,6 +96,102 @@ export class EVSpawner extends Object3DComponent {
         //console.log(`[EVSpawner] ========================================`)
     }
 
+    /**
+     * Spawn a single EV at a world position
+     * Used by spawn() and by the WaveDirector (DayNightManager) to release wave enemies over time
+     */
+    spawnEVAt(x, z, y = 0) {
+        const scene = this.ctx?.viewer?.scene
+        if (!scene || !this.ctx?.ecp) return null
+
+        // Create enemy object
+        const enemyObj = new THREE.Group()
+        enemyObj.position.set(x, y, z)
+        enemyObj.name = `EV_${this._spawnedEnemies.length}`
+
+        // Create vehicle geometry (box for car body) - LARGER for visibility
+        const carBody = new THREE.Mesh(
+            new THREE.BoxGeometry(3, 1.5, 4),  // width, height, length (bigger)
+            new THREE.MeshStandardMaterial({
+                color: this._evColor,
+                metalness: 0.6,
+                roughness: 0.2,
+                emissive: this._evColor,
+                emissiveIntensity: 0.3  // make it glow slightly
+            })
+        )
+        carBody.position.y = 0.75  // lift off ground
+        carBody.castShadow = true
+        carBody.receiveShadow = true
+        carBody.name = 'EVBody'
+        enemyObj.add(carBody)
+
+        //console.log(`[EVSpawner] Created car body for ${enemyObj.name}, body dimensions: 3x1.5x4`)
+
+        // Add a smaller box on top for cabin/roof
+        const carRoof = new THREE.Mesh(
+            new THREE.BoxGeometry(2.2, 0.8, 2),
+            new THREE.MeshStandardMaterial({
+                color: this._evColor,
+                metalness: 0.6,
+                roughness: 0.2,
+                emissive: this._evColor,
+                emissiveIntensity: 0.3
+            })
+        )
+        carRoof.position.y = 1.55  // on top of body
+        carRoof.position.z = -0.4  // slightly toward back
+        carRoof.castShadow = true
+        carRoof.name = 'EVRoof'
+        enemyObj.add(carRoof)
+
+        // Make sure the object is visible
+        enemyObj.visible = true
+        carBody.visible = true
+        carRoof.visible = true
+
+        // Add to scene
+        scene.add(enemyObj)
+
+        // Find EnemySystemManager and register enemy with it
+        const enemyManager = this.ctx.ecp.getComponentOfType('EnemySystemManager')
+        if (!enemyManager) {
+            console.error('[EVSpawner] EnemySystemManager not found!')
+            scene.remove(enemyObj)
+            return null
+        }
+
+        // Tech the enemy faction leaked from destroyed industry (see LeakedTech.js)
+        const bonus = getLeakedTech().getStatBonus('ev')
+
+        // Register enemy with manager (manager controls lifecycle)
+        const enemy = enemyManager.registerEnemy(enemyObj, {
+            enemyType: 'ev',
+            health: this._evHealth * bonus.healthMultiplier,
+            maxHealth: this._evMaxHealth * bonus.healthMultiplier,
+            speed: this._evSpeed * bonus.speedMultiplier,
+            damage: this._evDamage * bonus.damageMultiplier,
+            armor: this._evArmor + bonus.armorBonus,
+            detectionRange: this._evDetectionRange,
+            attackRange: this._evAttackRange,
+            mass: this._evMass,
+            friction: this._evFriction,
+            collisionRadius: 2.5,
+            steering: 'vehicle',
+            maxSpeed: this._evMaxSpeed * bonus.speedMultiplier,
+            brakeDeceleration: this._evBrakeDeceleration,
+            maxSteerAngle: this._evMaxSteerAngle,
+            wheelBase: this._evWheelBase,
+            lookahead: this._evLookahead,
+            prefersRoads: true,
+            animationScale: 1.0,
+            animationColor: 0x44ff44
+        })
+
+        this._spawnedEnemies.push(enemy)
+        return enemy
+    }
+
     cleanup() {
         // Enemies are managed by EnemySystemManager - it handles cleanup
         // Just clear our reference list
@@ -2,7 +2,19 @@ import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 import {CollisionSystem} from './CollisionSystem.js'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getNavGrid, distanceToFootprint} from './NavGrid.js'
+import {findPath} from './Pathfinding.js'
+import {getRoadNetwork} from './RoadNetwork.js'
+import {getBreachPlanner} from './BreachPlanner.js'
 import {RagdollComponent} from './RagdollComponent.script.js'
+import {getGameClock} from './GameClock.js'
+import {TargetSelector, TargetKind, TARGET_KINDS, getTargetProfile} from './Targeting.js'
+import {getLeakedTech} from './LeakedTech.js'
+
+// Vehicle model constants
+const GRAVITY = 9.81
+const VEHICLE_LOOKAHEAD_TIME = 0.3  // s of travel added to the pure pursuit lookahead distance
+const VEHICLE_TIGHT_TURN_SPEED = 0.3  // Fraction of max speed while the goal is behind (can't turn in place)
 
 /**
  * Enemy - Plain class holding enemy unit data (NOT a component)
@@ -27,6 +39,27 @@ class Enemy {
         this.mass = config.mass || 1.5
         this.friction = config.friction || 6
         this.collisionRadius = config.collisionRadius || 1.2
+        this.prefersRoads = config.prefersRoads || false  // Vehicles path along roads (RoadNetwork)
+        this.policeAvoidance = config.policeAvoidance || 0  // Spies: extra path cost inside police detection radii
+        this.sabotageDuration = config.sabotageDuration || 0  // Spies: ms of halted output per attack instead of damage
+        this.attackType = config.attackType || 'melee'  // 'ranged' fires projectiles (Veteran)
+        this.projectileSpeed = config.projectileSpeed || 20
+
+        // Vehicles (EV, Tractor): kinematic car model instead of pushing in any direction
+        // (throttle = speed / mass, lateral grip = friction * g)
+        this.steering = config.steering || 'direct'  // 'direct' | 'vehicle'
+        this.maxSpeed = config.maxSpeed || 12  // m/s
+        this.brakeDeceleration = config.brakeDeceleration || 10  // m/s²
+        this.maxSteerAngle = config.maxSteerAngle || 0.6  // rad
+        this.wheelBase = config.wheelBase || 2.5
+        this.lookahead = config.lookahead || 4  // Pure pursuit lookahead at standstill
+        this.ramDamage = config.ramDamage || 0  // Collision damage at max speed (CollisionSystem), 0 = use damage
+        this.crushesBarricades = config.crushesBarricades || false  // Tractor: drives through walls
+
+        // Veteran aura: crowd members this close get faster, hit harder and move as a group
+        this.auraRadius = config.auraRadius || 0
+        this.auraSpeedMultiplier = config.auraSpeedMultiplier || 1
+        this.auraDamageMultiplier = config.auraDamageMultiplier || 1
 
         // Animation properties
         this.animationScale = config.animationScale || 1.0
@@ -39,6 +72,8 @@ class Enemy {
         this._path = []
         this._pathIndex = 0
         this._lastPathUpdate = 0
+        this._heading = null  // Vehicle: current facing (rad), initialized from the mesh
+        this._speed = 0  // Vehicle: forward speed (m/s)
         this._velocity = new THREE.Vector3()
         this._displayedHealth = this.health
 
@@ -126,11 +161,12 @@ class Enemy {
  * - Manager handles physics, pathfinding, rendering, cleanup
  */
 export class EnemySystemManager extends Object3DComponent {
-    static StateProperties = ['enabled', 'pathUpdateInterval']
+    static StateProperties = ['enabled', 'pathUpdateInterval', 'projectileLifetime']
     static ComponentType = 'EnemySystemManager'
 
     enabled = true
     pathUpdateInterval = 500
+    projectileLifetime = 3000  // ms before a projectile that hasn't hit is removed
 
     // Internal state
     _enemies = []  // Array of Enemy instances
@@ -138,97 +174,101 @@ export class EnemySystemManager extends Object3DComponent {
     _player = null
     _cityHall = null
     _initialized = false
+    _killedCount = 0  // Enemies killed since resetNightReport()
 
-    // A* grid settings
-    _gridSize = 1
-    _gridRange = 50
+    _navGrid = null  // Shared walkability grid (see NavGrid.js)
+    _targetSelector = null  // Weighted target priority per enemy type (see Targeting.js)
 
-    // ==================== A* PATHFINDING ====================
+    // Ranged attacks
+    _projectiles = []  // {mesh, selection, attacker, damage, speed, age}
+    _projectileGeometry = null
+    _projectileMaterial = null
 
-    _worldToGrid(x, z) {
-        return {
-            x: Math.round(x / this._gridSize),
-            z: Math.round(z / this._gridSize)
+    // ==================== PATHFINDING ====================
+
+    /**
+     * Per-agent A* path toward the target, replanned every pathUpdateInterval
+     */
+    _updatePath(enemy, myPos, targetPos, now) {
+        if (now - enemy._lastPathUpdate > this.pathUpdateInterval || enemy._path.length === 0) {
+            enemy._path = this._findPath(myPos.x, myPos.z, targetPos.x, targetPos.z, enemy)
+            enemy._pathIndex = 0
+            enemy._lastPathUpdate = now
         }
     }
 
-    _gridToWorld(gx, gz) {
-        return {
-            x: gx * this._gridSize,
-            z: gz * this._gridSize
+    /**
+     * @param {Object} options - {prefersRoads, policeAvoidance, crushesBarricades} (an Enemy works)
+     */
+    _findPath(startX, startZ, endX, endZ, {prefersRoads = false, policeAvoidance = 0, crushesBarricades = false} = {}) {
+        const navGrid = this._navGrid || getNavGrid(this.ctx)
+        this._navGrid = navGrid
+
+        const start = navGrid.worldToCell(startX, startZ)
+
+        // Targets like City Hall sit on blocked cells - path to the closest open cell instead
+        const targetCell = navGrid.worldToCell(endX, endZ)
+        const end = navGrid.findNearestWalkable(targetCell.x, targetCell.z)
+        if (!end) return []
+
+        // Vehicles see road cells as cheaper, spies see watched cells as more expensive,
+        // heavy vehicles drive through barricades as if they were open ground
+        const roadNetwork = getRoadNetwork(this.ctx)
+        let grid = navGrid
+        let options = {}
+        if (crushesBarricades) {
+            grid = getBreachPlanner(this.ctx).grid
+            options = {getCost: () => 1}
+        } else if (prefersRoads) {
+            options = {getCost: roadNetwork.getCostFunction(), minStepCost: Math.min(1, roadNetwork.roadCost)}
+        } else if (policeAvoidance > 0) {
+            options = {getCost: this._getPoliceAvoidanceCost(navGrid, policeAvoidance)}
         }
-    }
 
-    _heuristic(a, b) {
-        return Math.abs(a.x - b.x) + Math.abs(a.z - b.z)
+        // Unreachable goals yield a partial path to the closest reachable cell
+        const {path} = findPath(grid, start, end, options)
+        return path.map(cell => navGrid.cellToWorld(cell.x, cell.z))
     }
 
-    _getNeighbors(node) {
-        const dirs = [
-            {x: 0, z: 1}, {x: 0, z: -1}, {x: 1, z: 0}, {x: -1, z: 0},
-            {x: 1, z: 1}, {x: 1, z: -1}, {x: -1, z: 1}, {x: -1, z: -1}
-        ]
-        return dirs.map(d => ({x: node.x + d.x, z: node.z + d.z}))
-    }
-
-    _findPath(startX, startZ, endX, endZ) {
-        const start = this._worldToGrid(startX, startZ)
-        const end = this._worldToGrid(endX, endZ)
-
-        if (start.x === end.x && start.z === end.z) return []
-
-        const openSet = []
-        const closedSet = new Set()
-        const cameFrom = new Map()
-        const gScore = new Map()
-        const fScore = new Map()
-        const key = (n) => `${n.x},${n.z}`
-
-        openSet.push(start)
-        gScore.set(key(start), 0)
-        fScore.set(key(start), this._heuristic(start, end))
-
-        let iterations = 0
-        while (openSet.length > 0 && iterations < 200) {
-            iterations++
-            openSet.sort((a, b) => (fScore.get(key(a)) || Infinity) - (fScore.get(key(b)) || Infinity))
-            const current = openSet.shift()
-            const currentKey = key(current)
-
-            if (current.x === end.x && current.z === end.z) {
-                const path = []
-                let node = current
-                while (node) {
-                    path.unshift(this._gridToWorld(node.x, node.z))
-                    node = cameFrom.get(key(node))
-                }
-                return path.slice(1)
+    /**
+     * Step cost function that grows toward police units, inside their detection radius
+     * (snapshot of the current positions, rebuilt on every replan)
+     */
+    _getPoliceAvoidanceCost(navGrid, avoidance) {
+        const watchers = []
+        for (const type of TARGET_KINDS[TargetKind.POLICE].componentTypes) {
+            for (const unit of this.ctx?.ecp?.getComponentsOfType?.(type) || []) {
+                if (!unit.object || !TargetSelector.isAlive(unit)) continue
+                watchers.push({
+                    x: unit.object.position.x,
+                    z: unit.object.position.z,
+                    range: unit.detectionRange || 10
+                })
             }
+        }
 
-            closedSet.add(currentKey)
-
-            for (const neighbor of this._getNeighbors(current)) {
-                const neighborKey = key(neighbor)
-                if (closedSet.has(neighborKey)) continue
-
-                const isDiagonal = neighbor.x !== current.x && neighbor.z !== current.z
-                const moveCost = isDiagonal ? 1.414 : 1
-                const tentativeG = (gScore.get(currentKey) || 0) + moveCost
-
-                const inOpen = openSet.some(n => n.x === neighbor.x && n.z === neighbor.z)
-                if (!inOpen) {
-                    openSet.push(neighbor)
-                } else if (tentativeG >= (gScore.get(neighborKey) || Infinity)) {
-                    continue
+        return (cx, cz) => {
+            const world = navGrid.cellToWorld(cx, cz)
+            let cost = 1
+            for (const watcher of watchers) {
+                const dx = world.x - watcher.x
+                const dz = world.z - watcher.z
+                const dist = Math.sqrt(dx * dx + dz * dz)
+                if (dist < watcher.range) {
+                    cost += avoidance * (1 - dist / watcher.range)
                 }
-
-                cameFrom.set(neighborKey, current)
-                gScore.set(neighborKey, tentativeG)
-                fScore.set(neighborKey, tentativeG + this._heuristic(neighbor, end))
             }
+            return cost
         }
+    }
 
-        return []
+    /**
+     * Steering direction from the shared flow field toward a static target
+     * (breach-aware: walls are walked around or broken through, whichever is cheaper)
+     * @returns {{x: number, z: number} | null} null when the field can't guide us (use A*)
+     */
+    _sampleFlowField(myPos, targetPos) {
+        return getBreachPlanner(this.ctx).sampleWorld(myPos.x, myPos.z, targetPos.x, targetPos.z)
     }
 
     // ==================== LIFECYCLE ====================
@@ -243,6 +283,10 @@ export class EnemySystemManager extends Object3DComponent {
         }
         this._physicsWorld = physicsManager.world
 
+        // Shared nav grid (obstacles registered by buildings)
+        this._navGrid = getNavGrid(this.ctx)
+        this._targetSelector = new TargetSelector(this.ctx)
+
         // Initialize blood texture at game start (before any blood appears)
         // This ensures the transparent texture is applied to the plane immediately
         const scene = this.ctx?.viewer?.scene
@@ -266,6 +310,8 @@ export class EnemySystemManager extends Object3DComponent {
         this._enemies = []
         this._initialized = false
 
+        this._cleanupProjectiles()
+
         // Cleanup blood texture static state so it reinitializes on next game start
         RagdollComponent.cleanupBloodTextureStatic()
     }
@@ -460,6 +506,8 @@ export class EnemySystemManager extends Object3DComponent {
     onEnemyDeath(enemy, attacker = null) {
         if (!enemy.mesh) return
 
+        this._killedCount++
+
         // Hide mesh
         enemy.mesh.visible = false
 
@@ -474,6 +522,34 @@ export class EnemySystemManager extends Object3DComponent {
 
         // Spawn ragdoll
         this._spawnRagdoll(enemy, attacker)
+
+        // Nearby crowds lose morale; a fallen Veteran's followers break formation
+        const crowds = this.ctx?.ecp?.getComponentsOfType?.('CrowdController') || []
+        for (const crowd of crowds) {
+            crowd.onNearbyDeath?.(enemy.mesh.position.x, enemy.mesh.position.z)
+            if (enemy.auraRadius > 0) {
+                crowd.scatterFollowers?.(enemy, enemy.mesh.position.x, enemy.mesh.position.z)
+            }
+        }
+    }
+
+    /**
+     * Enemies killed since the last resetNightReport() (they never disperse)
+     */
+    getNightReport() {
+        return {killed: this._killedCount, dispersed: 0}
+    }
+
+    resetNightReport() {
+        this._killedCount = 0
+    }
+
+    /**
+     * Alive enemies with an organizing aura (read by CrowdController every frame)
+     * @returns {Array<Enemy>}
+     */
+    getAuraLeaders() {
+        return this._enemies.filter(enemy => enemy.isAlive && enemy.auraRadius > 0 && enemy.mesh)
     }
 
     _findPlayer() {
@@ -500,18 +576,116 @@ export class EnemySystemManager extends Object3DComponent {
     // ==================== COMBAT SYSTEM ====================
 
     /**
-     * Execute attack on target
+     * Pick an enemy's target from its type's profile (see Targeting.js)
+     * Falls back to a City Hall found by name when no target component exists
+     */
+    _selectTarget(enemy, myPos, now) {
+        const selected = this._targetSelector?.selectTarget(enemy, getTargetProfile(enemy.enemyType), myPos, now)
+        if (selected) return selected
+
+        if (!this._cityHall) return null
+
+        return {
+            kind: TargetKind.CITY_HALL,
+            object: this._cityHall,
+            component: EntityComponentPlugin.GetComponent(this._cityHall, 'CityHall'),
+            hitboxRadius: TARGET_KINDS[TargetKind.CITY_HALL].hitboxRadius
+        }
+    }
+
+    /**
+     * Execute attack on the selected target
+     * (spies sabotage buildings instead, ranged enemies fire a projectile that deals the damage on hit)
      */
-    _executeAttack(enemy, target) {
-        if (!target) return
+    _executeAttack(enemy, selection) {
+        const targetComponent = selection?.component
+
+        if (enemy.sabotageDuration > 0 && targetComponent && typeof targetComponent.sabotage === 'function') {
+            targetComponent.sabotage(enemy.sabotageDuration, enemy)
+        } else if (enemy.attackType === 'ranged') {
+            this._fireProjectile(enemy, selection)
+        } else if (targetComponent && typeof targetComponent.takeDamage === 'function') {
+            targetComponent.takeDamage(enemy.damage, enemy)
+            getLeakedTech().onTargetHit(selection, getGameClock().now())
+        }
+    }
 
-        // Try to get controller component from target
-        const targetController = EntityComponentPlugin.GetComponent(target, 'PlayerController')
-            || EntityComponentPlugin.GetComponent(target, 'CityHallController')
+    // ==================== PROJECTILES ====================
+
+    _fireProjectile(enemy, selection) {
+        const scene = this.ctx?.viewer?.scene
+        if (!scene || !selection?.component) return
 
-        if (targetController && typeof targetController.takeDamage === 'function') {
-            targetController.takeDamage(enemy.damage, enemy)
+        if (!this._projectileGeometry) {
+            this._projectileGeometry = new THREE.SphereGeometry(0.15, 8, 6)
+            this._projectileMaterial = new THREE.MeshBasicMaterial({color: 0xffaa33})
         }
+
+        const mesh = new THREE.Mesh(this._projectileGeometry, this._projectileMaterial)
+        mesh.position.set(enemy.mesh.position.x, 1.2 * enemy.animationScale, enemy.mesh.position.z)
+        mesh.name = 'EnemyProjectile'
+        scene.add(mesh)
+
+        this._projectiles.push({
+            mesh,
+            selection,
+            attacker: enemy,
+            damage: enemy.damage,
+            speed: enemy.projectileSpeed,
+            age: 0
+        })
+    }
+
+    /**
+     * Move projectiles toward their target (homing) and apply damage on contact
+     */
+    _updateProjectiles(deltaTime) {
+        const dt = deltaTime / 1000
+
+        for (const projectile of this._projectiles) {
+            const {mesh, selection} = projectile
+            projectile.age += deltaTime
+
+            const target = selection.object
+            if (!target || !TargetSelector.isAlive(selection.component) || projectile.age > this.projectileLifetime) {
+                projectile.done = true
+                continue
+            }
+
+            const dx = target.position.x - mesh.position.x
+            const dz = target.position.z - mesh.position.z
+            const dist = Math.sqrt(dx * dx + dz * dz)
+            const step = projectile.speed * dt
+
+            if (dist <= step + selection.hitboxRadius + 0.3) {
+                selection.component.takeDamage?.(projectile.damage, projectile.attacker)
+                getLeakedTech().onTargetHit(selection, getGameClock().now())
+                projectile.done = true
+                continue
+            }
+
+            mesh.position.x += (dx / dist) * step
+            mesh.position.z += (dz / dist) * step
+        }
+
+        if (this._projectiles.some(projectile => projectile.done)) {
+            for (const projectile of this._projectiles) {
+                if (projectile.done) projectile.mesh.removeFromParent()
+            }
+            this._projectiles = this._projectiles.filter(projectile => !projectile.done)
+        }
+    }
+
+    _cleanupProjectiles() {
+        for (const projectile of this._projectiles) {
+            projectile.mesh.removeFromParent()
+        }
+        this._projectiles = []
+
+        this._projectileGeometry?.dispose()
+        this._projectileMaterial?.dispose()
+        this._projectileGeometry = null
+        this._projectileMaterial = null
     }
 
     /**
@@ -608,20 +782,24 @@ export class EnemySystemManager extends Object3DComponent {
         // Sync TO body (prepare input for physics)
         CollisionSystem.syncObjectToBody(enemy.mesh, enemy, enemy._physicsBody)
 
-        // Determine target (player or city hall)
-        let target = null
-        if (this._player) {
-            target = this._player
-        } else if (this._cityHall) {
-            target = this._cityHall
+        if (enemy.crushesBarricades) {
+            this._crushBarricades(enemy)
         }
 
+        // Determine target (weighted priority: City Hall, barricades, production, player, police)
+        const selection = this._selectTarget(enemy, myPos, now)
+
         // No target? Just idle
-        if (!target) {
+        if (!selection) {
             return
         }
 
-        enemy._currentTarget = target
+        const target = selection.object
+        if (target !== enemy._currentTarget) {
+            // New target: replan right away
+            enemy._path = []
+            enemy._currentTarget = target
+        }
         const targetPos = target.position
 
         // Calculate distance to target
@@ -630,43 +808,54 @@ export class EnemySystemManager extends Object3DComponent {
             Math.pow(targetPos.z - myPos.z, 2)
         )
 
-        // Outside detection range - idle
-        if (distToTarget > enemy.detectionRange) {
-            return
-        }
-
-        // In attack range - attack (no movement)
-        if (distToTarget <= enemy.attackRange) {
+        // In attack range (plus the target's hitbox) - attack
+        const inRange = distToTarget <= enemy.attackRange + selection.hitboxRadius
+        if (inRange) {
             const cooldown = 1000 / enemy.attackFrequency
             if (now - enemy._lastAttackTime >= cooldown) {
                 enemy._lastAttackTime = now
-                this._executeAttack(enemy, target)
+                this._executeAttack(enemy, selection)
             }
+        }
+
+        // Vehicles keep driving while attacking (they brake or ram, they can't just stop)
+        if (enemy.steering === 'vehicle') {
+            this._driveVehicle(enemy, selection, myPos, distToTarget, now, dt)
             return
         }
 
-        // Update path periodically
-        if (now - enemy._lastPathUpdate > this.pathUpdateInterval || enemy._path.length === 0) {
-            enemy._path = this._findPath(myPos.x, myPos.z, targetPos.x, targetPos.z)
-            enemy._pathIndex = 0
-            enemy._lastPathUpdate = now
+        if (inRange) {
+            return
         }
 
-        // Follow path
         let inputX = 0
         let inputZ = 0
 
-        if (enemy._path.length > 0 && enemy._pathIndex < enemy._path.length) {
-            const waypoint = enemy._path[enemy._pathIndex]
-            const dx = waypoint.x - myPos.x
-            const dz = waypoint.z - myPos.z
-            const dist = Math.sqrt(dx * dx + dz * dz)
+        // Static goal (City Hall): steer by the shared flow field instead of per-agent A*
+        // (police-avoiding spies need their own weighted A*)
+        const useFlowField = selection.kind === TargetKind.CITY_HALL && !enemy.prefersRoads && !enemy.policeAvoidance
+        const flowDir = useFlowField ? this._sampleFlowField(myPos, targetPos) : null
 
-            if (dist < 0.3) {
-                enemy._pathIndex++
-            } else {
-                inputX = dx / dist
-                inputZ = dz / dist
+        if (flowDir) {
+            inputX = flowDir.x
+            inputZ = flowDir.z
+        } else {
+            // Moving target (player), spy or off-field: per-agent A*, updated periodically
+            this._updatePath(enemy, myPos, targetPos, now)
+
+            // Follow path
+            if (enemy._path.length > 0 && enemy._pathIndex < enemy._path.length) {
+                const waypoint = enemy._path[enemy._pathIndex]
+                const dx = waypoint.x - myPos.x
+                const dz = waypoint.z - myPos.z
+                const dist = Math.sqrt(dx * dx + dz * dz)
+
+                if (dist < 0.3) {
+                    enemy._pathIndex++
+                } else {
+                    inputX = dx / dist
+                    inputZ = dz / dist
+                }
             }
         }
 
@@ -690,13 +879,125 @@ export class EnemySystemManager extends Object3DComponent {
         }
     }
 
+    // ==================== VEHICLES ====================
+
+    /**
+     * Kinematic bicycle model shared by vehicles (EV, Tractor):
+     * - Throttle accelerates at speed / mass up to maxSpeed, brakes at brakeDeceleration
+     * - Turning radius is the larger of the steering geometry (wheelBase / tan(maxSteerAngle))
+     *   and the grip limit (v² / (friction * g)), so fast vehicles slow down for corners
+     * - The body only moves along its heading: no strafing, no turning in place
+     * Path following is pure pursuit: steer on the arc through a point `lookahead` ahead on the path.
+     * Units (player, police) are rammed at speed; buildings are approached to a stop.
+     */
+    _driveVehicle(enemy, selection, myPos, distToTarget, now, dt) {
+        const body = enemy._physicsBody
+        const targetPos = selection.object.position
+        if (enemy._heading === null) {
+            enemy._heading = enemy.mesh.rotation.y
+        }
+
+        // Collisions (walls, rammed units) bleed speed
+        const forwardSpeed = body.velocity.x * Math.sin(enemy._heading) + body.velocity.z * Math.cos(enemy._heading)
+        if (forwardSpeed < enemy._speed * 0.5) {
+            enemy._speed = Math.max(0, forwardSpeed)
+        }
+
+        // Pure pursuit point (vehicles always follow their own A* path, there is nothing to look ahead on in a flow field)
+        this._updatePath(enemy, myPos, targetPos, now)
+        const lookahead = enemy.lookahead + enemy._speed * VEHICLE_LOOKAHEAD_TIME
+        const point = this._getPursuitPoint(enemy, myPos, lookahead) || targetPos
+
+        const dx = point.x - myPos.x
+        const dz = point.z - myPos.z
+        const pointDist = Math.max(0.01, Math.sqrt(dx * dx + dz * dz))
+        let alpha = Math.atan2(dx, dz) - enemy._heading
+        while (alpha > Math.PI) alpha -= Math.PI * 2
+        while (alpha < -Math.PI) alpha += Math.PI * 2
+
+        // Turning limits
+        const lateralGrip = enemy.friction * GRAVITY
+        const maxCurvature = Math.min(
+            Math.tan(enemy.maxSteerAngle) / enemy.wheelBase,
+            lateralGrip / Math.max(0.01, enemy._speed * enemy._speed)
+        )
+        const behind = Math.abs(alpha) > Math.PI / 2
+        const curvature = behind ? Math.sign(alpha) * Infinity : 2 * Math.sin(alpha) / pointDist
+
+        // Speed the vehicle can hold on this arc, and for stopping at a building
+        let targetSpeed = enemy.maxSpeed
+        if (behind) {
+            targetSpeed = enemy.maxSpeed * VEHICLE_TIGHT_TURN_SPEED
+        } else if (curvature !== 0) {
+            targetSpeed = Math.min(targetSpeed, Math.sqrt(lateralGrip / Math.abs(curvature)))
+        }
+        const ram = selection.kind === TargetKind.PLAYER || selection.kind === TargetKind.POLICE
+        if (!ram) {
+            const stopDist = Math.max(0, distToTarget - enemy.attackRange - selection.hitboxRadius)
+            targetSpeed = Math.min(targetSpeed, Math.sqrt(2 * enemy.brakeDeceleration * stopDist))
+        }
+
+        // Throttle / brake
+        if (enemy._speed < targetSpeed) {
+            enemy._speed = Math.min(targetSpeed, enemy._speed + (enemy.speed / enemy.mass) * dt)
+        } else {
+            enemy._speed = Math.max(targetSpeed, enemy._speed - enemy.brakeDeceleration * dt)
+        }
+
+        // Steer and move along the heading
+        enemy._heading += enemy._speed * Math.max(-maxCurvature, Math.min(maxCurvature, curvature)) * dt
+        body.wakeUp()
+        body.velocity.x = Math.sin(enemy._heading) * enemy._speed
+        body.velocity.z = Math.cos(enemy._heading) * enemy._speed
+
+        CollisionSystem.syncBodyToObject(enemy.mesh, enemy, body)
+        enemy.mesh.rotation.y = enemy._heading
+    }
+
+    /**
+     * First waypoint at least `lookahead` away (the last one near the end of the path)
+     */
+    _getPursuitPoint(enemy, myPos, lookahead) {
+        const path = enemy._path
+        while (enemy._pathIndex < path.length - 1) {
+            const waypoint = path[enemy._pathIndex]
+            const dx = waypoint.x - myPos.x
+            const dz = waypoint.z - myPos.z
+            if (dx * dx + dz * dz >= lookahead * lookahead) break
+            enemy._pathIndex++
+        }
+        return path[enemy._pathIndex] || null
+    }
+
+    /**
+     * Heavy vehicles flatten barricades they drive into
+     * (their collision circle touches the wall's world-space NavGrid footprint)
+     */
+    _crushBarricades(enemy) {
+        const navGrid = this._navGrid || getNavGrid(this.ctx)
+        const reach = enemy.collisionRadius + 0.25
+        const myPos = enemy.mesh.position
+
+        for (const barricade of this.ctx?.ecp?.getComponentsOfType?.('Barricade') || []) {
+            if (!barricade.isAlive) continue
+
+            const footprint = navGrid.getObstacleFootprint(barricade)
+            if (footprint && distanceToFootprint(footprint, myPos.x, myPos.z) <= reach) {
+                barricade.crush?.(enemy)
+            }
+        }
+    }
+
     // ==================== UPDATE LOOP ====================
 
     update({time, deltaTime}) {
         if (!this.enabled || !this._initialized) return false
 
-        const dt = deltaTime / 1000
-        const now = Date.now()
+        const clock = getGameClock()
+        if (!clock.isRunning) return false
+
+        const dt = clock.deltaTime / 1000
+        const now = clock.now()
         const scene = this.ctx?.viewer?.scene
         if (!scene) return false
 
@@ -716,6 +1017,9 @@ export class EnemySystemManager extends Object3DComponent {
             this._updateEnemy(enemy, dt, now)
         }
 
+        this._updateProjectiles(clock.deltaTime)
+        anyActive = anyActive || this._projectiles.length > 0
+
         return anyActive
     }
 }
@@ -0,0 +1,74 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+
+/**
+ * Farm - Fenced field with a barn that supplies food
+ *
+ * Specifications (GAME.md: "Farm (input: money)"):
+ * - HP: 300
+ * - Armor: 2
+ * - Cost: $150 (handled by BuildingPlacer)
+ * - Footprint: 2x2 cells
+ * - Produces 3 food per day
+ * - Farm zone (radius 6) for Sweatshops
+ */
+export class Farm extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties]
+    static ComponentType = 'Farm'
+
+    health = 300
+    maxHealth = 300
+    armor = 2
+
+    gridWidth = 2
+    gridDepth = 2
+    buildingHeight = 1.2
+
+    production = {food: 3}
+
+    zoneRadius = 6
+
+    healthBarOffset = 2.0
+    _displayedHealth = 300
+
+    _createBuildingGeometry(group) {
+        const soilMaterial = new THREE.MeshStandardMaterial({color: 0x6B4F2E, roughness: 1})
+        const cropMaterial = new THREE.MeshStandardMaterial({
+            color: 0x7FB03A,
+            roughness: 0.9,
+            emissive: 0x7FB03A,
+            emissiveIntensity: 0.02
+        })
+        const barnMaterial = new THREE.MeshStandardMaterial({
+            color: 0x9E2B25,
+            roughness: 0.8,
+            emissive: 0x9E2B25,
+            emissiveIntensity: 0.02
+        })
+
+        // Field covering the footprint
+        const field = new THREE.Mesh(new THREE.BoxGeometry(2, 0.1, 2), soilMaterial)
+        field.position.y = 0.05
+        field.receiveShadow = true
+        field.name = 'FarmField'
+        group.add(field)
+
+        // Crop rows on the front half
+        const rowGeo = new THREE.BoxGeometry(0.2, 0.3, 0.9)
+        for (const x of [-0.7, -0.35, 0, 0.35, 0.7]) {
+            const row = new THREE.Mesh(rowGeo, cropMaterial.clone())
+            row.position.set(x, 0.25, 0.45)
+            row.castShadow = true
+            row.name = 'FarmCrops'
+            group.add(row)
+        }
+
+        // Barn on the back half
+        const barn = new THREE.Mesh(new THREE.BoxGeometry(1.2, this.buildingHeight, 0.8), barnMaterial)
+        barn.position.set(0, this.buildingHeight / 2, -0.5)
+        barn.castShadow = true
+        barn.receiveShadow = true
+        barn.name = 'FarmBarn'
+        group.add(barn)
+    }
+}
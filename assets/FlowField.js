@@ -0,0 +1,274 @@
+import {BinaryHeap, CornerCutting} from './Pathfinding.js'
+
+/**
+ * FlowField - One shared navigation field per static goal (e.g. City Hall)
+ *
+ * Instead of every agent running its own A* toward the same target:
+ * 1. Integration field: Dijkstra from the goal cells over the whole grid (cost to goal per cell)
+ * 2. Direction field: each cell points at its cheapest neighbor
+ *
+ * Agents just sample the direction at their cell - O(1) per agent per frame.
+ * Fields are cached per goal and lazily recomputed when grid.version changes
+ * (buildings placed/destroyed).
+ *
+ * Plain module with NO threepipe/three dependency (same grid interface as Pathfinding.js,
+ * plus minX/maxX/minZ/maxZ bounds, worldToCell/cellToWorld, version and optionally
+ * getObstacleCellsAt for blocked targets).
+ */
+
+const SQRT2 = Math.SQRT2
+
+const DIRS = [
+    {x: 0, z: 1}, {x: 0, z: -1}, {x: 1, z: 0}, {x: -1, z: 0},
+    {x: 1, z: 1}, {x: 1, z: -1}, {x: -1, z: 1}, {x: -1, z: -1}
+]
+
+export class FlowField {
+    /**
+     * @param {Object} grid - NavGrid (or any grid with the same interface)
+     * @param {{x: number, z: number}} targetCell - Goal cell (may be blocked, e.g. inside City Hall)
+     * @param {Object} options
+     * @param {string} options.cornerCutting - One of CornerCutting (default 'never')
+     */
+    constructor(grid, targetCell, options = {}) {
+        const {cornerCutting = CornerCutting.NEVER} = options
+
+        this.grid = grid
+        this.targetCell = {x: targetCell.x, z: targetCell.z}
+        this.cornerCutting = cornerCutting
+
+        this.version = -1  // grid.version this field was computed for
+
+        this._width = 0
+        this._height = 0
+        this._cost = null    // Float64Array (same precision as the heap priorities), Infinity = unreachable
+        this._dirX = null    // Float32Array, normalized direction per cell
+        this._dirZ = null
+    }
+
+    get isStale() {
+        return this.version !== this.grid.version
+    }
+
+    // ==================== INDEXING ====================
+
+    _index(cx, cz) {
+        const ix = cx - this._minX
+        const iz = cz - this._minZ
+        if (ix < 0 || iz < 0 || ix >= this._width || iz >= this._height) return -1
+        return iz * this._width + ix
+    }
+
+    _canStep(cx, cz, d) {
+        const grid = this.grid
+        if (!grid.isWalkable(cx + d.x, cz + d.z)) return false
+        if (d.x === 0 || d.z === 0) return true
+        if (this.cornerCutting === CornerCutting.ALWAYS) return true
+
+        const openX = grid.isWalkable(cx + d.x, cz)
+        const openZ = grid.isWalkable(cx, cz + d.z)
+        if (this.cornerCutting === CornerCutting.ONE_OPEN) return openX || openZ
+        return openX && openZ
+    }
+
+    // ==================== GOAL ====================
+
+    /**
+     * Goal cells: the target itself if walkable, otherwise every walkable cell
+     * bordering the target building's own footprint (so agents surround it).
+     * Buildings placed against the target don't extend the ring: their far side
+     * is out of the target's attack range.
+     */
+    _collectGoalCells() {
+        const grid = this.grid
+        const {x, z} = this.targetCell
+
+        if (grid.isWalkable(x, z)) return [{x, z}]
+
+        const footprint = grid.getObstacleCellsAt?.(x, z) || []
+        if (footprint.length === 0) footprint.push({x, z})
+
+        const goals = []
+        const seen = new Set(footprint.map(cell => `${cell.x},${cell.z}`))
+
+        for (const cell of footprint) {
+            for (const d of DIRS) {
+                const nx = cell.x + d.x
+                const nz = cell.z + d.z
+                const key = `${nx},${nz}`
+                if (seen.has(key)) continue
+                seen.add(key)
+
+                if (grid.inBounds(nx, nz) && grid.isWalkable(nx, nz)) {
+                    goals.push({x: nx, z: nz})
+                }
+            }
+        }
+
+        return goals
+    }
+
+    // ==================== COMPUTE ====================
+
+    compute() {
+        const grid = this.grid
+
+        this._minX = grid.minX
+        this._minZ = grid.minZ
+        this._width = grid.maxX - grid.minX + 1
+        this._height = grid.maxZ - grid.minZ + 1
+
+        const count = Math.max(0, this._width * this._height)
+        this._cost = new Float64Array(count).fill(Infinity)
+        this._dirX = new Float32Array(count)
+        this._dirZ = new Float32Array(count)
+
+        // Integration field (Dijkstra from all goal cells at once)
+        const open = new BinaryHeap()
+        for (const goal of this._collectGoalCells()) {
+            const index = this._index(goal.x, goal.z)
+            if (index < 0) continue
+            this._cost[index] = 0
+            open.push(goal, 0)
+        }
+
+        const stepCost = (cx, cz) => (typeof grid.getCost === 'function' ? grid.getCost(cx, cz) : 1)
+
+        while (open.size > 0) {
+            const priority = open.peekPriority()
+            const cell = open.pop()
+            const cellCost = this._cost[this._index(cell.x, cell.z)]
+            if (priority > cellCost) continue  // Stale heap entry
+
+            for (const d of DIRS) {
+                if (!this._canStep(cell.x, cell.z, d)) continue
+
+                const nx = cell.x + d.x
+                const nz = cell.z + d.z
+                const neighborIndex = this._index(nx, nz)
+                if (neighborIndex < 0) continue
+
+                const isDiagonal = d.x !== 0 && d.z !== 0
+                const cost = cellCost + (isDiagonal ? SQRT2 : 1) * stepCost(nx, nz)
+                if (cost >= this._cost[neighborIndex]) continue
+
+                this._cost[neighborIndex] = cost
+                open.push({x: nx, z: nz}, cost)
+            }
+        }
+
+        // Direction field (point each reachable cell at its cheapest neighbor)
+        for (let iz = 0; iz < this._height; iz++) {
+            for (let ix = 0; ix < this._width; ix++) {
+                const index = iz * this._width + ix
+                const cellCost = this._cost[index]
+                if (cellCost === 0 || cellCost === Infinity) continue
+
+                const cx = ix + this._minX
+                const cz = iz + this._minZ
+                let best = null
+                let bestCost = cellCost
+
+                for (const d of DIRS) {
+                    if (!this._canStep(cx, cz, d)) continue
+                    const neighborIndex = this._index(cx + d.x, cz + d.z)
+                    if (neighborIndex < 0) continue
+                    if (this._cost[neighborIndex] < bestCost) {
+                        bestCost = this._cost[neighborIndex]
+                        best = d
+                    }
+                }
+
+                if (best) {
+                    const length = Math.sqrt(best.x * best.x + best.z * best.z)
+                    this._dirX[index] = best.x / length
+                    this._dirZ[index] = best.z / length
+                }
+            }
+        }
+
+        this.version = grid.version
+        //console.log(`[FlowField] Computed ${this._width}x${this._height} field to (${this.targetCell.x}, ${this.targetCell.z})`)
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * Cost to reach the goal from a cell (Infinity if unreachable)
+     */
+    getCost(cx, cz) {
+        if (this.isStale) this.compute()
+        const index = this._index(cx, cz)
+        return index < 0 ? Infinity : this._cost[index]
+    }
+
+    /**
+     * Normalized steering direction at a world position
+     * - Regular cell: direction toward the cheapest neighbor
+     * - Goal cell: straight toward the target
+     * @returns {{x: number, z: number} | null} null if the cell can't reach the goal
+     *          (blocked or walled off) - callers should fall back to A*
+     */
+    sampleWorld(x, z) {
+        if (this.isStale) this.compute()
+
+        const cell = this.grid.worldToCell(x, z)
+        const index = this._index(cell.x, cell.z)
+        if (index < 0) return null
+
+        const cellCost = this._cost[index]
+        if (cellCost === Infinity) return null
+
+        if (cellCost === 0) {
+            const target = this.grid.cellToWorld(this.targetCell.x, this.targetCell.z)
+            const dx = target.x - x
+            const dz = target.z - z
+            const dist = Math.sqrt(dx * dx + dz * dz)
+            return dist > 0.001 ? {x: dx / dist, z: dz / dist} : {x: 0, z: 0}
+        }
+
+        return {x: this._dirX[index], z: this._dirZ[index]}
+    }
+
+    /**
+     * Neighbor cell the field steers toward from (cx, cz)
+     * @returns {{x: number, z: number} | null} null at the goal or if the cell can't reach it
+     */
+    getNextCell(cx, cz) {
+        if (this.isStale) this.compute()
+
+        const index = this._index(cx, cz)
+        if (index < 0) return null
+
+        const cellCost = this._cost[index]
+        if (cellCost === 0 || cellCost === Infinity) return null
+
+        return {x: cx + Math.round(this._dirX[index]), z: cz + Math.round(this._dirZ[index])}
+    }
+}
+
+// ==================== CACHE ====================
+
+// grid -> Map(goal cell key -> FlowField)
+const fieldCache = new WeakMap()
+
+/**
+ * Get the shared flow field toward a goal cell (created on first use,
+ * recomputed lazily the next time it's sampled after the grid changes)
+ */
+export function getFlowField(grid, targetCell) {
+    let fields = fieldCache.get(grid)
+    if (!fields) {
+        fields = new Map()
+        fieldCache.set(grid, fields)
+    }
+
+    const key = `${targetCell.x},${targetCell.z}`
+    let field = fields.get(key)
+    if (!field) {
+        field = new FlowField(grid, targetCell)
+        fields.set(key, field)
+    }
+
+    return field
+}
@@ -47,6 +47,7 @@ export class FriendlyUnitData extends Object3DComponent {
     _groupId = null
     _targetPosition = null
     _userTargetPosition = null
+    _userRoute = null  // RoadNetwork route to _userTargetPosition (planned lazily by the manager)
     _velocity = null
     _autoTargetEnemy = null
     _displayedHealth = 50
@@ -79,6 +80,7 @@ export class FriendlyUnitData extends Object3DComponent {
         this._groupId = null
         this._targetPosition = null
         this._userTargetPosition = null
+        this._userRoute = null
         this._autoTargetEnemy = null
     }
 
@@ -86,6 +88,7 @@ export class FriendlyUnitData extends Object3DComponent {
         this._velocity = null
         this._targetPosition = null
         this._userTargetPosition = null
+        this._userRoute = null
         this._physicsBody = null
         return super.destroy()
     }
@@ -122,6 +125,7 @@ export class FriendlyUnitData extends Object3DComponent {
     // Movement commands
     moveTo(position) {
         this._userTargetPosition = position.clone()
+        this._userRoute = null
         this._targetPosition = position.clone()
         this._autoTargetEnemy = null
     }
@@ -129,6 +133,7 @@ export class FriendlyUnitData extends Object3DComponent {
     stopMoving() {
         this._targetPosition = null
         this._userTargetPosition = null
+        this._userRoute = null
         this._autoTargetEnemy = null
     }
 
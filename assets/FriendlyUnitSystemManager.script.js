@@ -3,6 +3,8 @@ import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import {CollisionSystem} from './CollisionSystem.js'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getGameClock} from './GameClock.js'
+import {getRoadNetwork, followRoute} from './RoadNetwork.js'
 
 /**
  * FriendlyUnitSystemManager - Centralized manager for ALL friendly units
@@ -265,18 +267,22 @@ export class FriendlyUnitSystemManager extends Object3DComponent {
             // Reached destination
             if (dist < 0.5) {
                 unit._userTargetPosition = null
+                unit._userRoute = null
                 unit._targetPosition = null
                 return
             }
 
-            // Move towards user target
-            const inputX = dx / dist
-            const inputZ = dz / dist
+            // Move along the road-preferring route (straight line once it runs out)
+            const roadNetwork = getRoadNetwork(this.ctx)
+            if (!unit._userRoute) {
+                unit._userRoute = roadNetwork.planRoute(myPos.x, myPos.z, unit._userTargetPosition.x, unit._userTargetPosition.z)
+            }
+            const direction = followRoute(unit._userRoute, myPos.x, myPos.z) || {x: dx / dist, z: dz / dist}
 
-            // Apply force via cannon-es
+            // Apply force via cannon-es (faster on roads)
             if (unit._physicsBody) {
-                const acceleration = unit.speed
-                CollisionSystem.applyMovementForce(unit._physicsBody, inputX, inputZ, acceleration)
+                const acceleration = unit.speed * roadNetwork.getSpeedMultiplier(myPos.x, myPos.z)
+                CollisionSystem.applyMovementForce(unit._physicsBody, direction.x, direction.z, acceleration)
             }
             return
         }
@@ -303,7 +309,7 @@ export class FriendlyUnitSystemManager extends Object3DComponent {
             const inputZ = dz / dist
 
             if (unit._physicsBody) {
-                const acceleration = unit.speed
+                const acceleration = unit.speed * getRoadNetwork(this.ctx).getSpeedMultiplier(myPos.x, myPos.z)
                 CollisionSystem.applyMovementForce(unit._physicsBody, inputX, inputZ, acceleration)
             }
             return
@@ -339,10 +345,13 @@ export class FriendlyUnitSystemManager extends Object3DComponent {
 
     // ==================== UPDATE LOOP ====================
 
-    update({deltaTime}) {
+    update() {
         if (!this.enabled || !this._initialized || !this._physicsWorld) return false
 
-        const dt = deltaTime / 1000
+        const clock = getGameClock()
+        if (!clock.isRunning) return false
+
+        const dt = clock.deltaTime / 1000
 
         // Update each unit
         for (const unit of this._units) {
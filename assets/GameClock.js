@@ -0,0 +1,115 @@
+/**
+ * GameClock - Shared, pausable, scalable game time
+ *
+ * Every gameplay timer (attack cooldowns, invulnerability windows, income ticks,
+ * countdowns, collision damage cooldowns) reads time from here instead of Date.now(),
+ * so pausing, slow motion and fast-forward stay in sync with physics.
+ *
+ * - Advanced once per frame by PhysicsWorldController with the viewer's deltaTime
+ * - now() is game time in ms (starts at 0, frozen while paused)
+ * - deltaTime is the scaled ms of the current frame (0 while paused)
+ * - Paused by GameStateManager outside of day/night (menu, pause, victory, game over)
+ *
+ * Plain module with NO threepipe/three dependency.
+ */
+export class GameClock {
+    // Speeds offered in the UI (0 = frozen but not "paused")
+    static TimeScales = [0, 0.5, 1, 2, 4]
+
+    constructor() {
+        this.time = 0           // Game time in ms
+        this.deltaTime = 0      // Scaled ms advanced by the last tick
+        this.timeScale = 1
+        this.paused = false
+
+        this._listeners = new Set()
+    }
+
+    /**
+     * True when game time is advancing
+     */
+    get isRunning() {
+        return !this.paused && this.timeScale > 0
+    }
+
+    now() {
+        return this.time
+    }
+
+    /**
+     * Advance game time by one frame
+     * @param {number} realDeltaTime - Viewer deltaTime in ms
+     * @returns {number} Scaled deltaTime in ms
+     */
+    tick(realDeltaTime) {
+        // Clamp huge frames (tab in background) so timers don't jump
+        const clamped = Math.min(Math.max(realDeltaTime || 0, 0), 100)
+        this.deltaTime = this.isRunning ? clamped * this.timeScale : 0
+        this.time += this.deltaTime
+        return this.deltaTime
+    }
+
+    // ==================== CONTROL ====================
+
+    setTimeScale(scale) {
+        const timeScale = Math.max(0, Number(scale) || 0)
+        if (timeScale === this.timeScale) return
+
+        this.timeScale = timeScale
+        this._notifyChanged()
+    }
+
+    pause() {
+        if (this.paused) return
+        this.paused = true
+        this._notifyChanged()
+    }
+
+    resume() {
+        if (!this.paused) return
+        this.paused = false
+        this._notifyChanged()
+    }
+
+    reset() {
+        this.time = 0
+        this.deltaTime = 0
+        this.timeScale = 1
+        this.paused = false
+        this._notifyChanged()
+    }
+
+    // ==================== CHANGE EVENTS ====================
+
+    /**
+     * Subscribe to pause / time scale changes
+     * @returns {Function} unsubscribe
+     */
+    onChange(listener) {
+        this._listeners.add(listener)
+        return () => this._listeners.delete(listener)
+    }
+
+    _notifyChanged() {
+        for (const listener of this._listeners) {
+            try {
+                listener(this)
+            } catch (error) {
+                console.error('[GameClock] Error in change listener:', error)
+            }
+        }
+    }
+}
+
+// Global singleton instance
+let gameClock = null
+
+/**
+ * Get the shared GameClock (created on first use)
+ */
+export function getGameClock() {
+    if (!gameClock) {
+        gameClock = new GameClock()
+    }
+    return gameClock
+}
@@ -0,0 +1,655 @@
+import {Object3DComponent} from 'threepipe'
+import {getGameClock, GameClock} from './GameClock.js'
+import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getNavGrid} from './NavGrid.js'
+import {getOccupancyMap} from './OccupancyMap.js'
+import {getRoadNetwork} from './RoadNetwork.js'
+import {getBreachPlanner} from './BreachPlanner.js'
+import {getLeakedTech} from './LeakedTech.js'
+import {getGasClouds} from './GasClouds.js'
+import {CollisionSystem} from './CollisionSystem.js'
+import {RagdollComponent} from './RagdollComponent.script.js'
+
+/**
+ * Game states from PRD section 9
+ */
+export const GameState = {
+    MENU: 'menu',
+    DAY: 'day',
+    NIGHT: 'night',
+    PAUSED: 'paused',
+    VICTORY: 'victory',
+    GAMEOVER: 'gameover'
+}
+
+// Components that spawn entities outside the scene file (torn down on restart)
+const RUNTIME_SPAWNER_TYPES = [
+    'RagdollComponent', 'CrowdController', 'EnemySystemManager',
+    'FriendlyUnitSystemManager', 'EVSpawner', 'SpySpawner', 'VeteranSpawner',
+    'TractorSpawner', 'HumanoidPoliceSpawner'
+]
+
+// Run state that must survive a scene reload (this component is re-created with the scene)
+let currentLevelIndex = 0
+let pendingStartState = null
+let isReloading = false
+
+/**
+ * GameStateManager - Owns the game flow (menu -> day <-> night -> victory / game over)
+ * Singleton component - DayNightManager adds one to its object if the scene has none
+ *
+ * This component:
+ * 1. Is the single authority for phase transitions (other components request them)
+ * 2. Notifies listeners on every transition (addStateListener)
+ * 3. Shows the menu, pause, victory and game-over overlays
+ * 4. Handles pause input (P / Escape)
+ * 5. Shows the game speed controls (0.5x / 1x / 2x / 4x) during day and night
+ * 6. Restarts the run / loads the next map without reloading the page (see RESET PIPELINE)
+ *
+ * The shared GameClock is paused while `isFrozen` (menu, paused, victory, game over),
+ * so every gameplay timer and the physics step stop with it.
+ */
+export class GameStateManager extends Object3DComponent {
+    static StateProperties = ['gameState', 'totalNights', 'showMenuOnStart', 'levels']
+    static ComponentType = 'GameStateManager'
+
+    gameState = GameState.MENU
+    totalNights = 3          // Survive this many nights to win (PRD section 14)
+    showMenuOnStart = true   // false = jump straight into the first day
+    levels = ['assets/main.scene.glb', 'assets/Level 2.scene.glb']  // Scene files in play order
+
+    // Internal state
+    _stateBeforePause = null
+    _gameOverReason = ''
+    _overlay = null
+    _speedControls = null
+    _listeners = new Set()
+    _handleKeyDown = null
+
+    start() {
+        if (super.start) super.start()
+
+        this._handleKeyDown = this._onKeyDown.bind(this)
+        window.addEventListener('keydown', this._handleKeyDown)
+
+        this._createSpeedControls()
+
+        // After Retry / Continue the new scene starts where the pipeline asked for
+        const initialState = pendingStartState || (this.showMenuOnStart ? GameState.MENU : GameState.DAY)
+        pendingStartState = null
+
+        this.gameState = null
+        this._setState(initialState)
+    }
+
+    stop() {
+        if (super.stop) super.stop()
+
+        window.removeEventListener('keydown', this._handleKeyDown)
+        this._removeOverlay()
+        this._removeSpeedControls()
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * True when the simulation should not advance (anything but day/night)
+     */
+    get isFrozen() {
+        return this.gameState !== GameState.DAY && this.gameState !== GameState.NIGHT
+    }
+
+    get isPaused() {
+        return this.gameState === GameState.PAUSED
+    }
+
+    // ==================== LISTENERS ====================
+
+    /**
+     * Subscribe to state transitions
+     * @param {Function} listener - (newState, oldState) => void
+     * @returns {Function} unsubscribe
+     */
+    addStateListener(listener) {
+        this._listeners.add(listener)
+        return () => this._listeners.delete(listener)
+    }
+
+    _setState(newState) {
+        const oldState = this.gameState
+        if (newState === oldState) return
+
+        this.gameState = newState
+
+        // Freeze game time outside of day/night
+        const clock = getGameClock()
+        if (this.isFrozen) {
+            clock.pause()
+        } else {
+            clock.resume()
+        }
+
+        this._updateOverlay()
+        this._updateSpeedControls()
+
+        //console.log(`[GameStateManager] ${oldState} -> ${newState}`)
+
+        for (const listener of this._listeners) {
+            try {
+                listener(newState, oldState)
+            } catch (error) {
+                console.error('[GameStateManager] Error in state listener:', error)
+            }
+        }
+    }
+
+    // ==================== TRANSITIONS ====================
+
+    startGame() {
+        if (this.gameState !== GameState.MENU) return
+        this._setState(GameState.DAY)
+    }
+
+    /**
+     * Requested by DayNightManager when the Space countdown completes
+     * @returns {boolean} true if the night started
+     */
+    startNight() {
+        if (this.gameState !== GameState.DAY) return false
+
+        const dayNightManager = this.ctx?.ecp?.getComponentOfType?.('DayNightManager')
+        if (!dayNightManager) {
+            console.warn('[GameStateManager] No DayNightManager found')
+            return false
+        }
+
+        dayNightManager.startNight()
+        this._setState(GameState.NIGHT)
+        return true
+    }
+
+    /**
+     * Requested by DayNightManager when every enemy of the night is dead
+     * Ends the night, or wins the game after the last night
+     */
+    nightCleared() {
+        if (this.gameState !== GameState.NIGHT) return
+
+        const dayNightManager = this.ctx?.ecp?.getComponentOfType?.('DayNightManager')
+        dayNightManager?.endNight()
+
+        const nightNumber = dayNightManager?.nightNumber || 0
+        if (nightNumber >= this.totalNights) {
+            this._setState(GameState.VICTORY)
+        } else {
+            this._setState(GameState.DAY)
+        }
+    }
+
+    /**
+     * Requested by CityHall when destroyed
+     */
+    gameOver(reason = '') {
+        if (this.gameState === GameState.GAMEOVER || this.gameState === GameState.VICTORY) return
+
+        this._gameOverReason = reason
+        this._setState(GameState.GAMEOVER)
+    }
+
+    pause() {
+        if (this.gameState !== GameState.DAY && this.gameState !== GameState.NIGHT) return
+
+        this._stateBeforePause = this.gameState
+        this._setState(GameState.PAUSED)
+    }
+
+    resume() {
+        if (this.gameState !== GameState.PAUSED) return
+
+        this._setState(this._stateBeforePause || GameState.DAY)
+        this._stateBeforePause = null
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resume()
+        } else {
+            this.pause()
+        }
+    }
+
+    get hasNextLevel() {
+        return currentLevelIndex + 1 < this.levels.length
+    }
+
+    /**
+     * Retry the current map from night 1
+     */
+    restartGame() {
+        return this._loadLevel(currentLevelIndex, GameState.DAY)
+    }
+
+    returnToMenu() {
+        return this._loadLevel(currentLevelIndex, GameState.MENU)
+    }
+
+    continueToNextMap() {
+        if (!this.hasNextLevel) return Promise.resolve(false)
+        return this._loadLevel(currentLevelIndex + 1, GameState.DAY)
+    }
+
+    // ==================== INPUT ====================
+
+    _onKeyDown(event) {
+        if (event.repeat) return
+
+        const isPauseKey = event.code === 'KeyP' || event.key === 'Escape'
+        if (!isPauseKey) return
+
+        // Escape cancels building placement first (handled by BuildingPlacer)
+        if (event.key === 'Escape' && !this.isPaused) {
+            if (event.defaultPrevented) return
+            const buildingPlacer = this.ctx?.ecp?.getComponentOfType?.('BuildingPlacer')
+            if (buildingPlacer?.isPlacing) return
+        }
+
+        this.togglePause()
+    }
+
+    // ==================== OVERLAYS ====================
+
+    _updateOverlay() {
+        this._removeOverlay()
+
+        switch (this.gameState) {
+            case GameState.MENU:
+                this._createOverlay({
+                    title: 'IRON DISTRICT DEFENSE',
+                    subtitle: `Survive ${this.totalNights} nights`,
+                    color: '#ffffff',
+                    showControls: true,
+                    buttons: [{label: 'Start Game', onClick: () => this.startGame()}]
+                })
+                break
+            case GameState.PAUSED:
+                this._createOverlay({
+                    title: 'PAUSED',
+                    color: '#ffffff',
+                    showControls: true,
+                    buttons: [
+                        {label: 'Resume', onClick: () => this.resume()},
+                        {label: 'Restart', onClick: () => this.restartGame()}
+                    ]
+                })
+                break
+            case GameState.VICTORY:
+                this._createOverlay({
+                    title: 'VICTORY!',
+                    subtitle: `You survived ${this.totalNights} nights`,
+                    color: '#44ff44',
+                    buttons: [
+                        ...(this.hasNextLevel ? [{label: 'Continue to next map', onClick: () => this.continueToNextMap()}] : []),
+                        {label: 'Restart', onClick: () => this.restartGame()}
+                    ]
+                })
+                break
+            case GameState.GAMEOVER:
+                this._createOverlay({
+                    title: 'GAME OVER',
+                    subtitle: this._gameOverReason,
+                    color: '#ff0000',
+                    buttons: [
+                        {label: 'Retry', onClick: () => this.restartGame()},
+                        {label: 'Menu', onClick: () => this.returnToMenu()}
+                    ]
+                })
+                break
+        }
+    }
+
+    _createOverlay({title, subtitle = '', color = '#ffffff', showControls = false, buttons = []}) {
+        this._overlay = document.createElement('div')
+        this._overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 10000;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 20px;
+            background: rgba(0, 0, 0, 0.75);
+            font-family: 'Segoe UI', Arial, sans-serif;
+            color: #ffffff;
+        `
+
+        const titleDiv = document.createElement('div')
+        titleDiv.style.cssText = `
+            font-size: 96px;
+            font-weight: bold;
+            color: ${color};
+            text-shadow: 0 0 20px ${color};
+        `
+        titleDiv.textContent = title
+        this._overlay.appendChild(titleDiv)
+
+        if (subtitle) {
+            const subtitleDiv = document.createElement('div')
+            subtitleDiv.style.fontSize = '36px'
+            subtitleDiv.textContent = subtitle
+            this._overlay.appendChild(subtitleDiv)
+        }
+
+        if (showControls) {
+            this._overlay.appendChild(this._createControlsLegend())
+        }
+
+        const buttonRow = document.createElement('div')
+        buttonRow.style.cssText = 'display: flex; gap: 16px; margin-top: 20px;'
+        for (const {label, onClick} of buttons) {
+            buttonRow.appendChild(this._createButton(label, color, onClick))
+        }
+        this._overlay.appendChild(buttonRow)
+
+        // Keep clicks on the overlay away from the game (placement, selection)
+        this._overlay.addEventListener('mousedown', (event) => event.stopPropagation())
+
+        const container = this.ctx?.viewer?.container || document.body
+        container.appendChild(this._overlay)
+    }
+
+    _createButton(label, color, onClick) {
+        const button = document.createElement('button')
+        button.style.cssText = `
+            padding: 14px 32px;
+            background: rgba(60,60,80,0.8);
+            border: 2px solid ${color};
+            border-radius: 8px;
+            color: #fff;
+            font-size: 22px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.2s;
+        `
+        button.textContent = label
+        button.onmouseenter = () => {
+            button.style.background = 'rgba(90,90,120,0.9)'
+        }
+        button.onmouseleave = () => {
+            button.style.background = 'rgba(60,60,80,0.8)'
+        }
+        button.onclick = onClick
+        return button
+    }
+
+    _createControlsLegend() {
+        const controls = [
+            ['WASD', 'Move Robot Tire'],
+            ['1-9', 'Select building (day)'],
+            ['R', 'Rotate building'],
+            ['Left Click', 'Place building / select units'],
+            ['Hold Space', 'Start the night'],
+            ['P / Esc', 'Pause']
+        ]
+
+        const legend = document.createElement('div')
+        legend.style.cssText = `
+            display: grid;
+            grid-template-columns: auto auto;
+            gap: 6px 24px;
+            padding: 16px 24px;
+            background: rgba(30,30,40,0.9);
+            border-radius: 12px;
+            border: 2px solid rgba(255,255,255,0.1);
+            font-size: 16px;
+        `
+
+        for (const [key, action] of controls) {
+            const keyDiv = document.createElement('div')
+            keyDiv.style.cssText = 'font-weight: bold; color: #ffcc44; text-align: right;'
+            keyDiv.textContent = key
+            legend.appendChild(keyDiv)
+
+            const actionDiv = document.createElement('div')
+            actionDiv.style.color = '#cccccc'
+            actionDiv.textContent = action
+            legend.appendChild(actionDiv)
+        }
+
+        return legend
+    }
+
+    _removeOverlay() {
+        if (this._overlay) {
+            this._overlay.remove()
+            this._overlay = null
+        }
+    }
+
+    // ==================== RESET PIPELINE ====================
+
+    /**
+     * Tear the current run down and rebuild it from a scene file
+     * 1. Freeze game time
+     * 2. Stop every runtime spawner (enemies, ragdolls, units, health bars, their bodies)
+     * 3. Reset module-level singletons (physics world, nav grid, occupancy, roads, leaked tech, blood canvas, cooldowns, clock)
+     * 4. Dispose the scene models (City Hall, placed buildings, managers) and load the scene file
+     *
+     * Money, City Hall health and the night counter come back with the fresh components.
+     * @returns {Promise<boolean>} true once the new scene is loaded
+     */
+    async _loadLevel(levelIndex, startState) {
+        if (isReloading) return false
+
+        const viewer = this.ctx?.viewer
+        const sceneUrl = this.levels[levelIndex]
+        if (!viewer || !sceneUrl) {
+            console.error(`[GameStateManager] Cannot load level ${levelIndex}`)
+            return false
+        }
+
+        isReloading = true
+        const loadingDiv = this._createLoadingMessage(viewer)
+
+        try {
+            getGameClock().pause()
+            this._removeOverlay()
+
+            this._teardownRuntimeEntities()
+
+            getPhysicsWorldManager()?.reset()
+            getNavGrid().reset()
+            getOccupancyMap().reset()
+            getRoadNetwork().reset()
+            getBreachPlanner().reset()
+            getLeakedTech().reset()
+            getGasClouds().reset()
+            RagdollComponent.cleanupBloodTextureStatic()
+            CollisionSystem.reset()
+            getGameClock().reset()
+
+            currentLevelIndex = levelIndex
+            pendingStartState = startState
+
+            // Components on the old models are stopped by the ECP when their objects are disposed
+            viewer.scene.disposeSceneModels()
+            await viewer.load(sceneUrl)
+
+            //console.log(`[GameStateManager] Loaded ${sceneUrl}`)
+            return true
+        } catch (error) {
+            console.error(`[GameStateManager] Failed to load ${sceneUrl}:`, error)
+            pendingStartState = null
+            return false
+        } finally {
+            loadingDiv.remove()
+            isReloading = false
+        }
+    }
+
+    _teardownRuntimeEntities() {
+        const ecp = this.ctx?.ecp
+        if (!ecp) return
+
+        for (const type of RUNTIME_SPAWNER_TYPES) {
+            for (const component of ecp.getComponentsOfType?.(type) || []) {
+                try {
+                    component.stop()
+                } catch (error) {
+                    console.error(`[GameStateManager] Error stopping ${type}:`, error)
+                }
+
+                // Ragdolls live on temporary objects added straight to the scene
+                if (type === 'RagdollComponent') {
+                    component.object?.removeFromParent()
+                }
+            }
+        }
+    }
+
+    _createLoadingMessage(viewer) {
+        const loadingDiv = document.createElement('div')
+        loadingDiv.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 10001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.85);
+            color: #ffffff;
+            font-family: 'Segoe UI', Arial, sans-serif;
+            font-size: 48px;
+            font-weight: bold;
+        `
+        loadingDiv.textContent = 'LOADING...'
+
+        const container = viewer.container || document.body
+        container.appendChild(loadingDiv)
+        return loadingDiv
+    }
+
+    // ==================== SPEED CONTROLS ====================
+
+    setTimeScale(scale) {
+        getGameClock().setTimeScale(scale)
+        this._updateSpeedControls()
+    }
+
+    _createSpeedControls() {
+        this._removeSpeedControls()
+
+        this._speedControls = document.createElement('div')
+        this._speedControls.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            z-index: 1000;
+            display: flex;
+            gap: 6px;
+            padding: 8px 10px;
+            background: linear-gradient(180deg, rgba(30,30,40,0.95) 0%, rgba(20,20,30,0.98) 100%);
+            border-radius: 10px;
+            border: 2px solid rgba(255,255,255,0.1);
+            font-family: 'Segoe UI', Arial, sans-serif;
+        `
+
+        // 0x is left to the pause key
+        for (const scale of GameClock.TimeScales.filter(s => s > 0)) {
+            const button = document.createElement('button')
+            button.dataset.timeScale = scale
+            button.textContent = `${scale}x`
+            button.style.cssText = `
+                padding: 6px 12px;
+                border-radius: 6px;
+                color: #fff;
+                font-size: 14px;
+                font-weight: bold;
+                cursor: pointer;
+                transition: all 0.2s;
+            `
+            button.onclick = () => this.setTimeScale(scale)
+            this._speedControls.appendChild(button)
+        }
+
+        // Keep clicks away from the game (placement, selection)
+        this._speedControls.addEventListener('mousedown', (event) => event.stopPropagation())
+
+        const container = this.ctx?.viewer?.container || document.body
+        container.appendChild(this._speedControls)
+
+        this._updateSpeedControls()
+    }
+
+    _updateSpeedControls() {
+        if (!this._speedControls) return
+
+        this._speedControls.style.display = this.isFrozen ? 'none' : 'flex'
+
+        const timeScale = getGameClock().timeScale
+        for (const button of this._speedControls.children) {
+            const isActive = Number(button.dataset.timeScale) === timeScale
+            button.style.background = isActive ? 'rgba(80,120,200,0.6)' : 'rgba(60,60,80,0.5)'
+            button.style.border = isActive ? '2px solid #88aaff' : '2px solid rgba(255,255,255,0.15)'
+        }
+    }
+
+    _removeSpeedControls() {
+        if (this._speedControls) {
+            this._speedControls.remove()
+            this._speedControls = null
+        }
+    }
+
+    // ==================== UI CONFIG ====================
+
+    StartGame = () => {
+        this.startGame()
+    }
+
+    TogglePause = () => {
+        this.togglePause()
+    }
+
+    TriggerVictory = () => {
+        this._setState(GameState.VICTORY)
+    }
+
+    TriggerGameOver = () => {
+        this.gameOver('Debug')
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: 'Game State Manager',
+        children: [
+            {
+                type: 'button',
+                label: 'Start Game',
+                onClick: this.StartGame,
+            },
+            {
+                type: 'button',
+                label: 'Toggle Pause',
+                onClick: this.TogglePause,
+            },
+            {
+                type: 'button',
+                label: 'Trigger Victory',
+                onClick: this.TriggerVictory,
+            },
+            {
+                type: 'button',
+                label: 'Trigger Game Over',
+                onClick: this.TriggerGameOver,
+            },
+        ],
+    }
+}
+
+/**
+ * Get the GameStateManager singleton (null if the scene doesn't have one yet)
+ */
+export function getGameStateManager(ctx) {
+    return ctx?.ecp?.getComponentOfType?.('GameStateManager')
+}
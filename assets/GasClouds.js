@@ -0,0 +1,62 @@
+/**
+ * GasClouds - Tear gas on the ground, shared by every crowd
+ *
+ * Police drop clouds (PlayerController tear gas ability); CrowdController reads
+ * moraleLossAt() every frame, so members standing inside lose morale until
+ * the cloud clears. Times are GameClock ms.
+ *
+ * Plain module with NO threepipe/three dependency.
+ */
+export class GasClouds {
+    constructor() {
+        this.clouds = []  // {x, z, radius, lossPerSec, until}
+    }
+
+    /**
+     * Drop a cloud that lasts `durationMs` from `now`
+     */
+    add(x, z, radius, durationMs, lossPerSec, now) {
+        const cloud = {x, z, radius, lossPerSec, until: now + durationMs}
+        this.clouds.push(cloud)
+        return cloud
+    }
+
+    /**
+     * Forget clouds that cleared
+     */
+    prune(now) {
+        this.clouds = this.clouds.filter(cloud => cloud.until > now)
+    }
+
+    /**
+     * Morale lost per second at (x, z) - overlapping clouds stack
+     */
+    moraleLossAt(x, z) {
+        let loss = 0
+        for (const cloud of this.clouds) {
+            const dx = cloud.x - x
+            const dz = cloud.z - z
+            if (dx * dx + dz * dz <= cloud.radius * cloud.radius) {
+                loss += cloud.lossPerSec
+            }
+        }
+        return loss
+    }
+
+    /**
+     * Clear every cloud (restart / next map)
+     */
+    reset() {
+        this.clouds = []
+    }
+}
+
+// Global singleton instance
+let gasClouds = null
+
+export function getGasClouds() {
+    if (!gasClouds) {
+        gasClouds = new GasClouds()
+    }
+    return gasClouds
+}
@@ -7,7 +7,9 @@ import * as THREE from 'three'
  * Attach to any object to display a grid. The grid will be drawn
  * at the object's Y position, extending in the XZ plane.
  *
- * Can also highlight specific cells (used by BuildingPlacer)
+ * Can also highlight specific cells (used by BuildingPlacer):
+ * - showHighlight: one tinted rectangle over a footprint
+ * - showCellHighlights: one tile per cell, red where the cell is blocked
  */
 export class GridVisual extends Object3DComponent {
     static StateProperties = [
@@ -28,6 +30,10 @@ export class GridVisual extends Object3DComponent {
     _gridHelper = null
     _highlightMesh = null
     _highlightMaterial = null
+    _cellHighlightGroup = null
+    _cellGeometry = null
+    _cellOpenMaterial = null
+    _cellBlockedMaterial = null
 
     constructor() {
         super()
@@ -144,6 +150,30 @@ export class GridVisual extends Object3DComponent {
         this._highlightMesh.name = 'GridCellHighlight'
 
         this.ctx?.viewer?.scene?.add(this._highlightMesh)
+
+        // Per-cell tiles share one geometry and two materials, meshes are pooled
+        this._cellGeometry = new THREE.PlaneGeometry(this.gridSize * 0.9, this.gridSize * 0.9)
+        this._cellGeometry.rotateX(-Math.PI / 2)
+        this._cellOpenMaterial = new THREE.MeshBasicMaterial({
+            color: 0x44ff44,
+            transparent: true,
+            opacity: 0.35,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })
+        this._cellBlockedMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff2222,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })
+
+        this._cellHighlightGroup = new THREE.Group()
+        this._cellHighlightGroup.name = 'GridCellHighlights'
+        this._cellHighlightGroup.visible = false
+
+        this.ctx?.viewer?.scene?.add(this._cellHighlightGroup)
     }
 
     _removeHighlight() {
@@ -154,6 +184,17 @@ export class GridVisual extends Object3DComponent {
             this._highlightMesh = null
             this._highlightMaterial = null
         }
+
+        if (this._cellHighlightGroup) {
+            this._cellHighlightGroup.removeFromParent()
+            this._cellGeometry?.dispose()
+            this._cellOpenMaterial?.dispose()
+            this._cellBlockedMaterial?.dispose()
+            this._cellHighlightGroup = null
+            this._cellGeometry = null
+            this._cellOpenMaterial = null
+            this._cellBlockedMaterial = null
+        }
     }
 
     /**
@@ -191,6 +232,34 @@ export class GridVisual extends Object3DComponent {
         this._highlightMesh.visible = true
     }
 
+    /**
+     * Show one tile per cell
+     * @param {Array<{worldX: number, worldZ: number, blocked: boolean}>} cells - Cell centers in world space
+     */
+    showCellHighlights(cells) {
+        const group = this._cellHighlightGroup
+        if (!group) return
+
+        // Grow the pool as needed, hide the unused tiles
+        while (group.children.length < cells.length) {
+            const tile = new THREE.Mesh(this._cellGeometry, this._cellOpenMaterial)
+            tile.name = 'GridCellTile'
+            tile.renderOrder = 1
+            group.add(tile)
+        }
+
+        group.children.forEach((tile, index) => {
+            const cell = cells[index]
+            tile.visible = !!cell
+            if (!cell) return
+
+            tile.position.set(cell.worldX, 0.025, cell.worldZ)
+            tile.material = cell.blocked ? this._cellBlockedMaterial : this._cellOpenMaterial
+        })
+
+        group.visible = cells.length > 0
+    }
+
     /**
      * Hide the cell highlight
      */
@@ -198,6 +267,9 @@ export class GridVisual extends Object3DComponent {
         if (this._highlightMesh) {
             this._highlightMesh.visible = false
         }
+        if (this._cellHighlightGroup) {
+            this._cellHighlightGroup.visible = false
+        }
     }
 
     /**
@@ -1,6 +1,50 @@
 import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 
+// Humanoid police stats (RobotTireController overrides; balanced units)
+export const HUMANOID_POLICE_STATS = {
+    health: 50,
+    maxHealth: 50,
+    armor: 2,
+    damage: 10,
+    nonLethal: true,    // batons: arrests instead of kills
+    baseSpeed: 8,       // medium
+    mass: 10,           // standard
+    detectionRange: 25,
+    attackRange: 2
+}
+
+/**
+ * Create one police unit: a RobotTireController with stat overrides
+ * (shared with AdvancedFactory, which builds units at dawn)
+ * @param {Object} options - {x, y, z, name, stats, parent (default: scene root)}
+ * @returns {THREE.Object3D|null} Unit object
+ */
+export function spawnPoliceUnit(ctx, {x, y = 0, z, name, stats = {}, parent = null}) {
+    const scene = ctx?.viewer?.scene
+    if (!scene || !ctx?.ecp) return null
+
+    const unitObj = new THREE.Group()
+    unitObj.position.set(x, y, z)
+    unitObj.name = name
+
+    // Add to scene (or the given parent)
+    const root = parent || scene
+    root.add(unitObj)
+
+    // Add RobotTireController component
+    ctx.ecp.addComponent(unitObj, 'RobotTireController')
+    const controller = EntityComponentPlugin.GetComponent(unitObj, 'RobotTireController')
+    if (!controller) {
+        console.error(`[HumanoidPoliceSpawner] Failed to get RobotTireController for ${name}`)
+        unitObj.removeFromParent()
+        return null
+    }
+
+    Object.assign(controller, stats)
+    return unitObj
+}
+
 /**
  * HumanoidPoliceSpawner - Spawns humanoid police units (balanced units)
  * Attach to empty objects to designate spawn points
@@ -17,16 +61,6 @@ static StateProperties = [
     spawnRadius = 2.0
     autoSpawn = true  // spawn at game start
 
-    // Humanoid Police stats (same as default RobotTireController)
-    _policeHealth = 50
-    _policeMaxHealth = 50
-    _policeArmor = 2
-    _policeDamage = 10
-    _policeSpeed = 8  // medium
-    _policeMass = 10  // standard
-    _policeDetectionRange = 25
-    _policeAttackRange = 2
-
     // Internal state
     _spawnedUnits = []
 
@@ -77,34 +111,17 @@ static StateProperties = [
             const x = spawnerPos.x + Math.cos(angle) * radius
             const z = spawnerPos.z + Math.sin(angle) * radius
 
-            // Create unit object
-            const unitObj = new THREE.Group()
-            unitObj.position.set(x, spawnerPos.y, z)
-            unitObj.name = `HumanoidPolice_${i}`
-
-            // Add to scene
-            scene.add(unitObj)
-
-            // Add RobotTireController component
-            this.ctx.ecp.addComponent(unitObj, 'RobotTireController')
-            const controller = EntityComponentPlugin.GetComponent(unitObj, 'RobotTireController')
-
-            if (controller) {
-                // Configure humanoid police stats
-                controller.health = this._policeHealth
-                controller.maxHealth = this._policeMaxHealth
-                controller.armor = this._policeArmor
-                controller.damage = this._policeDamage
-                controller.baseSpeed = this._policeSpeed
-                controller.mass = this._policeMass
-                controller.detectionRange = this._policeDetectionRange
-                controller.attackRange = this._policeAttackRange
+            const unitObj = spawnPoliceUnit(this.ctx, {
+                x,
+                y: spawnerPos.y,
+                z,
+                name: `HumanoidPolice_${i}`,
+                stats: HUMANOID_POLICE_STATS
+            })
 
+            if (unitObj) {
                 this._spawnedUnits.push(unitObj)
                 //console.log(`[HumanoidPoliceSpawner] Spawned humanoid police ${i + 1}/${this.spawnCount} at (${x.toFixed(1)}, ${z.toFixed(1)})`)
-            } else {
-                console.error('[HumanoidPoliceSpawner] Failed to get RobotTireController for humanoid police', i)
-                scene.remove(unitObj)
             }
         }
 
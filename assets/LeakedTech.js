@@ -0,0 +1,163 @@
+import {TargetKind} from './Targeting.js'
+
+/**
+ * LeakedTech - Enemy faction unlocks leaked from destroyed industry
+ *
+ * GAME.md: enemies "can also get it by destroying industrial centers (secret leaked)".
+ * Every production building (TARGET_KINDS.production) an enemy destroys leaks one tech
+ * the faction doesn't have yet (LEAKED_TECHS). Techs last for the rest of the run
+ * (reset by the GameStateManager reset pipeline) and feed:
+ * - Wave composition: earlier unlock nights (DifficultyDirector) and extra wave entries (applyToWaves)
+ * - Stat configs: spawners read getStatBonus(enemyType) (CrowdController, EVSpawner)
+ * - The night-start briefing (DayNightManager, takeBriefing)
+ */
+
+export const LEAKED_TECHS = {
+    evSchematics: {
+        label: 'EV schematics',
+        description: 'An extra EV rolls out on nights without one',
+        waves: [{type: 'ev', count: 1, intervalSec: 0, entry: 'randomEdge', delaySec: 30}]
+    },
+    heavyMachinery: {
+        label: 'Heavy machinery',
+        description: 'Tractors can join from night 2',
+        // Leaks happen during a night, so unlocks only matter from the night after (2+)
+        unlockNights: {tractor: 2}
+    },
+    bodyArmor: {
+        label: 'Body armor',
+        description: 'Crowd members shrug off 2 damage per hit',
+        stats: {crowd: {armorBonus: 2}}
+    },
+    batteryPacks: {
+        label: 'Battery packs',
+        description: 'EVs are 30% faster and 25% tougher',
+        stats: {ev: {speedMultiplier: 1.3, healthMultiplier: 1.25}}
+    }
+}
+
+export class LeakedTech {
+    constructor() {
+        this.acquired = []          // [{id, source, time}] in order of acquisition
+        this._pending = []          // Tech ids leaked since the last briefing
+        this._reported = new WeakSet()  // Buildings that already leaked
+    }
+
+    has(id) {
+        return this.acquired.some(tech => tech.id === id)
+    }
+
+    // ==================== LEAKS ====================
+
+    /**
+     * Call after an enemy hit its target: leaks a tech if the hit destroyed a production building
+     * @param {{kind: string, object: Object, component: Object}} selection - Targeting selection
+     * @returns {string|null} Leaked tech id
+     */
+    onTargetHit(selection, now = 0) {
+        const building = selection?.component
+        if (selection?.kind !== TargetKind.PRODUCTION || !building || building.isAlive !== false) return null
+        if (this._reported.has(building)) return null
+
+        this._reported.add(building)
+        return this.leak(building.object?.name || building.constructor?.ComponentType || 'industry', now)
+    }
+
+    /**
+     * Grant a random tech the faction doesn't have yet
+     * @returns {string|null} Tech id (null once everything has leaked)
+     */
+    leak(source, now = 0) {
+        const remaining = Object.keys(LEAKED_TECHS).filter(id => !this.has(id))
+        if (remaining.length === 0) return null
+
+        const id = remaining[Math.floor(Math.random() * remaining.length)]
+        this.acquired.push({id, source, time: now})
+        this._pending.push(id)
+
+        //console.log(`[LeakedTech] ${source} destroyed - enemies acquired ${LEAKED_TECHS[id].label}`)
+        return id
+    }
+
+    // ==================== EFFECTS ====================
+
+    /**
+     * First night an enemy type may appear (the earliest of the default and any leaked unlock)
+     */
+    getUnlockNight(enemyType, defaultNight) {
+        let night = defaultNight
+        for (const {id} of this.acquired) {
+            const unlock = LEAKED_TECHS[id].unlockNights?.[enemyType]
+            if (unlock !== undefined) night = Math.min(night, unlock)
+        }
+        return night
+    }
+
+    /**
+     * Combined stat bonus of all acquired techs for an enemy type
+     * @returns {{healthMultiplier: number, speedMultiplier: number, damageMultiplier: number, armorBonus: number}}
+     */
+    getStatBonus(enemyType) {
+        const bonus = {healthMultiplier: 1, speedMultiplier: 1, damageMultiplier: 1, armorBonus: 0}
+        for (const {id} of this.acquired) {
+            const stats = LEAKED_TECHS[id].stats?.[enemyType]
+            if (!stats) continue
+
+            bonus.healthMultiplier *= stats.healthMultiplier ?? 1
+            bonus.speedMultiplier *= stats.speedMultiplier ?? 1
+            bonus.damageMultiplier *= stats.damageMultiplier ?? 1
+            bonus.armorBonus += stats.armorBonus ?? 0
+        }
+        return bonus
+    }
+
+    /**
+     * A night's wave entries plus the entries leaked techs add
+     * (skipped when the night already has that enemy type)
+     */
+    applyToWaves(waves) {
+        const result = [...waves]
+        for (const {id} of this.acquired) {
+            for (const entry of LEAKED_TECHS[id].waves || []) {
+                if (!result.some(existing => existing.type === entry.type)) {
+                    result.push({...entry})
+                }
+            }
+        }
+        return result
+    }
+
+    // ==================== BRIEFING ====================
+
+    /**
+     * Techs for the night-start briefing; new ones are only reported once
+     * @returns {{newTechs: Array<Object>, activeTechs: Array<Object>}} LEAKED_TECHS entries
+     */
+    takeBriefing() {
+        const newTechs = this._pending.map(id => LEAKED_TECHS[id])
+        this._pending = []
+        return {
+            newTechs,
+            activeTechs: this.acquired.map(({id}) => LEAKED_TECHS[id])
+        }
+    }
+
+    /**
+     * Forget every leak (restart / next map)
+     */
+    reset() {
+        this.acquired = []
+        this._pending = []
+        this._reported = new WeakSet()
+    }
+}
+
+// Global singleton instance
+let leakedTech = null
+
+export function getLeakedTech() {
+    if (!leakedTech) {
+        leakedTech = new LeakedTech()
+    }
+    return leakedTech
+}
@@ -1,4 +1,6 @@
 import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
+import {getGameClock} from './GameClock.js'
+import {getResourceLedger} from './ResourceLedger.script.js'
 
 /**
  * MoneyCounter - Manages money and displays counter UI
@@ -9,6 +11,8 @@ import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
  * - Display: "$X" (HTML overlay)
  * - Starting money: $500
  * - City Hall generates +$10/sec baseline
+ *
+ * Other resources (food, workers, GPUs, ...) live in the ResourceLedger
  */
 export class MoneyCounter extends Object3DComponent {
     static StateProperties = [
@@ -30,7 +34,13 @@ export class MoneyCounter extends Object3DComponent {
         if (super.start) super.start()
 
         this.money = this.startingMoney
-        this._lastIncomeTime = Date.now()
+        this._lastIncomeTime = getGameClock().now()
+
+        // Non-money resources live in the ResourceLedger - add one if the scene doesn't have it
+        if (!getResourceLedger(this.ctx) && this.ctx?.ecp && this.object) {
+            this.ctx.ecp.addComponent(this.object, 'ResourceLedger')
+        }
+
         this._createUI()
         this._updateUI()
     }
@@ -104,6 +114,7 @@ export class MoneyCounter extends Object3DComponent {
         this.money += amount
         this._updateUI()
         this._flashUI('#44ff44') // Green flash for income
+        getResourceLedger(this.ctx)?.moneyChanged(amount)
     }
 
     /**
@@ -116,6 +127,7 @@ export class MoneyCounter extends Object3DComponent {
         }
         this.money -= amount
         this._updateUI()
+        getResourceLedger(this.ctx)?.moneyChanged(-amount)
         return true
     }
 
@@ -153,6 +165,9 @@ export class MoneyCounter extends Object3DComponent {
         const cityHall = this.ctx?.ecp?.getComponentOfType?.('CityHall')
         if (!cityHall || !cityHall.isAlive) return
 
+        // Spies halt the income while the sabotage lasts
+        if (cityHall.isSabotaged) return
+
         // Generate income
         this.addMoney(this.cityHallIncomePerSec)
     }
@@ -160,7 +175,10 @@ export class MoneyCounter extends Object3DComponent {
     update({deltaTime}) {
         if (!this.object) return false
 
-        const now = Date.now()
+        const clock = getGameClock()
+        if (!clock.isRunning) return false
+
+        const now = clock.now()
 
         // Generate City Hall income periodically
         if (now - this._lastIncomeTime >= this._incomeInterval) {
@@ -0,0 +1,358 @@
+/**
+ * NavGrid - Shared walkable/blocked grid used by ALL pathfinders
+ *
+ * This service:
+ * 1. Tracks the walkable map bounds (detected from the ground plane)
+ * 2. Rasterizes blocking buildings (City Hall, Barricades, ...) into blocked cells
+ * 3. Updates incrementally when a building is added or removed
+ *
+ * Buildings register themselves with addObstacle() in start() and
+ * remove themselves with removeObstacle() when destroyed/stopped.
+ *
+ * Cells use the same convention as GridVisual.getGridCell():
+ * cell = Math.round(world / cellSize), cell center = cell * cellSize
+ */
+export class NavGrid {
+    constructor(options = {}) {
+        const {
+            cellSize = 1,
+            agentRadius = 0.5,  // Obstacles are inflated by this so agents don't clip corners
+            extent = 50         // Fallback half-size of the map when no ground plane is found
+        } = options
+
+        this.cellSize = cellSize
+        this.agentRadius = agentRadius
+
+        // Bounds in cell coordinates (inclusive)
+        this.minX = -Math.round(extent / cellSize)
+        this.maxX = Math.round(extent / cellSize)
+        this.minZ = -Math.round(extent / cellSize)
+        this.maxZ = Math.round(extent / cellSize)
+        this.boundsInitialized = false
+
+        // Blocked cells: cellKey -> number of obstacles covering it
+        this._blockedCells = new Map()
+
+        // Obstacle owner -> {footprint, cells}
+        this._obstacles = new Map()
+
+        // Incremented on every change so consumers can invalidate caches
+        this.version = 0
+        this._listeners = new Set()
+    }
+
+    // ==================== COORDINATES ====================
+
+    _key(cx, cz) {
+        return `${cx},${cz}`
+    }
+
+    worldToCell(x, z) {
+        return {
+            x: Math.round(x / this.cellSize),
+            z: Math.round(z / this.cellSize)
+        }
+    }
+
+    cellToWorld(cx, cz) {
+        return {
+            x: cx * this.cellSize,
+            z: cz * this.cellSize
+        }
+    }
+
+    // ==================== QUERIES ====================
+
+    inBounds(cx, cz) {
+        return cx >= this.minX && cx <= this.maxX && cz >= this.minZ && cz <= this.maxZ
+    }
+
+    isBlocked(cx, cz) {
+        return this._blockedCells.has(this._key(cx, cz))
+    }
+
+    isWalkable(cx, cz) {
+        return this.inBounds(cx, cz) && !this.isBlocked(cx, cz)
+    }
+
+    isWorldWalkable(x, z) {
+        const cell = this.worldToCell(x, z)
+        return this.isWalkable(cell.x, cell.z)
+    }
+
+    /**
+     * Find the closest walkable cell to (cx, cz), searching outward ring by ring
+     * @returns {{x: number, z: number} | null}
+     */
+    findNearestWalkable(cx, cz, maxRadius = 10) {
+        if (this.isWalkable(cx, cz)) return {x: cx, z: cz}
+
+        for (let r = 1; r <= maxRadius; r++) {
+            let best = null
+            let bestDist = Infinity
+
+            for (let dx = -r; dx <= r; dx++) {
+                for (let dz = -r; dz <= r; dz++) {
+                    // Only the ring at distance r (Chebyshev)
+                    if (Math.abs(dx) !== r && Math.abs(dz) !== r) continue
+
+                    const x = cx + dx
+                    const z = cz + dz
+                    if (!this.isWalkable(x, z)) continue
+
+                    const dist = dx * dx + dz * dz
+                    if (dist < bestDist) {
+                        bestDist = dist
+                        best = {x, z}
+                    }
+                }
+            }
+
+            if (best) return best
+        }
+
+        return null
+    }
+
+    // ==================== BOUNDS ====================
+
+    setBounds(minWorldX, maxWorldX, minWorldZ, maxWorldZ) {
+        // Keep whole cells on the ground (cell centers at least half a cell from the edge)
+        const half = this.cellSize / 2
+        this.minX = Math.ceil((minWorldX + half) / this.cellSize)
+        this.maxX = Math.floor((maxWorldX - half) / this.cellSize)
+        this.minZ = Math.ceil((minWorldZ + half) / this.cellSize)
+        this.maxZ = Math.floor((maxWorldZ - half) / this.cellSize)
+        this.boundsInitialized = true
+        this._notifyChanged()
+    }
+
+    /**
+     * Detect map bounds from the ground plane in the scene
+     * (same naming convention as PhysicsWorldManager / RagdollComponent)
+     */
+    initializeBoundsFromScene(scene) {
+        if (this.boundsInitialized || !scene) return
+
+        let ground = null
+        scene.traverse((obj) => {
+            if (ground || !obj.isMesh) return
+            const name = obj.name?.toLowerCase() || ''
+            if (name === 'plane' || name.includes('ground') || name.includes('floor')) {
+                ground = obj
+            }
+        })
+
+        if (!ground) {
+            //console.log('[NavGrid] No ground plane found, using default bounds')
+            return
+        }
+
+        ground.updateWorldMatrix(true, false)
+        if (!ground.geometry.boundingBox) ground.geometry.computeBoundingBox()
+        const box = ground.geometry.boundingBox.clone().applyMatrix4(ground.matrixWorld)
+        if (box.isEmpty()) return
+
+        this.setBounds(box.min.x, box.max.x, box.min.z, box.max.z)
+        //console.log(`[NavGrid] Bounds from ground: x[${this.minX}, ${this.maxX}] z[${this.minZ}, ${this.maxZ}]`)
+    }
+
+    // ==================== OBSTACLES ====================
+
+    /**
+     * Register (or update) a blocking footprint
+     * @param {Object} owner - Building component that owns the footprint
+     * @param {Object} footprint - {x, z, width, depth, rotation} in world units
+     *                             (width along local X, depth along local Z, rotation around Y)
+     */
+    addObstacle(owner, footprint) {
+        if (!owner || !footprint) return
+
+        if (this._obstacles.has(owner)) {
+            this._unrasterize(owner)
+        }
+
+        const cells = this._rasterize(footprint)
+        for (const key of cells) {
+            this._blockedCells.set(key, (this._blockedCells.get(key) || 0) + 1)
+        }
+
+        this._obstacles.set(owner, {footprint, cells})
+        this._notifyChanged()
+    }
+
+    removeObstacle(owner) {
+        if (!this._obstacles.has(owner)) return
+
+        this._unrasterize(owner)
+        this._obstacles.delete(owner)
+        this._notifyChanged()
+    }
+
+    hasObstacle(owner) {
+        return this._obstacles.has(owner)
+    }
+
+    /**
+     * Footprint an obstacle was registered with (world units, not inflated)
+     * @returns {{x, z, width, depth, rotation} | null}
+     */
+    getObstacleFootprint(owner) {
+        return this._obstacles.get(owner)?.footprint || null
+    }
+
+    /**
+     * Cells blocked by an obstacle
+     * @returns {Array<{x: number, z: number}>}
+     */
+    getObstacleCells(owner) {
+        const entry = this._obstacles.get(owner)
+        if (!entry) return []
+
+        return entry.cells.map((key) => {
+            const [x, z] = key.split(',').map(Number)
+            return {x, z}
+        })
+    }
+
+    /**
+     * Cells of the obstacles covering a cell - a building's own footprint, without
+     * the buildings placed against it
+     * @returns {Array<{x: number, z: number}>}
+     */
+    getObstacleCellsAt(cx, cz) {
+        const key = this._key(cx, cz)
+        const cells = []
+        for (const [owner, entry] of this._obstacles) {
+            if (entry.cells.includes(key)) cells.push(...this.getObstacleCells(owner))
+        }
+        return cells
+    }
+
+    /**
+     * Number of obstacles covering a cell (0 = not blocked)
+     */
+    getObstacleCount(cx, cz) {
+        return this._blockedCells.get(this._key(cx, cz)) || 0
+    }
+
+    _unrasterize(owner) {
+        const entry = this._obstacles.get(owner)
+        if (!entry) return
+
+        for (const key of entry.cells) {
+            const count = (this._blockedCells.get(key) || 0) - 1
+            if (count > 0) {
+                this._blockedCells.set(key, count)
+            } else {
+                this._blockedCells.delete(key)
+            }
+        }
+    }
+
+    /**
+     * Collect every cell whose center lies inside the (inflated) oriented footprint
+     */
+    _rasterize(footprint) {
+        const {x, z, width = 1, depth = 1, rotation = 0} = footprint
+
+        const halfW = width / 2 + this.agentRadius
+        const halfD = depth / 2 + this.agentRadius
+        const cos = Math.cos(rotation)
+        const sin = Math.sin(rotation)
+
+        // Conservative world-space bounding radius for the scan
+        const reach = Math.sqrt(halfW * halfW + halfD * halfD)
+        const min = this.worldToCell(x - reach, z - reach)
+        const max = this.worldToCell(x + reach, z + reach)
+
+        const cells = []
+        for (let cx = min.x; cx <= max.x; cx++) {
+            for (let cz = min.z; cz <= max.z; cz++) {
+                const world = this.cellToWorld(cx, cz)
+                const dx = world.x - x
+                const dz = world.z - z
+
+                // Rotate into footprint-local space (inverse of three.js Y rotation)
+                const localX = dx * cos - dz * sin
+                const localZ = dx * sin + dz * cos
+
+                if (Math.abs(localX) < halfW && Math.abs(localZ) < halfD) {
+                    cells.push(this._key(cx, cz))
+                }
+            }
+        }
+
+        return cells
+    }
+
+    /**
+     * Forget all obstacles and bounds (restart / level change)
+     * Bounds are detected again from the next scene's ground plane
+     */
+    reset() {
+        this._blockedCells.clear()
+        this._obstacles.clear()
+        this.boundsInitialized = false
+        this._notifyChanged()
+    }
+
+    // ==================== CHANGE EVENTS ====================
+
+    /**
+     * Subscribe to grid changes
+     * @returns {Function} unsubscribe
+     */
+    onChange(listener) {
+        this._listeners.add(listener)
+        return () => this._listeners.delete(listener)
+    }
+
+    _notifyChanged() {
+        this.version++
+        for (const listener of this._listeners) {
+            try {
+                listener(this)
+            } catch (error) {
+                console.error('[NavGrid] Error in change listener:', error)
+            }
+        }
+    }
+}
+
+/**
+ * Distance from (x, z) to the edge of an oriented footprint (0 inside)
+ * @param {Object} footprint - {x, z, width, depth, rotation}, as passed to addObstacle()
+ */
+export function distanceToFootprint(footprint, x, z) {
+    const {width = 1, depth = 1, rotation = 0} = footprint
+    const dx = x - footprint.x
+    const dz = z - footprint.z
+
+    // Rotate into footprint-local space (same convention as NavGrid._rasterize)
+    const cos = Math.cos(rotation)
+    const sin = Math.sin(rotation)
+    const outX = Math.max(0, Math.abs(dx * cos - dz * sin) - width / 2)
+    const outZ = Math.max(0, Math.abs(dx * sin + dz * cos) - depth / 2)
+    return Math.sqrt(outX * outX + outZ * outZ)
+}
+
+// Global singleton instance
+let navGrid = null
+
+/**
+ * Get the shared NavGrid (created on first use)
+ * Pass ctx to lazily detect the map bounds from the scene's ground plane
+ */
+export function getNavGrid(ctx = null) {
+    if (!navGrid) {
+        navGrid = new NavGrid()
+    }
+
+    const scene = ctx?.viewer?.scene
+    if (scene && !navGrid.boundsInitialized) {
+        navGrid.initializeBoundsFromScene(scene)
+    }
+
+    return navGrid
+}
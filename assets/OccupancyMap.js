@@ -0,0 +1,192 @@
+/**
+ * OccupancyMap - Which grid cells are taken by a building
+ *
+ * This service:
+ * 1. Turns a building footprint (gridWidth x gridDepth, rotated in 90 degree steps)
+ *    into whole grid cells
+ * 2. Records the cells of every building (City Hall, Barricades, Roads, ...)
+ * 3. Answers overlap queries for BuildingPlacer
+ *
+ * Buildings register themselves with addBuilding() in start() and
+ * remove themselves with removeBuilding() when destroyed/stopped.
+ *
+ * Cells are keyed by GridVisual.getGridCell():
+ * cell = Math.round(world / gridSize), cell center = cell * gridSize
+ */
+export class OccupancyMap {
+    constructor(ctx = null) {
+        this.ctx = ctx
+
+        // Occupied cells: cellKey -> Set of owners covering it
+        this._cells = new Map()
+
+        // Building owner -> {footprint, keys}
+        this._buildings = new Map()
+    }
+
+    // ==================== COORDINATES ====================
+
+    _key(cellX, cellZ) {
+        return `${cellX},${cellZ}`
+    }
+
+    _getGridVisual() {
+        return this.ctx?.ecp?.getComponentOfType?.('GridVisual')
+    }
+
+    get gridSize() {
+        return this._getGridVisual()?.gridSize || 1
+    }
+
+    getGridCell(x, z) {
+        const gridVisual = this._getGridVisual()
+        if (gridVisual) return gridVisual.getGridCell(x, z)
+
+        const cellX = Math.round(x)
+        const cellZ = Math.round(z)
+        return {cellX, cellZ, worldX: cellX, worldZ: cellZ}
+    }
+
+    // ==================== FOOTPRINTS ====================
+
+    /**
+     * Footprint size in cells after rotation (width/depth swap at 90 and 270 degrees)
+     */
+    static getRotatedSize(gridWidth, gridDepth, rotation = 0) {
+        const quarterTurns = Math.round(rotation / (Math.PI / 2))
+        return Math.abs(quarterTurns % 2) === 1
+            ? {width: gridDepth, depth: gridWidth}
+            : {width: gridWidth, depth: gridDepth}
+    }
+
+    /**
+     * Snap a footprint center so the footprint covers whole cells
+     * (odd sizes center on a cell, even sizes on a cell edge)
+     * @returns {{x: number, z: number}}
+     */
+    snapFootprint(x, z, gridWidth = 1, gridDepth = 1, rotation = 0) {
+        const {width, depth} = OccupancyMap.getRotatedSize(gridWidth, gridDepth, rotation)
+        const size = this.gridSize
+
+        const firstX = Math.round(x / size - (width - 1) / 2)
+        const firstZ = Math.round(z / size - (depth - 1) / 2)
+        return {
+            x: (firstX + (width - 1) / 2) * size,
+            z: (firstZ + (depth - 1) / 2) * size
+        }
+    }
+
+    /**
+     * Cells covered by a footprint centered at (x, z)
+     * @returns {Array<{cellX: number, cellZ: number, worldX: number, worldZ: number}>}
+     */
+    getFootprintCells({x, z, gridWidth = 1, gridDepth = 1, rotation = 0}) {
+        const {width, depth} = OccupancyMap.getRotatedSize(gridWidth, gridDepth, rotation)
+        const size = this.gridSize
+        const cells = []
+
+        for (let i = 0; i < width; i++) {
+            for (let j = 0; j < depth; j++) {
+                const cell = this.getGridCell(
+                    x + (i - (width - 1) / 2) * size,
+                    z + (j - (depth - 1) / 2) * size
+                )
+                cells.push(cell)
+            }
+        }
+
+        return cells
+    }
+
+    // ==================== BUILDINGS ====================
+
+    /**
+     * Record the cells of a building (re-registering replaces the old footprint)
+     * @param {Object} owner - Usually the building component
+     * @param {{x: number, z: number, gridWidth: number, gridDepth: number, rotation: number}} footprint
+     */
+    addBuilding(owner, footprint) {
+        if (this._buildings.has(owner)) {
+            this.removeBuilding(owner)
+        }
+
+        const keys = this.getFootprintCells(footprint).map(cell => this._key(cell.cellX, cell.cellZ))
+        for (const key of keys) {
+            let owners = this._cells.get(key)
+            if (!owners) {
+                owners = new Set()
+                this._cells.set(key, owners)
+            }
+            owners.add(owner)
+        }
+
+        this._buildings.set(owner, {footprint, keys})
+    }
+
+    removeBuilding(owner) {
+        const entry = this._buildings.get(owner)
+        if (!entry) return
+
+        for (const key of entry.keys) {
+            const owners = this._cells.get(key)
+            if (!owners) continue
+            owners.delete(owner)
+            if (owners.size === 0) this._cells.delete(key)
+        }
+
+        this._buildings.delete(owner)
+    }
+
+    /**
+     * Forget every building (scene reload)
+     */
+    reset() {
+        this._cells.clear()
+        this._buildings.clear()
+    }
+
+    // ==================== QUERIES ====================
+
+    isOccupied(cellX, cellZ) {
+        return this._cells.has(this._key(cellX, cellZ))
+    }
+
+    /**
+     * Buildings covering a cell
+     * @returns {Array<Object>}
+     */
+    getOccupants(cellX, cellZ) {
+        const owners = this._cells.get(this._key(cellX, cellZ))
+        return owners ? [...owners] : []
+    }
+
+    /**
+     * Footprint a building registered with (null if not registered)
+     */
+    getFootprint(owner) {
+        return this._buildings.get(owner)?.footprint || null
+    }
+
+    get buildingCount() {
+        return this._buildings.size
+    }
+}
+
+// Global singleton instance
+let occupancyMap = null
+
+/**
+ * Get the shared OccupancyMap (created on first use)
+ * Pass ctx so cells follow the scene's GridVisual.gridSize
+ */
+export function getOccupancyMap(ctx = null) {
+    if (!occupancyMap) {
+        occupancyMap = new OccupancyMap(ctx)
+    }
+
+    if (ctx && !occupancyMap.ctx) {
+        occupancyMap.ctx = ctx
+    }
+
+    return occupancyMap
+}
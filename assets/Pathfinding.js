@@ -0,0 +1,256 @@
+/**
+ * Pathfinding - Reusable grid A* shared by every manager
+ *
+ * Plain module with NO threepipe/three dependency so it can run headless under Node
+ * (unit tests: test/pathfinding.test.mjs, `npm test`).
+ *
+ * Works on any grid exposing:
+ * - isWalkable(x, z) -> boolean
+ * - getCost(x, z) -> number (optional, multiplier on the step cost, default 1)
+ *   (or per call via options.getCost, e.g. cheaper road cells for vehicles)
+ *
+ * Failure semantics (consistent for all callers):
+ * - Goal reached: {path, reachedGoal: true}
+ * - Goal unreachable or search budget exhausted: path to the closest reachable
+ *   cell to the goal ({reachedGoal: false}), or an empty path when `partial` is off
+ *
+ * Paths are arrays of {x, z} cells and never include the start cell.
+ */
+
+// ==================== PRIORITY QUEUE ====================
+
+/**
+ * BinaryHeap - Min-heap keyed by a numeric priority
+ */
+export class BinaryHeap {
+    constructor() {
+        this._items = []
+        this._priorities = []
+    }
+
+    get size() {
+        return this._items.length
+    }
+
+    push(item, priority) {
+        this._items.push(item)
+        this._priorities.push(priority)
+        this._bubbleUp(this._items.length - 1)
+    }
+
+    pop() {
+        if (this._items.length === 0) return undefined
+
+        const top = this._items[0]
+        const lastItem = this._items.pop()
+        const lastPriority = this._priorities.pop()
+
+        if (this._items.length > 0) {
+            this._items[0] = lastItem
+            this._priorities[0] = lastPriority
+            this._sinkDown(0)
+        }
+
+        return top
+    }
+
+    peekPriority() {
+        return this._priorities[0]
+    }
+
+    _swap(a, b) {
+        const item = this._items[a]
+        this._items[a] = this._items[b]
+        this._items[b] = item
+
+        const priority = this._priorities[a]
+        this._priorities[a] = this._priorities[b]
+        this._priorities[b] = priority
+    }
+
+    _bubbleUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1
+            if (this._priorities[index] >= this._priorities[parent]) break
+            this._swap(index, parent)
+            index = parent
+        }
+    }
+
+    _sinkDown(index) {
+        const length = this._items.length
+        while (true) {
+            const left = index * 2 + 1
+            const right = left + 1
+            let smallest = index
+
+            if (left < length && this._priorities[left] < this._priorities[smallest]) smallest = left
+            if (right < length && this._priorities[right] < this._priorities[smallest]) smallest = right
+            if (smallest === index) break
+
+            this._swap(index, smallest)
+            index = smallest
+        }
+    }
+}
+
+// ==================== HEURISTICS ====================
+
+const SQRT2 = Math.SQRT2
+
+export const Heuristics = {
+    manhattan: (dx, dz) => dx + dz,
+    euclidean: (dx, dz) => Math.sqrt(dx * dx + dz * dz),
+    chebyshev: (dx, dz) => Math.max(dx, dz),
+    // Exact distance on an 8-connected grid with diagonal cost sqrt(2)
+    octile: (dx, dz) => Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz)
+}
+
+// ==================== CORNER CUTTING ====================
+
+/**
+ * Diagonal move rules:
+ * - 'never':   diagonal only if BOTH adjacent straight cells are walkable (default, agents don't clip walls)
+ * - 'oneOpen': diagonal if AT LEAST ONE adjacent straight cell is walkable
+ * - 'always':  diagonal whenever the destination is walkable
+ */
+export const CornerCutting = {
+    NEVER: 'never',
+    ONE_OPEN: 'oneOpen',
+    ALWAYS: 'always'
+}
+
+const STRAIGHT_DIRS = [
+    {x: 0, z: 1}, {x: 0, z: -1}, {x: 1, z: 0}, {x: -1, z: 0}
+]
+const DIAGONAL_DIRS = [
+    {x: 1, z: 1}, {x: 1, z: -1}, {x: -1, z: 1}, {x: -1, z: -1}
+]
+
+function canMoveDiagonal(grid, x, z, d, cornerCutting) {
+    if (cornerCutting === CornerCutting.ALWAYS) return true
+
+    const openX = grid.isWalkable(x + d.x, z)
+    const openZ = grid.isWalkable(x, z + d.z)
+
+    if (cornerCutting === CornerCutting.ONE_OPEN) return openX || openZ
+    return openX && openZ
+}
+
+// ==================== A* ====================
+
+const cellKey = (x, z) => `${x},${z}`
+
+function reconstruct(cameFrom, endKey, cells) {
+    const path = []
+    let key = endKey
+    while (cameFrom.has(key)) {
+        path.unshift(cells.get(key))
+        key = cameFrom.get(key)
+    }
+    return path
+}
+
+/**
+ * Find a path on a grid with A*
+ *
+ * @param {Object} grid - {isWalkable(x, z), getCost?(x, z)}
+ * @param {{x: number, z: number}} start - Start cell (allowed even if blocked, e.g. agent pushed into a wall)
+ * @param {{x: number, z: number}} goal - Goal cell
+ * @param {Object} options
+ * @param {string|Function} options.heuristic - Key of Heuristics or fn(dx, dz) (default 'octile')
+ * @param {boolean} options.allowDiagonal - 8-connected when true (default true)
+ * @param {string} options.cornerCutting - One of CornerCutting (default 'never')
+ * @param {number} options.maxIterations - Search budget in expanded nodes (default 5000)
+ * @param {boolean} options.partial - Return path to closest reachable cell on failure (default true)
+ * @param {Function} options.getCost - fn(x, z) step cost multiplier, overrides grid.getCost
+ * @param {number} options.minStepCost - Lowest multiplier getCost returns; scales the heuristic
+ *        so it stays admissible with costs below 1 (default 1)
+ * @returns {{path: Array<{x: number, z: number}>, reachedGoal: boolean, iterations: number}}
+ */
+export function findPath(grid, start, goal, options = {}) {
+    const {
+        heuristic = 'octile',
+        allowDiagonal = true,
+        cornerCutting = CornerCutting.NEVER,
+        maxIterations = 5000,
+        partial = true,
+        getCost = typeof grid.getCost === 'function' ? (x, z) => grid.getCost(x, z) : null,
+        minStepCost = 1
+    } = options
+
+    const h = typeof heuristic === 'function' ? heuristic : (Heuristics[heuristic] || Heuristics.octile)
+    const estimate = (x, z) => h(Math.abs(goal.x - x), Math.abs(goal.z - z)) * minStepCost
+    const stepCost = getCost || (() => 1)
+
+    if (start.x === goal.x && start.z === goal.z) {
+        return {path: [], reachedGoal: true, iterations: 0}
+    }
+
+    const startKey = cellKey(start.x, start.z)
+    const goalKey = cellKey(goal.x, goal.z)
+
+    const open = new BinaryHeap()
+    const gScore = new Map([[startKey, 0]])
+    const cameFrom = new Map()
+    const cells = new Map([[startKey, {x: start.x, z: start.z}]])
+    const closed = new Set()
+
+    // Closest cell to the goal seen so far (for partial paths)
+    let bestKey = startKey
+    let bestH = estimate(start.x, start.z)
+
+    open.push(startKey, bestH)
+
+    let iterations = 0
+    while (open.size > 0 && iterations < maxIterations) {
+        const currentKey = open.pop()
+        if (closed.has(currentKey)) continue  // Stale heap entry (lazy decrease-key)
+
+        iterations++
+
+        if (currentKey === goalKey) {
+            return {path: reconstruct(cameFrom, goalKey, cells), reachedGoal: true, iterations}
+        }
+
+        closed.add(currentKey)
+
+        const current = cells.get(currentKey)
+        const currentG = gScore.get(currentKey)
+
+        const currentH = estimate(current.x, current.z)
+        if (currentH < bestH) {
+            bestH = currentH
+            bestKey = currentKey
+        }
+
+        const dirs = allowDiagonal ? STRAIGHT_DIRS.concat(DIAGONAL_DIRS) : STRAIGHT_DIRS
+        for (const d of dirs) {
+            const nx = current.x + d.x
+            const nz = current.z + d.z
+            const neighborKey = cellKey(nx, nz)
+
+            if (closed.has(neighborKey)) continue
+            if (!grid.isWalkable(nx, nz)) continue
+
+            const isDiagonal = d.x !== 0 && d.z !== 0
+            if (isDiagonal && !canMoveDiagonal(grid, current.x, current.z, d, cornerCutting)) continue
+
+            const tentativeG = currentG + (isDiagonal ? SQRT2 : 1) * stepCost(nx, nz)
+            if (tentativeG >= (gScore.get(neighborKey) ?? Infinity)) continue
+
+            cameFrom.set(neighborKey, currentKey)
+            gScore.set(neighborKey, tentativeG)
+            if (!cells.has(neighborKey)) cells.set(neighborKey, {x: nx, z: nz})
+
+            open.push(neighborKey, tentativeG + estimate(nx, nz))
+        }
+    }
+
+    // Goal not reached: unreachable or out of budget
+    if (!partial || bestKey === startKey) {
+        return {path: [], reachedGoal: false, iterations}
+    }
+
+    return {path: reconstruct(cameFrom, bestKey, cells), reachedGoal: false, iterations}
+}
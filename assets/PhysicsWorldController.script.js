@@ -1,6 +1,7 @@
 import {Object3DComponent} from 'threepipe'
 import * as CANNON from 'cannon-es'
 import {CollisionSystem} from './CollisionSystem.js'
+import {getGameClock} from './GameClock.js'
 
 /**
  * PhysicsWorldManager - Singleton to manage global cannon.js physics world
@@ -70,13 +71,31 @@ class PhysicsWorldManager {
         //console.log(`[PhysicsWorldManager] Added ground plane at y=${yPosition}`)
     }
 
-    step(deltaTime) {
+    step(deltaTime, timeScale = 1) {
         // Fixed timestep for stable physics
+        // More substeps when fast-forwarding so the simulation doesn't fall behind
         const fixedTimeStep = 1 / 60
-        const maxSubSteps = 3
+        const maxSubSteps = 3 * Math.max(1, Math.ceil(timeScale))
         this.world.step(fixedTimeStep, deltaTime / 1000, maxSubSteps)
     }
 
+    /**
+     * Remove every body and constraint (entities, ragdolls, buildings, ground planes)
+     * Used by the restart pipeline - the world object itself is kept so cached references stay valid
+     */
+    reset() {
+        for (const constraint of [...this.world.constraints]) {
+            this.world.removeConstraint(constraint)
+        }
+        for (const body of [...this.world.bodies]) {
+            this.world.removeBody(body)
+        }
+
+        this.ragdolls = []
+        this.entities = []
+        this.groundsInitialized = false
+    }
+
     addRagdoll(ragdoll) {
         if (!this.ragdolls.includes(ragdoll)) {
             this.ragdolls.push(ragdoll)
@@ -97,6 +116,7 @@ let physicsWorldManager = null
 /**
  * PhysicsWorldController - Component that runs the physics simulation
  * Attach this to an invisible object in your scene
+ * Also advances the shared GameClock once per frame (pause / time scale)
  */
 export class PhysicsWorldController extends Object3DComponent {
     static StateProperties = ['enabled']
@@ -128,9 +148,14 @@ export class PhysicsWorldController extends Object3DComponent {
     }
 
     update({time, deltaTime}) {
+        // Drive the shared game clock (all gameplay timers read from it)
+        const clock = getGameClock()
+        clock.tick(deltaTime)
+
         if (!this.enabled || !physicsWorldManager) return false
+        if (!clock.isRunning) return false
 
-        physicsWorldManager.step(deltaTime)
+        physicsWorldManager.step(clock.deltaTime, clock.timeScale)
 
         // AFTER physics step: Sync all bodies -> objects
         // This updates visual positions based on physics simulation results
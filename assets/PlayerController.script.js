@@ -2,15 +2,19 @@ import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 import {CollisionSystem} from './CollisionSystem.js'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getGameClock} from './GameClock.js'
+import {getGasClouds} from './GasClouds.js'
 
 /**
  * PlayerController - WASD movement controller for the player character
+ * G throws tear gas at the player's feet: crowd members inside lose morale (GasClouds.js)
  */
 export class PlayerController extends Object3DComponent {
     static StateProperties = [
         'running', 'speed', 'health', 'maxHealth', 'armor',
         'attackRange', 'damage', 'attackFrequency', 'invulnerabilityTime',
-        'mass', 'friction', 'healthRegen', 'modelScale'
+        'mass', 'friction', 'healthRegen', 'modelScale',
+        'tearGasRadius', 'tearGasDuration', 'tearGasCooldown', 'tearGasMoraleLoss'
     ]
     static ComponentType = 'PlayerController'
 
@@ -27,6 +31,14 @@ export class PlayerController extends Object3DComponent {
     invulnerabilityTime = 0.5 // seconds of invulnerability after being hit
     healthRegen = 0.10    // 10% of max health per second
 
+    // Tear gas ability (G)
+    tearGasRadius = 5
+    tearGasDuration = 8000     // ms of game time the cloud lasts
+    tearGasCooldown = 20000    // ms of game time between throws
+    tearGasMoraleLoss = 0.3    // Morale per second for crowd members inside
+    _lastTearGasTime = -Infinity
+    _tearGasMeshes = []        // {mesh, until} ground discs of active clouds
+
     // Physics attributes
     mass = 0.5            // low mass = snappy direction changes
     friction = 20         // high friction = sharp turns, minimal drift
@@ -40,7 +52,7 @@ export class PlayerController extends Object3DComponent {
 
     // Internal combat state
     _isAlive = true
-    _lastDamageTime = 0
+    _lastDamageTime = -Infinity  // Game time (GameClock) of the last hit
 
     // Collision damage settings
     collisionRadius = 1.2         // how close entities must be to deal collision damage
@@ -209,8 +221,9 @@ export class PlayerController extends Object3DComponent {
         window.removeEventListener('keydown', this._handleKeyDown)
         window.removeEventListener('keyup', this._handleKeyUp)
 
-        // Cleanup health bar
+        // Cleanup health bar and tear gas clouds
         this._removeHealthBar()
+        this._updateTearGasMeshes(Infinity)
 
         // Cleanup animation
         if (this._mixer) {
@@ -355,6 +368,58 @@ export class PlayerController extends Object3DComponent {
         if (key in this.keys) {
             this.keys[key] = true
         }
+        if (key === 'g' && !event.repeat) {
+            this.throwTearGas()
+        }
+    }
+
+    // ==================== TEAR GAS ====================
+
+    /**
+     * Drop a tear gas cloud at the player's position
+     * @returns {boolean} False while dead, paused or on cooldown
+     */
+    throwTearGas() {
+        if (!this.object || !this.isAlive) return false
+
+        const clock = getGameClock()
+        const now = clock.now()
+        if (!clock.isRunning || now - this._lastTearGasTime < this.tearGasCooldown) return false
+        this._lastTearGasTime = now
+
+        const position = new THREE.Vector3()
+        this.object.getWorldPosition(position)
+        const cloud = getGasClouds().add(position.x, position.z, this.tearGasRadius, this.tearGasDuration, this.tearGasMoraleLoss, now)
+
+        const scene = this.ctx?.viewer?.scene
+        if (scene) {
+            const mesh = new THREE.Mesh(
+                new THREE.CircleGeometry(this.tearGasRadius, 32),
+                new THREE.MeshBasicMaterial({color: 0xc8e6a0, transparent: true, opacity: 0.35, depthWrite: false})
+            )
+            mesh.rotation.x = -Math.PI / 2
+            mesh.position.set(position.x, 0.1, position.z)
+            mesh.name = 'TearGasCloud'
+            scene.add(mesh)
+            this._tearGasMeshes.push({mesh, until: cloud.until})
+        }
+        return true
+    }
+
+    /**
+     * Fade the ground discs and remove the ones whose cloud cleared by `now`
+     */
+    _updateTearGasMeshes(now) {
+        this._tearGasMeshes = this._tearGasMeshes.filter(({mesh, until}) => {
+            if (until > now) {
+                mesh.material.opacity = 0.35 * Math.min(1, (until - now) / 2000)
+                return true
+            }
+            mesh.removeFromParent()
+            mesh.geometry.dispose()
+            mesh.material.dispose()
+            return false
+        })
     }
 
     _handleKeyUp(event) {
@@ -364,15 +429,19 @@ export class PlayerController extends Object3DComponent {
         }
     }
 
-    update(params) {
+    update() {
         try {
             if (!this.object) return false
 
-            const deltaTime = params?.deltaTime || params?.delta || 16
+            const clock = getGameClock()
+            if (!clock.isRunning) return false
+
+            const deltaTime = clock.deltaTime
             const dt = deltaTime / 1000
 
-            // Always update health bar
+            // Always update health bar and tear gas clouds
             this._updateHealthBar(deltaTime)
+            this._updateTearGasMeshes(clock.now())
 
             // Health regeneration
             if (this.isAlive && this.health < this.maxHealth) {
@@ -511,7 +580,7 @@ export class PlayerController extends Object3DComponent {
     }
 
     get isInvulnerable() {
-        const now = Date.now()
+        const now = getGameClock().now()
         return (now - this._lastDamageTime) < (this.invulnerabilityTime * 1000)
     }
 
@@ -524,7 +593,7 @@ export class PlayerController extends Object3DComponent {
         // Apply armor reduction
         const effectiveDamage = Math.max(1, amount - this.armor)
         this.health -= effectiveDamage
-        this._lastDamageTime = Date.now()
+        this._lastDamageTime = getGameClock().now()
 
         if (this.health <= 0) {
             this._die(attacker)
@@ -623,7 +692,7 @@ export class PlayerController extends Object3DComponent {
         this._isAlive = true
         this.health = this.maxHealth
         this.running = true
-        this._lastDamageTime = 0
+        this._lastDamageTime = -Infinity
 
         // Make player visible again
         if (this.object) {
@@ -649,6 +718,11 @@ export class PlayerController extends Object3DComponent {
                 label: 'Respawn',
                 onClick: () => this.respawn(),
             },
+            {
+                type: 'button',
+                label: 'Throw Tear Gas (G)',
+                onClick: () => this.throwTearGas(),
+            },
         ],
     }
 }
@@ -0,0 +1,510 @@
+import {Object3DComponent} from 'threepipe'
+import * as THREE from 'three'
+import * as CANNON from 'cannon-es'
+import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getNavGrid} from './NavGrid.js'
+import {getOccupancyMap} from './OccupancyMap.js'
+import {getRoadNetwork} from './RoadNetwork.js'
+import {getGameClock} from './GameClock.js'
+import {getMissingRequirements, getProfessionMultiplier} from './ProductionChain.js'
+
+/**
+ * ProductionBuilding - Shared base for economy buildings (Residence, Farm, ...)
+ *
+ * Not a component on its own: subclasses set ComponentType, stats, footprint,
+ * `production` and build their mesh in _createBuildingGeometry().
+ *
+ * - Health, armor and a health bar like Barricade; static physics body, nav obstacle
+ *   and occupancy over the gridWidth x gridDepth footprint
+ * - Enemies target it as TargetKind.PRODUCTION (subclasses register in TARGET_KINDS);
+ *   destroying one leaks tech (LeakedTech.js)
+ * - produce() is the per-day tick: DayNightManager calls it at dawn and adds the
+ *   output to the ResourceLedger
+ * - GAME.md "peace_output": a building that went undamaged since the last tick
+ *   may also yield peaceOutput (peaceOutputChance)
+ * - Spies sabotage it: the next tick produces nothing
+ * - Production chain (ProductionChain.js): a zoneRadius > 0 makes it a zone provider;
+ *   a building whose zone or road requirements are no longer met produces nothing
+ * - Matching profession workers (PROFESSIONS) multiply the regular output
+ */
+export class ProductionBuilding extends Object3DComponent {
+    static StateProperties = [
+        'health', 'maxHealth', 'armor', 'invulnerabilityTime', 'peaceOutputChance', 'zoneRadius',
+        'healthBarWidth', 'healthBarHeight', 'healthBarOffset'
+    ]
+
+    // Health system
+    health = 300
+    maxHealth = 300
+    armor = 2
+    invulnerabilityTime = 0.15 // seconds between damage
+
+    // Footprint in build cells (matches the BuildingPlacer entry) and body height
+    gridWidth = 2
+    gridDepth = 2
+    buildingHeight = 1.5
+
+    // Resources per day tick, e.g. {food: 3}
+    production = {}
+    peaceOutput = {}
+    peaceOutputChance = 0
+
+    // Zone this building provides to the production chain (0 = none)
+    zoneRadius = 0
+
+    // Health bar configuration
+    healthBarWidth = 2.0
+    healthBarHeight = 0.2
+    healthBarOffset = 2.5
+
+    // Internal state
+    _isAlive = true
+    _lastDamageTime = -Infinity  // Game time (GameClock) of the last hit
+    _sabotaged = false           // Spoils the next production tick
+    _damagedSinceTick = false    // No peace output this tick
+    _displayedHealth = 300
+
+    // Visual components
+    _meshGroup = null
+    _healthBarGroup = null
+    _healthBarFill = null
+    _healthBarBg = null
+
+    // Physics
+    _physicsBody = null
+
+    get isAlive() {
+        return this._isAlive && this.health > 0
+    }
+
+    get isInvulnerable() {
+        const now = getGameClock().now()
+        return (now - this._lastDamageTime) < (this.invulnerabilityTime * 1000)
+    }
+
+    get isSabotaged() {
+        return this._sabotaged
+    }
+
+    /**
+     * True if the building touches a Road (production prerequisite)
+     */
+    get isConnectedToRoad() {
+        return getRoadNetwork(this.ctx).isBuildingConnected(this)
+    }
+
+    /**
+     * Production chain requirements currently not met (ProductionChain.js)
+     * @returns {string[]}
+     */
+    get missingRequirements() {
+        return getMissingRequirements(this.ctx, this.constructor.ComponentType, getOccupancyMap(this.ctx).getFootprint(this))
+    }
+
+    start() {
+        if (super.start) super.start()
+
+        this.health = this.maxHealth
+        this._displayedHealth = this.health
+        this._isAlive = true
+        this._sabotaged = false
+        this._damagedSinceTick = false
+
+        this._createMeshGroup()
+        this._createPhysicsBody()
+        this._registerNavObstacle()
+        this._registerOccupancy()
+        this._createHealthBar()
+    }
+
+    stop() {
+        if (super.stop) super.stop()
+        this._removeHealthBar()
+        this._removeMeshGroup()
+        this._removePhysicsBody()
+        this._unregisterNavObstacle()
+        this._unregisterOccupancy()
+    }
+
+    // ==================== BUILDING GEOMETRY ====================
+
+    _createMeshGroup() {
+        if (!this.object || this._meshGroup) return
+
+        this._meshGroup = new THREE.Group()
+        this._meshGroup.name = `${this.constructor.ComponentType}MeshGroup`
+        this._createBuildingGeometry(this._meshGroup)
+        this.object.add(this._meshGroup)
+    }
+
+    /**
+     * Add the building meshes to `group` (local space, ground at y = 0)
+     */
+    _createBuildingGeometry(group) {
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(this.gridWidth, this.buildingHeight, this.gridDepth),
+            new THREE.MeshStandardMaterial({color: 0x999999, roughness: 0.8})
+        )
+        mesh.position.y = this.buildingHeight / 2
+        mesh.castShadow = true
+        mesh.receiveShadow = true
+        group.add(mesh)
+    }
+
+    _removeMeshGroup() {
+        if (!this.object || !this._meshGroup) return
+
+        this._meshGroup.traverse((child) => {
+            if (child.isMesh) {
+                child.geometry?.dispose()
+                child.material?.dispose()
+            }
+        })
+        this.object.remove(this._meshGroup)
+        this._meshGroup = null
+    }
+
+    // ==================== PHYSICS ====================
+
+    _createPhysicsBody() {
+        const physicsManager = getPhysicsWorldManager()
+        if (!physicsManager || !physicsManager.world) {
+            console.warn(`[${this.constructor.ComponentType}] No physics world available`)
+            return
+        }
+
+        this._physicsBody = new CANNON.Body({
+            mass: 0,
+            type: CANNON.Body.STATIC,
+            collisionFilterGroup: 1 << 4,
+            collisionFilterMask: (1 << 0) | (1 << 1) | (1 << 2)
+        })
+
+        const halfExtents = new CANNON.Vec3(this.gridWidth / 2, this.buildingHeight / 2, this.gridDepth / 2)
+        this._physicsBody.addShape(new CANNON.Box(halfExtents))
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+        this._physicsBody.position.set(worldPos.x, worldPos.y + this.buildingHeight / 2, worldPos.z)
+
+        const worldQuat = new THREE.Quaternion()
+        this.object.getWorldQuaternion(worldQuat)
+        this._physicsBody.quaternion.set(worldQuat.x, worldQuat.y, worldQuat.z, worldQuat.w)
+
+        physicsManager.world.addBody(this._physicsBody)
+    }
+
+    _removePhysicsBody() {
+        if (this._physicsBody) {
+            const physicsManager = getPhysicsWorldManager()
+            if (physicsManager && physicsManager.world) {
+                physicsManager.world.removeBody(this._physicsBody)
+            }
+            this._physicsBody = null
+        }
+    }
+
+    // ==================== NAV GRID ====================
+
+    _registerNavObstacle() {
+        if (!this.object) return
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+
+        getNavGrid(this.ctx).addObstacle(this, {
+            x: worldPos.x,
+            z: worldPos.z,
+            width: this.gridWidth,
+            depth: this.gridDepth,
+            rotation: this.object.rotation.y
+        })
+    }
+
+    _unregisterNavObstacle() {
+        getNavGrid().removeObstacle(this)
+    }
+
+    // ==================== OCCUPANCY ====================
+
+    _registerOccupancy() {
+        if (!this.object) return
+
+        const worldPos = new THREE.Vector3()
+        this.object.getWorldPosition(worldPos)
+
+        getOccupancyMap(this.ctx).addBuilding(this, {
+            x: worldPos.x,
+            z: worldPos.z,
+            gridWidth: this.gridWidth,
+            gridDepth: this.gridDepth,
+            rotation: this.object.rotation.y
+        })
+    }
+
+    _unregisterOccupancy() {
+        getOccupancyMap().removeBuilding(this)
+    }
+
+    // ==================== HEALTH BAR ====================
+
+    _createHealthBar() {
+        if (!this.object) return
+
+        this._healthBarGroup = new THREE.Group()
+        this._healthBarGroup.name = `${this.constructor.ComponentType}HealthBar`
+
+        // Background bar
+        const bgGeometry = new THREE.PlaneGeometry(this.healthBarWidth, this.healthBarHeight)
+        const bgMaterial = new THREE.MeshBasicMaterial({
+            color: 0x222222,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.9,
+            depthTest: false,
+            depthWrite: false
+        })
+        this._healthBarBg = new THREE.Mesh(bgGeometry, bgMaterial)
+        this._healthBarBg.renderOrder = 1000
+        this._healthBarGroup.add(this._healthBarBg)
+
+        // Health fill bar
+        const fillGeometry = new THREE.PlaneGeometry(this.healthBarWidth - 0.06, this.healthBarHeight - 0.04)
+        const fillMaterial = new THREE.MeshBasicMaterial({
+            color: 0x44ff44,
+            side: THREE.DoubleSide,
+            depthTest: false,
+            depthWrite: false
+        })
+        this._healthBarFill = new THREE.Mesh(fillGeometry, fillMaterial)
+        this._healthBarFill.position.z = 0.01
+        this._healthBarFill.renderOrder = 1001
+        this._healthBarGroup.add(this._healthBarFill)
+
+        this._healthBarGroup.position.y = this.healthBarOffset
+        this.object.add(this._healthBarGroup)
+    }
+
+    _removeHealthBar() {
+        if (this._healthBarGroup && this.object) {
+            this.object.remove(this._healthBarGroup)
+            this._healthBarBg?.geometry.dispose()
+            this._healthBarBg?.material.dispose()
+            this._healthBarFill?.geometry.dispose()
+            this._healthBarFill?.material.dispose()
+        }
+        this._healthBarGroup = null
+        this._healthBarFill = null
+        this._healthBarBg = null
+    }
+
+    _updateHealthBar(deltaTime) {
+        if (!this._healthBarGroup || !this._healthBarFill) return
+
+        // Smooth health animation
+        const dt = deltaTime / 1000
+        this._displayedHealth += (this.health - this._displayedHealth) * Math.min(1, 5 * dt)
+
+        // Update fill scale
+        const healthPercent = Math.max(0, this._displayedHealth / this.maxHealth)
+        this._healthBarFill.scale.x = healthPercent
+
+        // Left-align the fill bar
+        const barWidth = this.healthBarWidth - 0.06
+        this._healthBarFill.position.x = -(barWidth / 2) * (1 - healthPercent)
+
+        // Color gradient
+        const color = new THREE.Color()
+        if (healthPercent > 0.6) {
+            color.setRGB(0.27 + (1 - (healthPercent - 0.6) / 0.4) * 0.73, 1, 0.27)
+        } else if (healthPercent > 0.3) {
+            const t = (healthPercent - 0.3) / 0.3
+            color.setRGB(1, 0.67 + t * 0.33, 0.1)
+        } else {
+            const t = healthPercent / 0.3
+            color.setRGB(1, t * 0.27, 0.1)
+        }
+        this._healthBarFill.material.color = color
+
+        // Billboard: face camera
+        const camera = this.ctx?.viewer?.scene?.mainCamera
+        if (camera) {
+            const cameraWorldPos = new THREE.Vector3()
+            camera.getWorldPosition(cameraWorldPos)
+            this._healthBarGroup.lookAt(cameraWorldPos)
+        }
+    }
+
+    // ==================== PRODUCTION ====================
+
+    /**
+     * Per-day tick (DayNightManager, at dawn)
+     * @returns {Object<string, number>} Resources produced (empty when destroyed, sabotaged
+     *          or cut off from its input buildings)
+     */
+    produce() {
+        if (!this.isAlive) return {}
+
+        const peaceful = !this._damagedSinceTick
+        this._damagedSinceTick = false
+        if (this._sabotaged) {
+            this._sabotaged = false
+            return {}
+        }
+
+        const missing = this.missingRequirements
+        if (missing.length > 0) {
+            //console.log(`[${this.constructor.ComponentType}] Idle: ${missing.join(', ')}`)
+            return {}
+        }
+
+        const output = this._produceOutput(getProfessionMultiplier(this.ctx, this.constructor.ComponentType))
+        if (peaceful && Math.random() < this.peaceOutputChance) {
+            for (const [resource, amount] of Object.entries(this.peaceOutput)) {
+                output[resource] = (output[resource] || 0) + amount
+            }
+        }
+        return output
+    }
+
+    /**
+     * Output of a tick that went ahead (queued production overrides this)
+     * @param {number} multiplier - Profession worker boost (1 = none)
+     */
+    _produceOutput(multiplier = 1) {
+        const output = {}
+        for (const [resource, amount] of Object.entries(this.production)) {
+            output[resource] = Math.round(amount * multiplier)
+        }
+        return output
+    }
+
+    /**
+     * Spoil the next production tick (Spy enemies; the duration only matters for City Hall)
+     */
+    sabotage(durationMs, saboteur = null) {
+        if (!this.isAlive) return
+
+        //console.log(`[${this.constructor.ComponentType}] Sabotaged! Next production lost`)
+        this._sabotaged = true
+    }
+
+    // ==================== COMBAT ====================
+
+    takeDamage(amount, attacker = null) {
+        if (!this.isAlive) return
+        if (this.isInvulnerable) return
+
+        const effectiveDamage = Math.max(1, amount - this.armor)
+        this.health -= effectiveDamage
+        this._lastDamageTime = getGameClock().now()
+        this._damagedSinceTick = true
+
+        this._flashDamage()
+
+        if (this.health <= 0) {
+            this._die(attacker)
+        }
+    }
+
+    _flashDamage() {
+        if (!this._meshGroup) return
+
+        this._meshGroup.traverse((child) => {
+            if (child.isMesh && child.material?.emissive) {
+                const mat = child.material
+                const originalEmissive = mat.emissive.getHex()
+                const originalIntensity = mat.emissiveIntensity
+                mat.emissiveIntensity = 0.5
+                mat.emissive.setHex(0xff0000)
+
+                setTimeout(() => {
+                    if (mat) {
+                        mat.emissiveIntensity = originalIntensity
+                        mat.emissive.setHex(originalEmissive)
+                    }
+                }, 100)
+            }
+        })
+    }
+
+    _die(attacker = null) {
+        this._isAlive = false
+        //console.log(`[${this.constructor.ComponentType}] Destroyed!`)
+
+        this._removePhysicsBody()
+        this._unregisterNavObstacle()
+        this._unregisterOccupancy()
+        this._removeHealthBar()
+
+        // Visual feedback - fade out and remove
+        if (this.object) {
+            this.object.traverse((child) => {
+                if (child.isMesh && child.material) {
+                    child.material.transparent = true
+                    child.material.opacity = 0.5
+                }
+            })
+
+            setTimeout(() => {
+                if (this.object && this.object.parent) {
+                    this.object.removeFromParent()
+                    this.object.traverse((child) => {
+                        if (child.isMesh) {
+                            child.geometry?.dispose()
+                            child.material?.dispose()
+                        }
+                    })
+                }
+            }, 500)
+        }
+    }
+
+    // ==================== UPDATE ====================
+
+    update({deltaTime}) {
+        if (!this.object || !this._isAlive) return false
+
+        this._updateHealthBar(deltaTime)
+
+        return true
+    }
+
+    // ==================== UI CONFIG ====================
+
+    TestDamage = () => {
+        this.takeDamage(100)
+    }
+
+    TestProduce = () => {
+        this.produce()
+    }
+
+    ResetHealth = () => {
+        this.health = this.maxHealth
+        this._displayedHealth = this.health
+        this._isAlive = true
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: this.constructor.ComponentType,
+        children: [
+            {
+                type: 'button',
+                label: 'Test Damage (100)',
+                onClick: this.TestDamage,
+            },
+            {
+                type: 'button',
+                label: 'Test Produce',
+                onClick: this.TestProduce,
+            },
+            {
+                type: 'button',
+                label: 'Reset Health',
+                onClick: this.ResetHealth,
+            },
+        ],
+    }
+}
@@ -0,0 +1,103 @@
+import {getRoadNetwork} from './RoadNetwork.js'
+
+/**
+ * ProductionChain - Spatial inputs of production buildings
+ *
+ * GAME.md gives buildings inputs like "within residential zone, road":
+ * - Zone buildings (zoneRadius > 0) cover every position within zoneRadius of their center
+ * - PRODUCTION_REQUIREMENTS lists the zones a building type must stand in and whether
+ *   its footprint has to touch a road
+ * - BuildingPlacer refuses placements with missing requirements (and names them in the
+ *   ghost tooltip); ProductionBuilding.produce() re-checks at every tick, so production
+ *   stops while an input building is destroyed
+ * - Professions from the Re-education camp (ReeducationCamp.script.js) are ledger
+ *   resources; their workers raise the output of the building types they match
+ */
+
+// Zone provider component type -> name shown to the player
+export const ZONE_NAMES = {
+    Residence: 'residential zone',
+    Farm: 'farm zone',
+    Sweatshop: 'sweatshop zone'
+}
+
+// Component type -> {zones: provider types it must stand in, road: needs road access}
+export const PRODUCTION_REQUIREMENTS = {
+    Sweatshop: {zones: ['Residence', 'Farm'], road: false},
+    BasicFactory: {zones: ['Sweatshop'], road: true},
+    BasicOffice: {zones: ['Residence'], road: true}
+}
+
+/**
+ * Alive zone provider of `zoneType` covering (x, z)
+ * @returns {Object|null} Provider component
+ */
+export function findZoneProvider(ctx, zoneType, x, z) {
+    for (const provider of ctx?.ecp?.getComponentsOfType?.(zoneType) || []) {
+        if (!provider.object || provider.isAlive === false || !(provider.zoneRadius > 0)) continue
+
+        const dx = provider.object.position.x - x
+        const dz = provider.object.position.z - z
+        if (dx * dx + dz * dz <= provider.zoneRadius * provider.zoneRadius) {
+            return provider
+        }
+    }
+    return null
+}
+
+/**
+ * Requirements a building of `componentType` with this footprint doesn't meet
+ * @param {{x: number, z: number, gridWidth: number, gridDepth: number, rotation: number}} footprint
+ * @returns {string[]} Player-facing reasons (empty = all met)
+ */
+export function getMissingRequirements(ctx, componentType, footprint) {
+    const requirements = PRODUCTION_REQUIREMENTS[componentType]
+    if (!requirements || !footprint) return []
+
+    const missing = []
+    for (const zoneType of requirements.zones || []) {
+        if (!findZoneProvider(ctx, zoneType, footprint.x, footprint.z)) {
+            missing.push(`Must be within a ${ZONE_NAMES[zoneType] || zoneType}`)
+        }
+    }
+    if (requirements.road && !getRoadNetwork(ctx).isFootprintConnected(footprint)) {
+        missing.push('Must touch a road')
+    }
+    return missing
+}
+
+// GAME.md Re-education camp professions: ledger resource -> building types its workers boost
+export const PROFESSIONS = {
+    farmers: ['Farm'],
+    factoryWorkers: ['Sweatshop', 'BasicFactory'],
+    officeWorkers: ['BasicOffice'],
+    staff: ['AdvancedFactory'],
+    scientists: ['BasicOffice', 'AdvancedFactory']
+}
+
+// Extra output per matching worker at one building, and the most workers a building uses
+export const PROFESSION_BOOST_PER_WORKER = 0.25
+export const PROFESSION_MAX_WORKERS = 4
+
+/**
+ * Output multiplier of a `componentType` building from matching profession workers
+ * (each profession's workers are shared evenly between the alive buildings it boosts)
+ * @returns {number} 1 without workers, up to 1 + PROFESSION_BOOST_PER_WORKER * PROFESSION_MAX_WORKERS
+ */
+export function getProfessionMultiplier(ctx, componentType) {
+    const ledger = ctx?.ecp?.getComponentOfType?.('ResourceLedger')
+    if (!ledger) return 1
+
+    let workers = 0
+    for (const [profession, buildingTypes] of Object.entries(PROFESSIONS)) {
+        if (!buildingTypes.includes(componentType)) continue
+
+        let buildings = 0
+        for (const type of buildingTypes) {
+            buildings += (ctx.ecp?.getComponentsOfType?.(type) || []).filter(building => building.isAlive).length
+        }
+        if (buildings > 0) workers += ledger.get(profession) / buildings
+    }
+
+    return 1 + PROFESSION_BOOST_PER_WORKER * Math.min(PROFESSION_MAX_WORKERS, Math.floor(workers))
+}
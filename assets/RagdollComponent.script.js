@@ -2,6 +2,7 @@ import {Object3DComponent} from 'threepipe'
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
+import {getGameClock} from './GameClock.js'
 
 /**
  * RagdollComponent - Creates and manages physics-based ragdoll on death
@@ -78,6 +79,13 @@ export class RagdollComponent extends Object3DComponent {
      * Static cleanup method - call when game stops to reset state for next session
      */
     static cleanupBloodTextureStatic() {
+        // Detach stains from the ground so they don't survive a restart
+        const groundMaterial = RagdollComponent._groundPlane?.material
+        if (groundMaterial && groundMaterial.map === RagdollComponent._bloodTexture) {
+            groundMaterial.map = null
+            groundMaterial.needsUpdate = true
+        }
+
         if (RagdollComponent._bloodTexture) {
             RagdollComponent._bloodTexture.dispose()
         }
@@ -205,7 +213,7 @@ export class RagdollComponent extends Object3DComponent {
         // This ensures the transparent texture is applied to the plane ASAP
         this._initializeBloodTexture()
 
-        this._spawnTime = Date.now()
+        this._spawnTime = getGameClock().now()
         this._isActive = true
 
         // Get physics world manager
@@ -754,7 +762,7 @@ export class RagdollComponent extends Object3DComponent {
                 mesh: particle,
                 velocity: velocity,
                 lifetime: 2000 + Math.random() * 1000, // 2-3 seconds
-                spawnTime: Date.now()
+                spawnTime: getGameClock().now()
             })
         }
     }
@@ -846,7 +854,7 @@ export class RagdollComponent extends Object3DComponent {
         if (!scene) return
 
         const dt = deltaTime / 1000
-        const now = Date.now()
+        const now = getGameClock().now()
 
         // Update each particle
         for (let i = this._bloodParticles.length - 1; i >= 0; i--) {
@@ -889,7 +897,7 @@ export class RagdollComponent extends Object3DComponent {
         }
     }
 
-    update({time, deltaTime}) {
+    update() {
         if (!this._isActive) return false
 
         // Check for dismemberment if enabled
@@ -908,8 +916,8 @@ export class RagdollComponent extends Object3DComponent {
             }
         }
 
-        // Update blood particles
-        this._updateBloodParticles(deltaTime)
+        // Update blood particles (game time, so they freeze while paused)
+        this._updateBloodParticles(getGameClock().deltaTime)
 
         return true // Keep updating
     }
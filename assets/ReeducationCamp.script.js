@@ -0,0 +1,206 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+import {PROFESSIONS} from './ProductionChain.js'
+import {getResourceLedger} from './ResourceLedger.script.js'
+
+/**
+ * ReeducationCamp - Holds arrested protestors and turns them into workers
+ *
+ * Specifications (GAME.md: "Re-education camp (input: prisoners | output: one of 'farmer',
+ * 'factory worker', 'office worker', 'member of technical staff', 'scientist', etc)"):
+ * - HP: 500
+ * - Armor: 6
+ * - Cost: $350 (handled by BuildingPlacer)
+ * - Footprint: 3x3 cells
+ * - Crowd members subdued by nonLethal police are teleported here (CrowdController
+ *   canArrest / onMemberArrested) while the camp holds fewer than `capacity` prisoners;
+ *   inmates stand in the yard as prisoner figures
+ * - Every dawn up to conversionsPerDay prisoners become a random profession
+ *   (PROFESSIONS in ProductionChain.js), whose workers boost matching buildings
+ * - Prisoners are also ledger resources; they escape when the camp is destroyed
+ */
+export class ReeducationCamp extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties, 'capacity', 'conversionsPerDay']
+    static ComponentType = 'ReeducationCamp'
+
+    health = 500
+    maxHealth = 500
+    armor = 6
+
+    gridWidth = 3
+    gridDepth = 3
+    buildingHeight = 1.6
+
+    // Prisoners
+    capacity = 10
+    conversionsPerDay = 3
+    prisoners = 0  // Currently held by this camp
+    _prisonerFigures = []  // Yard meshes, one per prisoner
+
+    healthBarWidth = 3.0
+    healthBarOffset = 3.4
+    _displayedHealth = 500
+
+    start() {
+        super.start()
+        this.prisoners = 0
+        this._prisonerFigures = []
+    }
+
+    get hasRoom() {
+        return this.isAlive && this.prisoners < this.capacity
+    }
+
+    _createBuildingGeometry(group) {
+        const barracksMaterial = new THREE.MeshStandardMaterial({
+            color: 0x7A7F6A,
+            roughness: 0.9,
+            emissive: 0x7A7F6A,
+            emissiveIntensity: 0.02
+        })
+        const fenceMaterial = new THREE.MeshStandardMaterial({
+            color: 0x555555,
+            roughness: 0.5,
+            metalness: 0.7
+        })
+
+        // Barracks along the back
+        const barracks = new THREE.Mesh(new THREE.BoxGeometry(2.4, this.buildingHeight, 1.0), barracksMaterial)
+        barracks.position.set(0, this.buildingHeight / 2, -0.9)
+        barracks.castShadow = true
+        barracks.receiveShadow = true
+        barracks.name = 'ReeducationCampBarracks'
+        group.add(barracks)
+
+        // Perimeter fence
+        const sideGeo = new THREE.BoxGeometry(2.9, 0.8, 0.05)
+        for (const [x, z, rotation] of [[0, 1.45, 0], [0, -1.45, 0], [1.45, 0, Math.PI / 2], [-1.45, 0, Math.PI / 2]]) {
+            const fence = new THREE.Mesh(sideGeo, fenceMaterial.clone())
+            fence.position.set(x, 0.4, z)
+            fence.rotation.y = rotation
+            fence.name = 'ReeducationCampFence'
+            group.add(fence)
+        }
+
+        // Watchtower in the front corner
+        const tower = new THREE.Mesh(new THREE.BoxGeometry(0.4, 2.6, 0.4), fenceMaterial)
+        tower.position.set(1.15, 1.3, 1.15)
+        tower.castShadow = true
+        tower.name = 'ReeducationCampTower'
+        group.add(tower)
+    }
+
+    // ==================== PRISONERS ====================
+
+    /**
+     * Take in one arrested crowd member
+     */
+    admitPrisoner() {
+        if (!this.hasRoom) return false
+
+        this.prisoners++
+        getResourceLedger(this.ctx)?.add({prisoners: 1})
+        this._updatePrisonerFigures()
+        return true
+    }
+
+    /**
+     * One orange figure per prisoner in the yard (rows of 5 in front of the barracks)
+     */
+    _updatePrisonerFigures() {
+        if (!this._meshGroup) return
+
+        while (this._prisonerFigures.length > this.prisoners) {
+            const figure = this._prisonerFigures.pop()
+            this._meshGroup.remove(figure)
+            figure.geometry.dispose()
+            figure.material.dispose()
+        }
+
+        while (this._prisonerFigures.length < this.prisoners) {
+            const index = this._prisonerFigures.length
+            const figure = new THREE.Mesh(
+                new THREE.CapsuleGeometry(0.12, 0.3, 2, 8),
+                new THREE.MeshStandardMaterial({color: 0xE86A1C, roughness: 0.8})
+            )
+            figure.position.set(-1.0 + (index % 5) * 0.5, 0.27, 0.1 + Math.floor(index / 5) * 0.45)
+            figure.castShadow = true
+            figure.name = 'ReeducationCampPrisoner'
+            this._meshGroup.add(figure)
+            this._prisonerFigures.push(figure)
+        }
+    }
+
+    /**
+     * Convert up to conversionsPerDay prisoners into random professions
+     */
+    _produceOutput() {
+        const count = Math.min(this.prisoners, this.conversionsPerDay)
+        if (count === 0) return {}
+
+        this.prisoners -= count
+        this._releaseFromLedger(count)
+        this._updatePrisonerFigures()
+
+        const professions = Object.keys(PROFESSIONS)
+        const output = {}
+        for (let i = 0; i < count; i++) {
+            const profession = professions[Math.floor(Math.random() * professions.length)]
+            output[profession] = (output[profession] || 0) + 1
+        }
+        return output
+    }
+
+    _releaseFromLedger(count) {
+        const ledger = getResourceLedger(this.ctx)
+        if (ledger) ledger.spend({prisoners: Math.min(count, ledger.get('prisoners'))})
+    }
+
+    _die(attacker = null) {
+        super._die(attacker)
+
+        // The guards are gone: everyone still held escapes
+        if (this.prisoners > 0) {
+            //console.log(`[ReeducationCamp] ${this.prisoners} prisoners escaped`)
+            this._releaseFromLedger(this.prisoners)
+            this.prisoners = 0
+            this._updatePrisonerFigures()
+        }
+    }
+
+    // ==================== UI CONFIG ====================
+
+    TestAdmit = () => {
+        this.admitPrisoner()
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: 'Re-education Camp',
+        children: [
+            {
+                type: 'button',
+                label: 'Test Admit Prisoner',
+                onClick: this.TestAdmit,
+            },
+            {
+                type: 'button',
+                label: 'Test Produce',
+                onClick: this.TestProduce,
+            },
+            {
+                type: 'button',
+                label: 'Test Damage (100)',
+                onClick: this.TestDamage,
+            },
+        ],
+    }
+}
+
+/**
+ * Alive Re-education camp with room for another prisoner
+ * @returns {ReeducationCamp|null}
+ */
+export function findCampWithRoom(ctx) {
+    return (ctx?.ecp?.getComponentsOfType?.('ReeducationCamp') || []).find(camp => camp.hasRoom) || null
+}
@@ -0,0 +1,68 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+
+/**
+ * Residence - Housing block that supplies workers
+ *
+ * Specifications (GAME.md: "Residence (input: money | peace_output (with chance): 996 bro)"):
+ * - HP: 400
+ * - Armor: 5
+ * - Cost: $200 (handled by BuildingPlacer)
+ * - Footprint: 2x2 cells
+ * - Produces 2 workers per day; a night without damage has a chance of an extra
+ *   worker on the 996 schedule
+ * - Residential zone (radius 6) for Sweatshops and Basic Offices
+ */
+export class Residence extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties]
+    static ComponentType = 'Residence'
+
+    health = 400
+    maxHealth = 400
+    armor = 5
+
+    gridWidth = 2
+    gridDepth = 2
+    buildingHeight = 2.4
+
+    production = {workers: 2}
+    peaceOutput = {workers: 1}
+    peaceOutputChance = 0.3
+
+    zoneRadius = 6
+
+    _displayedHealth = 400
+
+    _createBuildingGeometry(group) {
+        const wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0xC9B79C,
+            roughness: 0.9,
+            emissive: 0xC9B79C,
+            emissiveIntensity: 0.02
+        })
+        const windowMaterial = new THREE.MeshStandardMaterial({
+            color: 0x334455,
+            roughness: 0.3,
+            metalness: 0.4
+        })
+
+        // Apartment block (slightly inset from the 2x2 footprint)
+        const block = new THREE.Mesh(new THREE.BoxGeometry(1.8, this.buildingHeight, 1.8), wallMaterial)
+        block.position.y = this.buildingHeight / 2
+        block.castShadow = true
+        block.receiveShadow = true
+        block.name = 'ResidenceBlock'
+        group.add(block)
+
+        // Window rows on the front and back
+        const windowGeo = new THREE.BoxGeometry(1.5, 0.25, 0.05)
+        for (const y of [0.7, 1.4, 2.1]) {
+            for (const z of [-0.91, 0.91]) {
+                const windowRow = new THREE.Mesh(windowGeo, windowMaterial.clone())
+                windowRow.position.set(0, y, z)
+                windowRow.name = 'ResidenceWindows'
+                group.add(windowRow)
+            }
+        }
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * ResourceBundle - Arithmetic on costs and bundles (ResourceLedger, BuildingPlacer, factories)
+ *
+ * A bundle is an object like {money: 200, gpu: 2}; a plain number means money.
+ *
+ * Plain module with NO threepipe/three dependency.
+ */
+
+// Resources of the GAME.md production chain (money itself stays in MoneyCounter)
+export const RESOURCE_LABELS = {
+    food: 'Food',
+    workers: 'Workers',
+    components: 'Factory comp.',
+    blueprints: 'Blueprints',
+    gpu: 'GPU',
+    staff: 'Tech staff',
+    prisoners: 'Prisoners',
+    // Re-education camp professions (see ProductionChain.js PROFESSIONS)
+    farmers: 'Farmers',
+    factoryWorkers: 'Factory workers',
+    officeWorkers: 'Office workers',
+    scientists: 'Scientists'
+}
+
+/**
+ * Cost / bundle as a resource -> amount object (a number is a money amount)
+ */
+export function normalizeBundle(cost) {
+    if (typeof cost === 'number') return {money: cost}
+    return {...(cost || {})}
+}
+
+/**
+ * Cost of `count` of something
+ */
+export function scaleBundle(cost, count) {
+    const scaled = {}
+    for (const [resource, amount] of Object.entries(normalizeBundle(cost))) {
+        scaled[resource] = amount * count
+    }
+    return scaled
+}
+
+/**
+ * HTML for a cost, e.g. "$200 2 GPU" (money in the money color)
+ */
+export function formatBundle(cost) {
+    return Object.entries(normalizeBundle(cost))
+        .filter(([, amount]) => amount > 0)
+        .map(([resource, amount]) => resource === 'money'
+            ? `<span style="color:#FFD166">$${amount}</span>`
+            : `${amount} ${RESOURCE_LABELS[resource] || resource}`)
+        .join(' ')
+}
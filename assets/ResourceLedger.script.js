@@ -0,0 +1,228 @@
+import {Object3DComponent} from 'threepipe'
+import {RESOURCE_LABELS, normalizeBundle, scaleBundle, formatBundle} from './ResourceBundle.js'
+
+export {RESOURCE_LABELS}
+
+/**
+ * ResourceLedger - Every resource besides money, and multi-resource costs
+ * Singleton component - attach to GameManager object (MoneyCounter adds one if missing)
+ *
+ * - Costs and bundles are objects like {money: 200, gpu: 2}; a plain number means money
+ * - `money` entries go through MoneyCounter (its counter and flash feedback),
+ *   everything else is stored here
+ * - add / spend / canAfford are all-or-nothing over the whole bundle; without a
+ *   MoneyCounter nothing that costs money is affordable
+ * - onChange listeners hear every add / spend made through the ledger, and every
+ *   money change made on the MoneyCounter directly (it reports them, see moneyChanged)
+ * - Compact resource bar above the money counter
+ */
+export class ResourceLedger extends Object3DComponent {
+    static StateProperties = ['startingResources']
+    static ComponentType = 'ResourceLedger'
+
+    startingResources = {}  // e.g. {food: 5}
+
+    // Current amounts (RESOURCE_LABELS keys)
+    resources = {}
+
+    // Internal state
+    _element = null
+    _listeners = new Set()
+    _changes = null  // Changes of the add / spend in progress (one event per bundle)
+
+    start() {
+        if (super.start) super.start()
+
+        this.resources = Object.fromEntries(Object.keys(RESOURCE_LABELS).map(resource => [resource, 0]))
+        for (const [resource, amount] of Object.entries(this.startingResources || {})) {
+            this.resources[resource] = (this.resources[resource] || 0) + amount
+        }
+
+        this._createUI()
+        this._updateUI()
+    }
+
+    stop() {
+        if (super.stop) super.stop()
+        this._removeUI()
+    }
+
+    // ==================== COSTS ====================
+
+    // Bundle arithmetic lives in ResourceBundle.js (kept here for existing callers)
+
+    static normalize(cost) {
+        return normalizeBundle(cost)
+    }
+
+    static scale(cost, count) {
+        return scaleBundle(cost, count)
+    }
+
+    static format(cost) {
+        return formatBundle(cost)
+    }
+
+    // ==================== LEDGER ====================
+
+    get(resource) {
+        if (resource === 'money') return this._getMoneyCounter()?.money || 0
+        return this.resources[resource] || 0
+    }
+
+    canAfford(cost) {
+        const moneyCounter = this._getMoneyCounter()
+        for (const [resource, amount] of Object.entries(ResourceLedger.normalize(cost))) {
+            if (resource === 'money') {
+                if (amount > 0 && !moneyCounter?.canAfford(amount)) return false
+            } else if ((this.resources[resource] || 0) < amount) {
+                return false
+            }
+        }
+        return true
+    }
+
+    /**
+     * Spend a whole cost (returns false and spends nothing if any part is missing)
+     */
+    spend(cost) {
+        const bundle = ResourceLedger.normalize(cost)
+        if (!this.canAfford(bundle)) return false
+
+        this._changes = {}
+        for (const [resource, amount] of Object.entries(bundle)) {
+            if (amount === 0) continue
+            if (resource === 'money') {
+                this._getMoneyCounter()?.spendMoney(amount)  // Reported back through moneyChanged()
+            } else {
+                this.resources[resource] -= amount
+                this._recordChange(resource, -amount)
+            }
+        }
+
+        this._commitChanges()
+        return true
+    }
+
+    /**
+     * Add a bundle, e.g. a production tick {food: 3, workers: 2}
+     */
+    add(bundle) {
+        this._changes = {}
+        for (const [resource, amount] of Object.entries(ResourceLedger.normalize(bundle))) {
+            if (amount === 0) continue
+            if (resource === 'money') {
+                this._getMoneyCounter()?.addMoney(amount)  // Reported back through moneyChanged()
+            } else {
+                this.resources[resource] = (this.resources[resource] || 0) + amount
+                this._recordChange(resource, amount)
+            }
+        }
+
+        this._commitChanges()
+    }
+
+    /**
+     * Called by MoneyCounter on every money change (income, ledger costs, ...)
+     */
+    moneyChanged(amount) {
+        this._recordChange('money', amount)
+    }
+
+    _getMoneyCounter() {
+        return this.ctx?.ecp?.getComponentOfType?.('MoneyCounter')
+    }
+
+    // ==================== CHANGE EVENTS ====================
+
+    /**
+     * Subscribe to ledger changes
+     * @param {Function} listener - (ledger, changes) => void, changes = {resource: delta}
+     * @returns {Function} unsubscribe
+     */
+    onChange(listener) {
+        this._listeners.add(listener)
+        return () => this._listeners.delete(listener)
+    }
+
+    /**
+     * Part of the add / spend in progress, or a change of its own (direct MoneyCounter income)
+     */
+    _recordChange(resource, amount) {
+        if (this._changes) {
+            this._changes[resource] = (this._changes[resource] || 0) + amount
+        } else {
+            this._notifyChanged({[resource]: amount})
+        }
+    }
+
+    _commitChanges() {
+        const changes = this._changes
+        this._changes = null
+
+        this._updateUI()
+        this._notifyChanged(changes)
+    }
+
+    _notifyChanged(changes) {
+        if (Object.keys(changes).length === 0) return
+
+        for (const listener of this._listeners) {
+            try {
+                listener(this, changes)
+            } catch (error) {
+                console.error('[ResourceLedger] Error in change listener:', error)
+            }
+        }
+    }
+
+    // ==================== UI ====================
+
+    _createUI() {
+        this._removeUI()
+
+        this._element = document.createElement('div')
+        this._element.style.cssText = `
+            position: fixed;
+            bottom: 118px;
+            right: 50px;
+            z-index: 1000;
+            pointer-events: none;
+            display: flex;
+            gap: 12px;
+            padding: 6px 12px;
+            background: rgba(0,0,0,0.75);
+            border: 1px solid rgba(255,255,255,0.15);
+            border-radius: 6px;
+            color: #ddd;
+            font-family: 'Segoe UI', Arial, sans-serif;
+            font-size: 13px;
+        `
+
+        const container = this.ctx?.viewer?.container || document.body
+        container.appendChild(this._element)
+    }
+
+    _removeUI() {
+        if (this._element) {
+            this._element.remove()
+            this._element = null
+        }
+    }
+
+    _updateUI() {
+        if (!this._element) return
+
+        this._element.innerHTML = Object.entries(RESOURCE_LABELS)
+            .map(([resource, label]) => {
+                const amount = Math.floor(this.resources[resource] || 0)
+                const color = amount > 0 ? '#fff' : '#777'
+                return `<span>${label} <b style="color:${color}">${amount}</b></span>`
+            })
+            .join('')
+    }
+}
+
+export function getResourceLedger(ctx) {
+    return ctx?.ecp?.getComponentOfType?.('ResourceLedger')
+}
@@ -1,14 +1,54 @@
 import {Object3DComponent} from 'threepipe'
 import * as THREE from 'three'
+import {getOccupancyMap} from './OccupancyMap.js'
+import {getRoadNetwork} from './RoadNetwork.js'
+
+// World directions a road tile can connect to (north = -Z)
+const DIRECTIONS = {
+    north: {x: 0, z: -1},
+    east: {x: 1, z: 0},
+    south: {x: 0, z: 1},
+    west: {x: -1, z: 0}
+}
+
+export const RoadVariant = {
+    STRAIGHT: 'straight',
+    CORNER: 'corner',
+    T_JUNCTION: 't-junction',
+    CROSSROAD: 'crossroad',
+    DEAD_END: 'dead-end'
+}
+
+/**
+ * Variant for a set of connected sides ({north, east, south, west} booleans)
+ * A tile without neighbors draws as a straight north-south road
+ */
+export function getRoadVariant(connections) {
+    const count = Object.keys(DIRECTIONS).filter(side => connections[side]).length
+    switch (count) {
+        case 1: return RoadVariant.DEAD_END
+        case 2: return (connections.north === connections.south) ? RoadVariant.STRAIGHT : RoadVariant.CORNER
+        case 3: return RoadVariant.T_JUNCTION
+        case 4: return RoadVariant.CROSSROAD
+        default: return RoadVariant.STRAIGHT
+    }
+}
 
 /**
- * Road - Cosmetic asphalt road with lane markings
+ * Road - Asphalt road with lane markings
  *
  * Specifications:
- * - Purely cosmetic (no gameplay effect)
  * - Dark asphalt with white lane markings
  * - Cost: $50 (handled by BuildingPlacer)
- * - No HP, no physics
+ * - No HP, no physics (reserves its cells in the OccupancyMap)
+ * - Gameplay via RoadNetwork: faster friendly units, preferred by enemy vehicles,
+ *   connects buildings to the road network (production prerequisite)
+ *
+ * Auto-tiling:
+ * - Each tile connects to Road tiles touching it edge to edge
+ * - Variant (straight, corner, T-junction, crossroad, dead end) follows the connected sides:
+ *   dashed center line from the center to every connected side, solid edge line on every closed side
+ * - Placing or removing a road re-tiles it and its neighbors
  */
 export class Road extends Object3DComponent {
     static StateProperties = ['roadWidth', 'roadLength']
@@ -18,18 +58,42 @@ export class Road extends Object3DComponent {
     roadWidth = 2
     roadLength = 2
 
+    // Auto-tiling (read-only)
+    variant = RoadVariant.STRAIGHT
+    connections = {north: false, east: false, south: false, west: false}
+
     // Internal
     _roadMesh = null
+    _laneGroup = null
     _laneMeshes = []
+    _isPlaced = false           // Counts as a neighbor for other roads
+    _hasCustomGeometry = false  // Scene-authored mesh, no generated markings
 
     start() {
         if (super.start) super.start()
         this._createRoadGeometry()
+        this._registerOccupancy()
+        getRoadNetwork(this.ctx).addRoad(this, this._getFootprint())
+
+        this._isPlaced = true
+        this.refreshTile()
+        this._refreshNeighbors()
     }
 
     stop() {
         if (super.stop) super.stop()
+
+        // Neighbors re-tile without this road
+        const neighbors = this._findNeighbors()
+        this._isPlaced = false
+
         this._removeRoadGeometry()
+        this._unregisterOccupancy()
+        getRoadNetwork().removeRoad(this)
+
+        for (const road of Object.values(neighbors)) {
+            road?.refreshTile()
+        }
     }
 
     // ==================== ROAD GEOMETRY ====================
@@ -44,6 +108,7 @@ export class Road extends Object3DComponent {
                 hasGeometry = true
             }
         })
+        this._hasCustomGeometry = hasGeometry
         if (hasGeometry) return
 
         // Create road base (flat plane)
@@ -62,60 +127,77 @@ export class Road extends Object3DComponent {
         this._roadMesh.name = 'RoadBase'
 
         this.object.add(this._roadMesh)
-
-        // Create lane markings (dashed white lines)
-        this._createLaneMarkings()
     }
 
     _createLaneMarkings() {
         const laneWidth = 0.08
         const dashLength = 0.3
         const gapLength = 0.2
-        const laneOffset = 0  // Center lane
+        const edgeWidth = 0.05
+        const period = dashLength + gapLength
+
+        // Markings are laid out in world directions, so undo the object's rotation
+        this._laneGroup = new THREE.Group()
+        this._laneGroup.name = 'LaneMarkings'
+        this._laneGroup.rotation.y = -this.object.rotation.y
+        this.object.add(this._laneGroup)
+
+        const {halfX, halfZ} = this._getWorldHalfSize()
+        const anyConnection = Object.values(this.connections).some(Boolean)
+        const open = anyConnection ? this.connections : {north: true, south: true}
 
         const laneMaterial = new THREE.MeshBasicMaterial({
             color: 0xffffff,
             side: THREE.DoubleSide
         })
-
-        // Create dashed center line
-        const totalLength = this.roadLength
-        let currentPos = -totalLength / 2 + dashLength / 2
-
-        while (currentPos < totalLength / 2) {
-            const dashGeometry = new THREE.PlaneGeometry(laneWidth, dashLength)
-            const dashMesh = new THREE.Mesh(dashGeometry, laneMaterial)
-            dashMesh.rotation.x = -Math.PI / 2
-            dashMesh.position.set(laneOffset, 0.02, currentPos)
-            dashMesh.name = 'LaneMarking'
-            this.object.add(dashMesh)
-            this._laneMeshes.push(dashMesh)
-
-            currentPos += dashLength + gapLength
-        }
-
-        // Create edge lines (solid)
-        const edgeGeometry = new THREE.PlaneGeometry(0.05, this.roadLength)
         const edgeMaterial = new THREE.MeshBasicMaterial({
             color: 0xcccccc,
             side: THREE.DoubleSide
         })
 
-        // Left edge
-        const leftEdge = new THREE.Mesh(edgeGeometry, edgeMaterial)
-        leftEdge.rotation.x = -Math.PI / 2
-        leftEdge.position.set(-this.roadWidth / 2 + 0.05, 0.02, 0)
-        leftEdge.name = 'LaneMarking'
-        this.object.add(leftEdge)
-        this._laneMeshes.push(leftEdge)
-
-        // Right edge
-        const rightEdge = new THREE.Mesh(edgeGeometry, edgeMaterial)
-        rightEdge.rotation.x = -Math.PI / 2
-        rightEdge.position.set(this.roadWidth / 2 - 0.05, 0.02, 0)
-        rightEdge.name = 'LaneMarking'
-        this.object.add(rightEdge)
-        this._laneMeshes.push(rightEdge)
+        for (const [side, dir] of Object.entries(DIRECTIONS)) {
+            const alongX = dir.x !== 0
+
+            if (open[side]) {
+                // Dashed center line from the center to this side, in phase with the neighbor's dashes
+                const length = alongX ? halfX : halfZ
+                for (let center = period / 2; center + dashLength / 2 <= length + 0.001; center += period) {
+                    const dashGeometry = alongX
+                        ? new THREE.PlaneGeometry(dashLength, laneWidth)
+                        : new THREE.PlaneGeometry(laneWidth, dashLength)
+                    this._addLaneMesh(dashGeometry, laneMaterial, dir.x * center, dir.z * center)
+                }
+            } else {
+                // Solid edge line along this (closed) side
+                const edgeGeometry = alongX
+                    ? new THREE.PlaneGeometry(edgeWidth, halfZ * 2)
+                    : new THREE.PlaneGeometry(halfX * 2, edgeWidth)
+                this._addLaneMesh(edgeGeometry, edgeMaterial, dir.x * (halfX - 0.05), dir.z * (halfZ - 0.05))
+            }
+        }
+    }
+
+    _addLaneMesh(geometry, material, x, z) {
+        const mesh = new THREE.Mesh(geometry, material)
+        mesh.rotation.x = -Math.PI / 2
+        mesh.position.set(x, 0.02, z)
+        mesh.name = 'LaneMarking'
+        this._laneGroup.add(mesh)
+        this._laneMeshes.push(mesh)
+    }
+
+    _removeLaneMarkings() {
+        for (const mesh of this._laneMeshes) {
+            mesh.geometry?.dispose()
+            mesh.material?.dispose()
+            mesh.removeFromParent()
+        }
+        this._laneMeshes = []
+
+        if (this._laneGroup) {
+            this._laneGroup.removeFromParent()
+            this._laneGroup = null
+        }
     }
 
     _removeRoadGeometry() {
@@ -130,17 +212,12 @@ export class Road extends Object3DComponent {
         }
 
         // Remove lane markings
-        for (const mesh of this._laneMeshes) {
-            mesh.geometry?.dispose()
-            mesh.material?.dispose()
-            this.object.remove(mesh)
-        }
-        this._laneMeshes = []
+        this._removeLaneMarkings()
 
         // Also remove by name (in case created differently)
         const toRemove = []
         this.object.traverse((child) => {
-            if (child.name === 'RoadBase' || child.name === 'LaneMarking') {
+            if (child.name === 'RoadBase' || child.name === 'LaneMarking' || child.name === 'LaneMarkings') {
                 toRemove.push(child)
             }
         })
@@ -148,9 +225,110 @@ export class Road extends Object3DComponent {
         for (const mesh of toRemove) {
             mesh.geometry?.dispose()
             mesh.material?.dispose()
-            this.object.remove(mesh)
+            mesh.removeFromParent()
+        }
+    }
+
+    // ==================== AUTO-TILING ====================
+
+    /**
+     * Half extents of the tile along world X/Z (width and length swap at 90 and 270 degrees)
+     */
+    _getWorldHalfSize() {
+        const quarterTurns = Math.round((this.object?.rotation.y || 0) / (Math.PI / 2))
+        const swapped = Math.abs(quarterTurns % 2) === 1
+        return {
+            halfX: (swapped ? this.roadLength : this.roadWidth) / 2,
+            halfZ: (swapped ? this.roadWidth : this.roadLength) / 2
+        }
+    }
+
+    /**
+     * Placed roads touching this tile edge to edge (centers aligned), by world direction
+     * @returns {{north: Road|null, east: Road|null, south: Road|null, west: Road|null}}
+     */
+    _findNeighbors() {
+        const neighbors = {north: null, east: null, south: null, west: null}
+        if (!this.object) return neighbors
+
+        const tolerance = 0.1
+        const myPos = new THREE.Vector3()
+        const otherPos = new THREE.Vector3()
+        this.object.getWorldPosition(myPos)
+        const mySize = this._getWorldHalfSize()
+
+        const roads = this.ctx?.ecp?.getComponentsOfType?.('Road') || []
+        for (const road of roads) {
+            if (road === this || !road._isPlaced || !road.object) continue
+
+            road.object.getWorldPosition(otherPos)
+            const otherSize = road._getWorldHalfSize()
+            const dx = otherPos.x - myPos.x
+            const dz = otherPos.z - myPos.z
+
+            for (const [side, dir] of Object.entries(DIRECTIONS)) {
+                const touches = dir.x !== 0
+                    ? Math.abs(dx - dir.x * (mySize.halfX + otherSize.halfX)) < tolerance && Math.abs(dz) < tolerance
+                    : Math.abs(dz - dir.z * (mySize.halfZ + otherSize.halfZ)) < tolerance && Math.abs(dx) < tolerance
+                if (touches) {
+                    neighbors[side] = road
+                }
+            }
         }
+
+        return neighbors
+    }
+
+    /**
+     * Pick the variant from the current neighbors and regenerate the lane markings
+     */
+    refreshTile() {
+        if (!this._isPlaced || !this.object) return
+
+        const neighbors = this._findNeighbors()
+        for (const side of Object.keys(DIRECTIONS)) {
+            this.connections[side] = !!neighbors[side]
+        }
+        this.variant = getRoadVariant(this.connections)
+
+        if (this._hasCustomGeometry) return
+
+        this._removeLaneMarkings()
+        this._createLaneMarkings()
+    }
+
+    _refreshNeighbors() {
+        for (const road of Object.values(this._findNeighbors())) {
+            road?.refreshTile()
+        }
+    }
+
+    // ==================== OCCUPANCY ====================
+
+    _getFootprint() {
+        const worldPos = new THREE.Vector3()
+        this.object?.getWorldPosition(worldPos)
+
+        const gridSize = getOccupancyMap(this.ctx).gridSize
+        return {
+            x: worldPos.x,
+            z: worldPos.z,
+            gridWidth: Math.max(1, Math.round(this.roadWidth / gridSize)),
+            gridDepth: Math.max(1, Math.round(this.roadLength / gridSize)),
+            rotation: this.object?.rotation.y || 0
+        }
+    }
+
+    _registerOccupancy() {
+        if (!this.object) return
+
+        // Roads don't block movement, only other buildings
+        getOccupancyMap(this.ctx).addBuilding(this, this._getFootprint())
+    }
+
+    _unregisterOccupancy() {
+        getOccupancyMap().removeBuilding(this)
     }
 
-    // No update needed - purely visual
+    // No update needed - effects are read from the RoadNetwork
 }
@@ -0,0 +1,195 @@
+import {getNavGrid} from './NavGrid.js'
+import {getOccupancyMap} from './OccupancyMap.js'
+import {findPath} from './Pathfinding.js'
+
+/**
+ * RoadNetwork - Which cells are paved, and what roads do for gameplay
+ *
+ * This service:
+ * 1. Tracks road cells (Roads register with addRoad() in start() and removeRoad() in stop())
+ * 2. Pathfinding: road cells cost `roadCost` for agents that like roads
+ *    (friendly units, Robot Tires, enemy vehicles) - see getCostFunction() / planRoute()
+ * 3. Movement: getSpeedMultiplier() boosts acceleration on road cells
+ * 4. Logistics: isBuildingConnected() - a building touches the road network
+ *    (prerequisite for production buildings, see GAME.md)
+ *
+ * Road cells use the NavGrid cell convention. Roads don't change walkability,
+ * so they don't bump NavGrid.version (shared flow fields stay valid).
+ */
+export class RoadNetwork {
+    constructor(ctx = null) {
+        this.ctx = ctx
+
+        this.roadCost = 0.5          // Nav cost multiplier on road cells (1 = off road)
+        this.speedMultiplier = 1.5   // Acceleration multiplier on road cells
+
+        // Road cells: cellKey -> number of roads covering it
+        this._roadCells = new Map()
+
+        // Road owner -> cell keys
+        this._roads = new Map()
+    }
+
+    _key(cx, cz) {
+        return `${cx},${cz}`
+    }
+
+    // ==================== ROADS ====================
+
+    /**
+     * @param {Object} owner - Usually the Road component
+     * @param {{x: number, z: number, gridWidth: number, gridDepth: number, rotation: number}} footprint
+     */
+    addRoad(owner, footprint) {
+        if (this._roads.has(owner)) {
+            this.removeRoad(owner)
+        }
+
+        const navGrid = getNavGrid(this.ctx)
+        const keys = getOccupancyMap(this.ctx).getFootprintCells(footprint).map((cell) => {
+            const navCell = navGrid.worldToCell(cell.worldX, cell.worldZ)
+            return this._key(navCell.x, navCell.z)
+        })
+
+        for (const key of keys) {
+            this._roadCells.set(key, (this._roadCells.get(key) || 0) + 1)
+        }
+
+        this._roads.set(owner, keys)
+    }
+
+    removeRoad(owner) {
+        const keys = this._roads.get(owner)
+        if (!keys) return
+
+        for (const key of keys) {
+            const count = (this._roadCells.get(key) || 0) - 1
+            if (count > 0) {
+                this._roadCells.set(key, count)
+            } else {
+                this._roadCells.delete(key)
+            }
+        }
+
+        this._roads.delete(owner)
+    }
+
+    /**
+     * Forget every road (scene reload)
+     */
+    reset() {
+        this._roadCells.clear()
+        this._roads.clear()
+    }
+
+    // ==================== QUERIES ====================
+
+    isRoadCell(cx, cz) {
+        return this._roadCells.has(this._key(cx, cz))
+    }
+
+    isWorldOnRoad(x, z) {
+        const cell = getNavGrid(this.ctx).worldToCell(x, z)
+        return this.isRoadCell(cell.x, cell.z)
+    }
+
+    /**
+     * Acceleration multiplier at a world position
+     */
+    getSpeedMultiplier(x, z) {
+        return this.isWorldOnRoad(x, z) ? this.speedMultiplier : 1
+    }
+
+    /**
+     * Step cost function for findPath's getCost option
+     */
+    getCostFunction(roadCost = this.roadCost) {
+        return (cx, cz) => (this.isRoadCell(cx, cz) ? roadCost : 1)
+    }
+
+    /**
+     * True if any footprint cell is a road cell or touches one (4-connected)
+     */
+    isFootprintConnected(footprint) {
+        const navGrid = getNavGrid(this.ctx)
+
+        return getOccupancyMap(this.ctx).getFootprintCells(footprint).some((cell) => {
+            const {x, z} = navGrid.worldToCell(cell.worldX, cell.worldZ)
+            return this.isRoadCell(x, z) ||
+                this.isRoadCell(x + 1, z) || this.isRoadCell(x - 1, z) ||
+                this.isRoadCell(x, z + 1) || this.isRoadCell(x, z - 1)
+        })
+    }
+
+    /**
+     * True if a building registered in the OccupancyMap touches a road
+     */
+    isBuildingConnected(owner) {
+        const footprint = getOccupancyMap(this.ctx).getFootprint(owner)
+        return !!footprint && this.isFootprintConnected(footprint)
+    }
+
+    // ==================== ROUTES ====================
+
+    /**
+     * World waypoints from one position to another, preferring roads.
+     * The exact target is always the last point (fallback: straight line).
+     * @returns {{points: Array<{x: number, z: number}>, index: number}} Route for followRoute()
+     */
+    planRoute(fromX, fromZ, toX, toZ, roadCost = this.roadCost) {
+        const navGrid = getNavGrid(this.ctx)
+        const start = navGrid.worldToCell(fromX, fromZ)
+        const goalCell = navGrid.worldToCell(toX, toZ)
+        const goal = navGrid.findNearestWalkable(goalCell.x, goalCell.z)
+
+        let points = []
+        if (goal) {
+            const {path} = findPath(navGrid, start, goal, {
+                getCost: this.getCostFunction(roadCost),
+                minStepCost: Math.min(1, roadCost)
+            })
+            points = path.map(cell => navGrid.cellToWorld(cell.x, cell.z))
+        }
+
+        points.push({x: toX, z: toZ})
+        return {points, index: 0}
+    }
+}
+
+/**
+ * Direction toward the next waypoint of a route (skips reached waypoints)
+ * @returns {{x: number, z: number} | null} null once the last waypoint is reached
+ */
+export function followRoute(route, x, z, reachDistance = 0.5) {
+    while (route && route.index < route.points.length) {
+        const waypoint = route.points[route.index]
+        const dx = waypoint.x - x
+        const dz = waypoint.z - z
+        const dist = Math.sqrt(dx * dx + dz * dz)
+
+        if (dist > reachDistance) {
+            return {x: dx / dist, z: dz / dist}
+        }
+        route.index++
+    }
+
+    return null
+}
+
+// Global singleton instance
+let roadNetwork = null
+
+/**
+ * Get the shared RoadNetwork (created on first use)
+ */
+export function getRoadNetwork(ctx = null) {
+    if (!roadNetwork) {
+        roadNetwork = new RoadNetwork(ctx)
+    }
+
+    if (ctx && !roadNetwork.ctx) {
+        roadNetwork.ctx = ctx
+    }
+
+    return roadNetwork
+}
@@ -2,13 +2,15 @@ import {Object3DComponent, EntityComponentPlugin} from 'threepipe'
 import * as THREE from 'three'
 import {getPhysicsWorldManager} from './PhysicsWorldController.script.js'
 import {CollisionSystem} from './CollisionSystem.js'
+import {getGameClock} from './GameClock.js'
+import {getRoadNetwork, followRoute} from './RoadNetwork.js'
 
 /**
  * RobotTireController - Individual soldier with selection and movement commands
  */
 export class RobotTireController extends Object3DComponent {
     static StateProperties = [
-       'enabled', 'health', 'maxHealth', 'armor', 'damage',
+       'enabled', 'health', 'maxHealth', 'armor', 'damage', 'nonLethal',
        'detectionRange', 'attackRange'
     ]
     static ComponentType = 'RobotTireController'
@@ -23,6 +25,7 @@ export class RobotTireController extends Object3DComponent {
     armor = 2
     damage = 50         // base damage on impact
     impactDamageScale = 0.10  // damage multiplier per unit of speed
+    nonLethal = false   // subdued crowd members are arrested instead of killed (needs a ReeducationCamp)
 
     // Auto-attack attributes
     detectionRange = 25  // how far they can detect enemies
@@ -35,6 +38,7 @@ export class RobotTireController extends Object3DComponent {
     // Movement state
     _targetPosition = null
     _userTargetPosition = null  // user-commanded target (takes priority)
+    _userRoute = null           // RoadNetwork route to _userTargetPosition
     _velocity = null
     _isMoving = false
     _autoTargetEnemy = null  // current auto-attack target
@@ -293,6 +297,7 @@ export class RobotTireController extends Object3DComponent {
 
     moveTo(position) {
         this._userTargetPosition = position.clone()
+        this._userRoute = null  // replanned on the next movement update
         this._targetPosition = position.clone()
         this._isMoving = true
         this._autoTargetEnemy = null  // clear auto-target when user gives command
@@ -305,6 +310,7 @@ export class RobotTireController extends Object3DComponent {
     stopMoving() {
         this._targetPosition = null
         this._userTargetPosition = null
+        this._userRoute = null
         this._isMoving = false
         this._autoTargetEnemy = null
     }
@@ -328,16 +334,21 @@ export class RobotTireController extends Object3DComponent {
             // Reached destination
             if (dist < 0.5) {
                 this._userTargetPosition = null
+                this._userRoute = null
                 this._targetPosition = null
                 this._isMoving = false
                 //this._applyPhysics(dt, 0, 0)
                 return
             }
 
-            // Move towards user target using physics forces
-            const inputX = dx / dist
-            const inputZ = dz / dist
-            CollisionSystem.applyMovementForce(this._physicsBody, inputX, inputZ, this.acceleration)
+            // Move along the road-preferring route using physics forces (straight line once it runs out)
+            const roadNetwork = getRoadNetwork(this.ctx)
+            if (!this._userRoute) {
+                this._userRoute = roadNetwork.planRoute(myPos.x, myPos.z, this._userTargetPosition.x, this._userTargetPosition.z)
+            }
+            const direction = followRoute(this._userRoute, myPos.x, myPos.z) || {x: dx / dist, z: dz / dist}
+            const acceleration = this.acceleration * roadNetwork.getSpeedMultiplier(myPos.x, myPos.z)
+            CollisionSystem.applyMovementForce(this._physicsBody, direction.x, direction.z, acceleration)
             this._updateRotation(dt)
             return
         }
@@ -361,10 +372,11 @@ export class RobotTireController extends Object3DComponent {
                 return
             }
 
-            // Move towards enemy using physics forces
+            // Move towards enemy using physics forces (faster on roads)
             const inputX = dx / dist
             const inputZ = dz / dist
-            CollisionSystem.applyMovementForce(this._physicsBody, inputX, inputZ, this.acceleration)
+            const acceleration = this.acceleration * getRoadNetwork(this.ctx).getSpeedMultiplier(myPos.x, myPos.z)
+            CollisionSystem.applyMovementForce(this._physicsBody, inputX, inputZ, acceleration)
             this._updateRotation(dt)
             return
         }
@@ -536,9 +548,13 @@ export class RobotTireController extends Object3DComponent {
 
     // ==================== UPDATE ====================
 
-    update({deltaTime}) {
+    update() {
         if (!this.object) return true  // keep alive
 
+        const clock = getGameClock()
+        if (!clock.isRunning) return true
+
+        const deltaTime = clock.deltaTime
         const dt = deltaTime / 1000
 
         this._updateHealthBar(deltaTime)
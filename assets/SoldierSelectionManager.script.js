@@ -378,6 +378,9 @@ export class SoldierSelectionManager extends Object3DComponent {
             return
         }
 
+        // Left drag belongs to BuildingPlacer while a building is selected
+        if (this.ctx?.ecp?.getComponentOfType?.('BuildingPlacer')?.isPlacing) return
+
         const isModifierClick = event.metaKey || event.ctrlKey
         //console.log('[SoldierSelectionManager] Modifier click:', isModifierClick)
 
@@ -0,0 +1,149 @@
+import {Object3DComponent} from 'threepipe'
+import * as THREE from 'three'
+
+/**
+ * SpySpawner - Spawns Spy enemies that sneak into industry and sabotage it
+ * Attach to empty objects to designate spawn points
+ *
+ * From GAME.md: "faster but weaker, gets behind lines and into industry, sabotages"
+ * - Targets production buildings (City Hall when there are none), ignores the player
+ * - Paths around police detection radii
+ * - Attacks halt the building's output for `sabotageDuration` instead of dealing damage
+ */
+export class SpySpawner extends Object3DComponent {
+    static StateProperties = [
+        'enabled', 'spawnCount', 'spawnRadius', 'sabotageDuration'
+    ]
+    static ComponentType = 'SpySpawner'
+
+    // Spawner configuration
+    enabled = true
+    spawnCount = 2
+    spawnRadius = 5.0
+    sabotageDuration = 10000  // ms of halted output per sabotage
+
+    // Spy stats
+    _spyHealth = 30
+    _spyMaxHealth = 30
+    _spySpeed = 12  // faster than a crowd member (8)
+    _spyArmor = 0
+    _spyDetectionRange = 60
+    _spyAttackRange = 1.5
+    _spyAttackFrequency = 0.5
+    _spyPoliceAvoidance = 6  // extra path cost at a police unit's position
+    _spyColor = 0x2b2d42  // dark suit
+    _spyScale = 0.85
+
+    // Internal state
+    _spawnedEnemies = []
+
+    start() {
+        if (super.start) super.start()
+        //console.log('[SpySpawner] Ready to spawn', this.spawnCount, 'spies')
+    }
+
+    stop() {
+        if (super.stop) super.stop()
+        this.cleanup()
+    }
+
+    // ==================== SPAWNING ====================
+
+    spawn() {
+        if (!this.enabled) {
+            console.warn('[SpySpawner] Spawner is disabled')
+            return
+        }
+
+        if (!this.ctx?.viewer?.scene || !this.ctx?.ecp) {
+            console.error('[SpySpawner] Scene or EntityComponentPlugin not available')
+            return
+        }
+
+        const spawnerPos = this.object.position
+        this._spawnedEnemies = []
+
+        for (let i = 0; i < this.spawnCount; i++) {
+            const angle = (Math.PI * 2 * i) / this.spawnCount
+            const radius = this.spawnRadius * (0.5 + Math.random() * 0.5)
+            this.spawnSpyAt(
+                spawnerPos.x + Math.cos(angle) * radius,
+                spawnerPos.z + Math.sin(angle) * radius,
+                spawnerPos.y
+            )
+        }
+    }
+
+    /**
+     * Spawn a single Spy at a world position
+     * Used by spawn() and by the WaveDirector (DayNightManager) to release wave enemies over time
+     */
+    spawnSpyAt(x, z, y = 0) {
+        const scene = this.ctx?.viewer?.scene
+        if (!scene || !this.ctx?.ecp) return null
+
+        // Empty object - EnemySystemManager builds the humanoid body (animationScale/animationColor)
+        const enemyObj = new THREE.Group()
+        enemyObj.position.set(x, y, z)
+        enemyObj.name = `Spy_${this._spawnedEnemies.length}`
+        scene.add(enemyObj)
+
+        const enemyManager = this.ctx.ecp.getComponentOfType('EnemySystemManager')
+        if (!enemyManager) {
+            console.error('[SpySpawner] EnemySystemManager not found!')
+            scene.remove(enemyObj)
+            return null
+        }
+
+        // Register enemy with manager (manager controls lifecycle)
+        const enemy = enemyManager.registerEnemy(enemyObj, {
+            enemyType: 'spy',
+            health: this._spyHealth,
+            maxHealth: this._spyMaxHealth,
+            speed: this._spySpeed,
+            armor: this._spyArmor,
+            detectionRange: this._spyDetectionRange,
+            attackRange: this._spyAttackRange,
+            attackFrequency: this._spyAttackFrequency,
+            policeAvoidance: this._spyPoliceAvoidance,
+            sabotageDuration: this.sabotageDuration,
+            animationScale: this._spyScale,
+            animationColor: this._spyColor
+        })
+
+        this._spawnedEnemies.push(enemy)
+        return enemy
+    }
+
+    cleanup() {
+        // Enemies are managed by EnemySystemManager - it handles cleanup
+        this._spawnedEnemies = []
+    }
+
+    // ==================== UI CONFIG ====================
+
+    TestSpawn = () => {
+        this.spawn()
+    }
+
+    TestCleanup = () => {
+        this.cleanup()
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: 'Spy Spawner',
+        children: [
+            {
+                type: 'button',
+                label: 'Spawn Spies',
+                onClick: this.TestSpawn,
+            },
+            {
+                type: 'button',
+                label: 'Cleanup Spies',
+                onClick: this.TestCleanup,
+            },
+        ],
+    }
+}
@@ -0,0 +1,65 @@
+import * as THREE from 'three'
+import {ProductionBuilding} from './ProductionBuilding.js'
+
+/**
+ * Sweatshop - Cheap labor that turns the residential economy into money
+ *
+ * Specifications (GAME.md: "Sweatshop (input: within residential zone, farm)"):
+ * - HP: 350
+ * - Armor: 3
+ * - Cost: $300 + 2 workers (handled by BuildingPlacer)
+ * - Footprint: 2x2 cells
+ * - Must stand within a residential zone and a farm zone (ProductionChain.js)
+ * - Produces $150 per day
+ * - Sweatshop zone (radius 6) for Basic Factories
+ */
+export class Sweatshop extends ProductionBuilding {
+    static StateProperties = [...ProductionBuilding.StateProperties]
+    static ComponentType = 'Sweatshop'
+
+    health = 350
+    maxHealth = 350
+    armor = 3
+
+    gridWidth = 2
+    gridDepth = 2
+    buildingHeight = 1.6
+
+    production = {money: 150}
+
+    zoneRadius = 6
+
+    _displayedHealth = 350
+
+    _createBuildingGeometry(group) {
+        const wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0x8A8F7A,
+            roughness: 0.95,
+            emissive: 0x8A8F7A,
+            emissiveIntensity: 0.02
+        })
+        const roofMaterial = new THREE.MeshStandardMaterial({
+            color: 0x5A5F55,
+            roughness: 0.7,
+            metalness: 0.3
+        })
+
+        // Low workshop hall
+        const hall = new THREE.Mesh(new THREE.BoxGeometry(1.9, this.buildingHeight, 1.9), wallMaterial)
+        hall.position.y = this.buildingHeight / 2
+        hall.castShadow = true
+        hall.receiveShadow = true
+        hall.name = 'SweatshopHall'
+        group.add(hall)
+
+        // Corrugated roof ridges
+        const ridgeGeo = new THREE.BoxGeometry(0.3, 0.2, 1.95)
+        for (const x of [-0.7, -0.35, 0, 0.35, 0.7]) {
+            const ridge = new THREE.Mesh(ridgeGeo, roofMaterial.clone())
+            ridge.position.set(x, this.buildingHeight + 0.1, 0)
+            ridge.castShadow = true
+            ridge.name = 'SweatshopRoof'
+            group.add(ridge)
+        }
+    }
+}
@@ -0,0 +1,216 @@
+import {getBreachPlanner} from './BreachPlanner.js'
+
+/**
+ * Targeting - Weighted, pluggable target selection for enemies
+ *
+ * Each enemy type declares a profile (see TARGET_PROFILES):
+ *   {
+ *       weights: {cityHall: 3, barricade: 4, production: 2, player: 1, police: 1.5},
+ *       reevaluateMs: 1000,          // Game time between re-evaluations
+ *       playerDetectionRange: 8      // Player override range (null = the enemy's detectionRange, 0 = never)
+ *   }
+ *
+ * Selection:
+ * 1. Player override (GAME.md): the player within detection range is always the target
+ * 2. Otherwise every `reevaluateMs` (or when the target dies) score all candidates:
+ *    score = weight / (1 + distance / distanceFalloff)
+ *    - City Hall is always a candidate (the night's objective)
+ *    - Other kinds only within the enemy's detectionRange
+ *    - Barricades only when they are the breach point on the way to City Hall (BreachPlanner.js)
+ *    - Production buildings score x2 within 3 units (PRD target priority)
+ *
+ * Kinds map to component types (TARGET_KINDS); new building types add themselves there.
+ * Candidates come from ctx.ecp, so any component type can be a target.
+ *
+ * TARGET_KINDS.production is also the list of economy buildings (ProductionBuilding.js):
+ * Spies sabotage them, DayNightManager runs their produce() tick at dawn, and destroying
+ * one leaks tech to the enemies (LeakedTech.js).
+ */
+
+export const TargetKind = {
+    CITY_HALL: 'cityHall',
+    BARRICADE: 'barricade',
+    PRODUCTION: 'production',
+    PLAYER: 'player',
+    POLICE: 'police'
+}
+
+// Kind -> component types and hitbox radius (added to the attacker's attack range)
+export const TARGET_KINDS = {
+    [TargetKind.CITY_HALL]: {componentTypes: ['CityHall'], hitboxRadius: 1.5},
+    [TargetKind.BARRICADE]: {componentTypes: ['Barricade'], hitboxRadius: 0.6},
+    [TargetKind.PRODUCTION]: {
+        componentTypes: ['Residence', 'Farm', 'Sweatshop', 'BasicFactory', 'BasicOffice', 'AdvancedFactory', 'ReeducationCamp'],
+        hitboxRadius: 1.0
+    },
+    [TargetKind.PLAYER]: {componentTypes: ['PlayerController'], hitboxRadius: 0},
+    [TargetKind.POLICE]: {componentTypes: ['FriendlyUnitData', 'RobotTireController'], hitboxRadius: 0}
+}
+
+export const TARGET_PROFILES = {
+    // Crowds march on City Hall, tear through barricades in the way, raid nearby production
+    crowd: {
+        weights: {cityHall: 3, barricade: 4, production: 2, player: 1, police: 1.5},
+        reevaluateMs: 1000,
+        playerDetectionRange: 8
+    },
+    // Vehicles go for buildings and run down whatever is close
+    ev: {
+        weights: {cityHall: 3, barricade: 2, production: 3, player: 2, police: 1},
+        reevaluateMs: 1500,
+        playerDetectionRange: null
+    },
+    // Tractors ram through buildings and crush walls on the way, no need to stop for them
+    tractor: {
+        weights: {cityHall: 3, barricade: 0, production: 3, player: 2, police: 1},
+        reevaluateMs: 2000,
+        playerDetectionRange: null
+    },
+    // Veterans shoot at whoever fights back, from range
+    veteran: {
+        weights: {cityHall: 2, barricade: 2, production: 1, player: 3, police: 3},
+        reevaluateMs: 1000,
+        playerDetectionRange: 12
+    },
+    // Spies slip past the player and go for the economy
+    spy: {
+        weights: {cityHall: 1, barricade: 0, production: 5, player: 0, police: 0},
+        reevaluateMs: 2000,
+        playerDetectionRange: 0
+    },
+    // Fallback for enemy types without their own profile
+    base: {
+        weights: {cityHall: 3, barricade: 2, production: 1, player: 2, police: 1},
+        reevaluateMs: 1000,
+        playerDetectionRange: null
+    }
+}
+
+export function getTargetProfile(enemyType) {
+    return TARGET_PROFILES[enemyType] || TARGET_PROFILES.base
+}
+
+export class TargetSelector {
+    constructor(ctx) {
+        this.ctx = ctx
+
+        this.distanceFalloff = 10       // Distance at which a candidate's score halves
+        this.productionNearRange = 3    // PRD: enemies within 3 units of a resource generator
+        this.productionNearBonus = 2
+
+        this._candidates = []
+        this._candidatesTime = -Infinity
+    }
+
+    // ==================== CANDIDATES ====================
+
+    /**
+     * All live targets, gathered once per game time step and shared by every agent
+     * @returns {Array<{kind: string, object: Object, component: Object, hitboxRadius: number}>}
+     */
+    getCandidates(now) {
+        if (now === this._candidatesTime) return this._candidates
+
+        const ecp = this.ctx?.ecp
+        this._candidates = []
+        for (const [kind, def] of Object.entries(TARGET_KINDS)) {
+            for (const type of def.componentTypes) {
+                for (const component of ecp?.getComponentsOfType?.(type) || []) {
+                    if (!component.object || !TargetSelector.isAlive(component)) continue
+                    this._candidates.push({kind, object: component.object, component, hitboxRadius: def.hitboxRadius})
+                }
+            }
+        }
+
+        this._candidatesTime = now
+        return this._candidates
+    }
+
+    static isAlive(component) {
+        return component.isAlive !== false && component.enabled !== false
+    }
+
+    // ==================== SELECTION ====================
+
+    /**
+     * Current target for an agent (state kept on agent._targeting)
+     * @param {Object} agent - Crowd member / enemy (needs detectionRange)
+     * @param {Object} profile - Entry of TARGET_PROFILES
+     * @param {{x: number, z: number}} position - Agent position
+     * @param {number} now - Game time in ms
+     * @returns {{kind: string, object: Object, component: Object, hitboxRadius: number} | null}
+     */
+    selectTarget(agent, profile, position, now) {
+        const state = agent._targeting || (agent._targeting = {target: null, nextEvaluateAt: 0})
+        const candidates = this.getCandidates(now)
+
+        // Player override while inside detection range
+        const playerRange = profile.playerDetectionRange ?? agent.detectionRange
+        const player = playerRange > 0 ? this._closest(candidates, TargetKind.PLAYER, position, playerRange) : null
+        if (player) {
+            state.target = player
+            return player
+        }
+
+        const current = state.target
+        const lost = !current || current.kind === TargetKind.PLAYER || !TargetSelector.isAlive(current.component)
+        if (lost || now >= state.nextEvaluateAt) {
+            state.target = this._evaluate(agent, profile, position, candidates, now)
+            state.nextEvaluateAt = now + profile.reevaluateMs
+        }
+
+        return state.target
+    }
+
+    _evaluate(agent, profile, position, candidates, now) {
+        const cityHall = this._closest(candidates, TargetKind.CITY_HALL, position, Infinity)
+        const breach = cityHall
+            ? getBreachPlanner(this.ctx).getBreachTarget(position.x, position.z, cityHall.object.position.x, cityHall.object.position.z, now)
+            : null
+        let best = null
+        let bestScore = 0
+
+        for (const candidate of candidates) {
+            const weight = profile.weights[candidate.kind] || 0
+            if (weight <= 0) continue
+
+            const distance = this._distance(position, candidate.object.position)
+            if (candidate.kind !== TargetKind.CITY_HALL && distance > agent.detectionRange) continue
+            if (candidate.kind === TargetKind.BARRICADE && candidate.component !== breach) continue
+
+            let score = weight / (1 + distance / this.distanceFalloff)
+            if (candidate.kind === TargetKind.PRODUCTION && distance <= this.productionNearRange) {
+                score *= this.productionNearBonus
+            }
+
+            if (score > bestScore) {
+                bestScore = score
+                best = candidate
+            }
+        }
+
+        return best
+    }
+
+    _closest(candidates, kind, position, maxDistance) {
+        let closest = null
+        let closestDist = maxDistance
+
+        for (const candidate of candidates) {
+            if (candidate.kind !== kind) continue
+            const distance = this._distance(position, candidate.object.position)
+            if (distance <= closestDist) {
+                closestDist = distance
+                closest = candidate
+            }
+        }
+
+        return closest
+    }
+
+    _distance(a, b) {
+        const dx = b.x - a.x
+        const dz = b.z - a.z
+        return Math.sqrt(dx * dx + dz * dz)
+    }
+}
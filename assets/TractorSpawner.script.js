@@ -0,0 +1,210 @@
+import {Object3DComponent} from 'threepipe'
+import * as THREE from 'three'
+
+/**
+ * TractorSpawner - Spawns Tractor enemies: very heavy, slow-turning rams
+ * Attach to empty objects to designate spawn points
+ *
+ * From GAME.md: "high mass, deadly when rammed, but slow to turn"
+ * - Vehicle model with a small steering angle and long wheel base (shared with EVs, see EnemySystemManager)
+ * - Lethal ram damage when it hits at speed, crushes barricades outright
+ */
+export class TractorSpawner extends Object3DComponent {
+    static StateProperties = [
+        'enabled', 'spawnCount', 'spawnRadius'
+    ]
+    static ComponentType = 'TractorSpawner'
+
+    // Spawner configuration
+    enabled = true
+    spawnCount = 1
+    spawnRadius = 5.0
+
+    // Tractor stats
+    _tractorHealth = 600
+    _tractorMaxHealth = 600
+    _tractorSpeed = 150  // throttle force - slow to accelerate with this mass
+    _tractorMaxSpeed = 7  // m/s
+    _tractorBrakeDeceleration = 5
+    _tractorDamage = 40  // attacks on buildings
+    _tractorRamDamage = 400  // lethal when rammed at full speed
+    _tractorArmor = 20
+    _tractorDetectionRange = 30
+    _tractorAttackRange = 2.5
+    _tractorAttackFrequency = 0.5
+    _tractorMass = 60  // heavier than anything else on the map
+    _tractorFriction = 0.6  // tall and top-heavy: corners slowly
+    _tractorMaxSteerAngle = 0.45  // rad - slow to turn (GAME.md)
+    _tractorWheelBase = 3
+    _tractorLookahead = 5
+    _tractorColor = 0xc62828  // farm red
+    _tractorWheelColor = 0x212121
+
+    // Internal state
+    _spawnedEnemies = []
+
+    start() {
+        if (super.start) super.start()
+        //console.log('[TractorSpawner] Ready to spawn', this.spawnCount, 'tractors')
+    }
+
+    stop() {
+        if (super.stop) super.stop()
+        this.cleanup()
+    }
+
+    // ==================== SPAWNING ====================
+
+    spawn() {
+        if (!this.enabled) {
+            console.warn('[TractorSpawner] Spawner is disabled')
+            return
+        }
+
+        if (!this.ctx?.viewer?.scene || !this.ctx?.ecp) {
+            console.error('[TractorSpawner] Scene or EntityComponentPlugin not available')
+            return
+        }
+
+        const spawnerPos = this.object.position
+        this._spawnedEnemies = []
+
+        for (let i = 0; i < this.spawnCount; i++) {
+            const angle = (Math.PI * 2 * i) / this.spawnCount
+            const radius = this.spawnRadius * (0.5 + Math.random() * 0.5)
+            this.spawnTractorAt(
+                spawnerPos.x + Math.cos(angle) * radius,
+                spawnerPos.z + Math.sin(angle) * radius,
+                spawnerPos.y
+            )
+        }
+    }
+
+    /**
+     * Spawn a single Tractor at a world position
+     * Used by spawn() and by the WaveDirector (DayNightManager) to release wave enemies over time
+     */
+    spawnTractorAt(x, z, y = 0) {
+        const scene = this.ctx?.viewer?.scene
+        if (!scene || !this.ctx?.ecp) return null
+
+        const enemyObj = new THREE.Group()
+        enemyObj.position.set(x, y, z)
+        enemyObj.name = `Tractor_${this._spawnedEnemies.length}`
+        this._createTractorGeometry(enemyObj)
+        scene.add(enemyObj)
+
+        const enemyManager = this.ctx.ecp.getComponentOfType('EnemySystemManager')
+        if (!enemyManager) {
+            console.error('[TractorSpawner] EnemySystemManager not found!')
+            scene.remove(enemyObj)
+            return null
+        }
+
+        // Register enemy with manager (manager controls lifecycle)
+        const enemy = enemyManager.registerEnemy(enemyObj, {
+            enemyType: 'tractor',
+            health: this._tractorHealth,
+            maxHealth: this._tractorMaxHealth,
+            speed: this._tractorSpeed,
+            damage: this._tractorDamage,
+            ramDamage: this._tractorRamDamage,
+            armor: this._tractorArmor,
+            detectionRange: this._tractorDetectionRange,
+            attackRange: this._tractorAttackRange,
+            attackFrequency: this._tractorAttackFrequency,
+            mass: this._tractorMass,
+            collisionRadius: 2,
+            steering: 'vehicle',
+            friction: this._tractorFriction,
+            maxSpeed: this._tractorMaxSpeed,
+            brakeDeceleration: this._tractorBrakeDeceleration,
+            maxSteerAngle: this._tractorMaxSteerAngle,
+            wheelBase: this._tractorWheelBase,
+            lookahead: this._tractorLookahead,
+            crushesBarricades: true,
+            animationScale: 1.0,
+            animationColor: this._tractorColor
+        })
+
+        this._spawnedEnemies.push(enemy)
+        return enemy
+    }
+
+    /**
+     * Body, cab and big rear wheels (front of the tractor faces +Z)
+     */
+    _createTractorGeometry(enemyObj) {
+        const bodyMaterial = new THREE.MeshStandardMaterial({
+            color: this._tractorColor,
+            metalness: 0.3,
+            roughness: 0.6
+        })
+        const wheelMaterial = new THREE.MeshStandardMaterial({
+            color: this._tractorWheelColor,
+            roughness: 0.9
+        })
+
+        const body = new THREE.Mesh(new THREE.BoxGeometry(1.6, 1.0, 3.2), bodyMaterial)
+        body.position.y = 0.9
+        body.castShadow = true
+        body.name = 'TractorBody'
+        enemyObj.add(body)
+
+        const cab = new THREE.Mesh(new THREE.BoxGeometry(1.4, 1.2, 1.2), bodyMaterial)
+        cab.position.set(0, 2.0, -0.8)
+        cab.castShadow = true
+        cab.name = 'TractorCab'
+        enemyObj.add(cab)
+
+        const wheels = [
+            {radius: 0.9, width: 0.5, x: 1.05, z: -0.9},  // rear
+            {radius: 0.5, width: 0.35, x: 0.95, z: 1.1}   // front
+        ]
+        for (const wheel of wheels) {
+            for (const side of [-1, 1]) {
+                const mesh = new THREE.Mesh(
+                    new THREE.CylinderGeometry(wheel.radius, wheel.radius, wheel.width, 16),
+                    wheelMaterial
+                )
+                mesh.rotation.z = Math.PI / 2
+                mesh.position.set(side * wheel.x, wheel.radius, wheel.z)
+                mesh.castShadow = true
+                mesh.name = 'TractorWheel'
+                enemyObj.add(mesh)
+            }
+        }
+    }
+
+    cleanup() {
+        // Enemies are managed by EnemySystemManager - it handles cleanup
+        this._spawnedEnemies = []
+    }
+
+    // ==================== UI CONFIG ====================
+
+    TestSpawn = () => {
+        this.spawn()
+    }
+
+    TestCleanup = () => {
+        this.cleanup()
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: 'Tractor Spawner',
+        children: [
+            {
+                type: 'button',
+                label: 'Spawn Tractors',
+                onClick: this.TestSpawn,
+            },
+            {
+                type: 'button',
+                label: 'Cleanup Tractors',
+                onClick: this.TestCleanup,
+            },
+        ],
+    }
+}
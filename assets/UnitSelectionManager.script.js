@@ -77,6 +77,9 @@ export class UnitSelectionManager extends Object3DComponent {
         if (!this.enabled) return
         if (event.button !== 0) return  // only left click
 
+        // Left drag belongs to BuildingPlacer while a building is selected
+        if (this.ctx?.ecp?.getComponentOfType?.('BuildingPlacer')?.isPlacing) return
+
         // Start box selection
         this._isSelecting = true
         this._selectionStart = { x: event.clientX, y: event.clientY }
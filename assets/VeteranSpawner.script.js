@@ -0,0 +1,194 @@
+import {Object3DComponent} from 'threepipe'
+import * as THREE from 'three'
+
+/**
+ * VeteranSpawner - Spawns Veteran enemies
+ * Attach to empty objects to designate spawn points
+ *
+ * From GAME.md: "higher health, ranged attack, and sometimes organizes"
+ * - Ranged attack: fires projectiles (EnemySystemManager attackType 'ranged')
+ * - Organizer (`organizeChance`): crowd members inside the aura ring move faster,
+ *   hit harder and stick together; they scatter when the Veteran dies
+ */
+export class VeteranSpawner extends Object3DComponent {
+    static StateProperties = [
+        'enabled', 'spawnCount', 'spawnRadius', 'organizeChance'
+    ]
+    static ComponentType = 'VeteranSpawner'
+
+    // Spawner configuration
+    enabled = true
+    spawnCount = 1
+    spawnRadius = 5.0
+    organizeChance = 0.6  // Chance a Veteran leads nearby crowd members
+
+    // Veteran stats
+    _veteranHealth = 300
+    _veteranMaxHealth = 300
+    _veteranSpeed = 6
+    _veteranDamage = 15
+    _veteranArmor = 5
+    _veteranDetectionRange = 40
+    _veteranAttackRange = 10  // ranged
+    _veteranAttackFrequency = 0.8
+    _veteranProjectileSpeed = 18
+    _veteranColor = 0x5d4037  // worn brown jacket
+    _veteranScale = 1.2
+
+    // Organizer aura
+    _auraRadius = 8
+    _auraSpeedMultiplier = 1.3
+    _auraDamageMultiplier = 1.5
+    _auraColor = 0xffb300
+
+    // Internal state
+    _spawnedEnemies = []
+    _auraRingGeometry = null  // Shared by every aura ring, disposed in cleanup()
+    _auraRingMaterial = null
+
+    start() {
+        if (super.start) super.start()
+        //console.log('[VeteranSpawner] Ready to spawn', this.spawnCount, 'veterans')
+    }
+
+    stop() {
+        if (super.stop) super.stop()
+        this.cleanup()
+    }
+
+    // ==================== SPAWNING ====================
+
+    spawn() {
+        if (!this.enabled) {
+            console.warn('[VeteranSpawner] Spawner is disabled')
+            return
+        }
+
+        if (!this.ctx?.viewer?.scene || !this.ctx?.ecp) {
+            console.error('[VeteranSpawner] Scene or EntityComponentPlugin not available')
+            return
+        }
+
+        const spawnerPos = this.object.position
+        this._spawnedEnemies = []
+
+        for (let i = 0; i < this.spawnCount; i++) {
+            const angle = (Math.PI * 2 * i) / this.spawnCount
+            const radius = this.spawnRadius * (0.5 + Math.random() * 0.5)
+            this.spawnVeteranAt(
+                spawnerPos.x + Math.cos(angle) * radius,
+                spawnerPos.z + Math.sin(angle) * radius,
+                spawnerPos.y
+            )
+        }
+    }
+
+    /**
+     * Spawn a single Veteran at a world position
+     * Used by spawn() and by the WaveDirector (DayNightManager) to release wave enemies over time
+     */
+    spawnVeteranAt(x, z, y = 0) {
+        const scene = this.ctx?.viewer?.scene
+        if (!scene || !this.ctx?.ecp) return null
+
+        // Empty object - EnemySystemManager builds the humanoid body (animationScale/animationColor)
+        const enemyObj = new THREE.Group()
+        enemyObj.position.set(x, y, z)
+        enemyObj.name = `Veteran_${this._spawnedEnemies.length}`
+        scene.add(enemyObj)
+
+        const enemyManager = this.ctx.ecp.getComponentOfType('EnemySystemManager')
+        if (!enemyManager) {
+            console.error('[VeteranSpawner] EnemySystemManager not found!')
+            scene.remove(enemyObj)
+            return null
+        }
+
+        const organizes = Math.random() < this.organizeChance
+
+        // Register enemy with manager (manager controls lifecycle)
+        const enemy = enemyManager.registerEnemy(enemyObj, {
+            enemyType: 'veteran',
+            health: this._veteranHealth,
+            maxHealth: this._veteranMaxHealth,
+            speed: this._veteranSpeed,
+            damage: this._veteranDamage,
+            armor: this._veteranArmor,
+            detectionRange: this._veteranDetectionRange,
+            attackRange: this._veteranAttackRange,
+            attackFrequency: this._veteranAttackFrequency,
+            attackType: 'ranged',
+            projectileSpeed: this._veteranProjectileSpeed,
+            auraRadius: organizes ? this._auraRadius : 0,
+            auraSpeedMultiplier: this._auraSpeedMultiplier,
+            auraDamageMultiplier: this._auraDamageMultiplier,
+            animationScale: this._veteranScale,
+            animationColor: this._veteranColor
+        })
+
+        // Aura ring on the ground (added after registration so the humanoid body is still generated)
+        if (organizes) {
+            enemyObj.add(this._createAuraRing())
+        }
+
+        this._spawnedEnemies.push(enemy)
+        return enemy
+    }
+
+    _createAuraRing() {
+        if (!this._auraRingGeometry) {
+            this._auraRingGeometry = new THREE.RingGeometry(this._auraRadius - 0.15, this._auraRadius, 48)
+            this._auraRingMaterial = new THREE.MeshBasicMaterial({
+                color: this._auraColor,
+                transparent: true,
+                opacity: 0.35,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        }
+
+        const ring = new THREE.Mesh(this._auraRingGeometry, this._auraRingMaterial)
+        ring.rotation.x = -Math.PI / 2
+        ring.position.y = 0.05
+        ring.name = 'VeteranAura'
+        return ring
+    }
+
+    cleanup() {
+        // Enemies are managed by EnemySystemManager - it handles cleanup
+        // (it only disposes each enemy's own mesh, so the shared aura ring resources go here)
+        this._spawnedEnemies = []
+
+        this._auraRingGeometry?.dispose()
+        this._auraRingMaterial?.dispose()
+        this._auraRingGeometry = null
+        this._auraRingMaterial = null
+    }
+
+    // ==================== UI CONFIG ====================
+
+    TestSpawn = () => {
+        this.spawn()
+    }
+
+    TestCleanup = () => {
+        this.cleanup()
+    }
+
+    uiConfig = {
+        type: 'folder',
+        label: 'Veteran Spawner',
+        children: [
+            {
+                type: 'button',
+                label: 'Spawn Veterans',
+                onClick: this.TestSpawn,
+            },
+            {
+                type: 'button',
+                label: 'Cleanup Veterans',
+                onClick: this.TestCleanup,
+            },
+        ],
+    }
+}
@@ -0,0 +1,218 @@
+import {getNavGrid} from './NavGrid.js'
+
+/**
+ * WaveDirector - Releases each night's enemies over time from a wave table
+ *
+ * Owned by DayNightManager (not a component). A night is a list of entries:
+ *   {type: 'crowd', count: 20, intervalSec: 1.0, entry: 'randomEdge', delaySec: 0}
+ *
+ * - type:        Which spawner creates the enemy (see SPAWNERS)
+ * - count:       Number of enemies in this entry
+ * - intervalSec: Time between two spawns (0 = all at once)
+ * - entry:       'randomEdge' (random point on the map edge) or the name of a spawn point object
+ * - delaySec:    Time after night start before the first spawn
+ * - stats:       Optional stat multipliers {health, damage, speed} (DifficultyDirector)
+ *
+ * Tracks queued (not yet spawned) enemies so the night only ends when
+ * nothing is queued AND nothing is alive.
+ */
+
+// Night 1-3 from PRD section 7, nights past the table repeat the last entry
+export const DEFAULT_NIGHT_WAVES = [
+    [
+        {type: 'crowd', count: 20, intervalSec: 1.0, entry: 'randomEdge', delaySec: 0}
+    ],
+    [
+        {type: 'crowd', count: 20, intervalSec: 0.8, entry: 'randomEdge', delaySec: 0},
+        {type: 'crowd', count: 15, intervalSec: 0.6, entry: 'randomEdge', delaySec: 20},
+        {type: 'ev', count: 1, intervalSec: 0, entry: 'randomEdge', delaySec: 30}
+    ],
+    [
+        {type: 'crowd', count: 25, intervalSec: 0.6, entry: 'randomEdge', delaySec: 0},
+        {type: 'crowd', count: 25, intervalSec: 0.5, entry: 'randomEdge', delaySec: 15},
+        {type: 'veteran', count: 1, intervalSec: 0, entry: 'randomEdge', delaySec: 15},
+        {type: 'ev', count: 2, intervalSec: 5, entry: 'randomEdge', delaySec: 25},
+        {type: 'spy', count: 2, intervalSec: 8, entry: 'randomEdge', delaySec: 35},
+        {type: 'tractor', count: 1, intervalSec: 0, entry: 'randomEdge', delaySec: 45}
+    ]
+]
+
+// Wave entry type -> spawner component and its single-spawn method
+const SPAWNERS = {
+    crowd: {
+        componentType: 'CrowdController',
+        spawnAt: (spawner, x, z) => spawner.spawnMemberAt(x, z)
+    },
+    ev: {
+        componentType: 'EVSpawner',
+        spawnAt: (spawner, x, z) => spawner.spawnEVAt(x, z)
+    },
+    spy: {
+        componentType: 'SpySpawner',
+        spawnAt: (spawner, x, z) => spawner.spawnSpyAt(x, z)
+    },
+    veteran: {
+        componentType: 'VeteranSpawner',
+        spawnAt: (spawner, x, z) => spawner.spawnVeteranAt(x, z)
+    },
+    tractor: {
+        componentType: 'TractorSpawner',
+        spawnAt: (spawner, x, z) => spawner.spawnTractorAt(x, z)
+    }
+}
+
+export class WaveDirector {
+    constructor(ctx) {
+        this.ctx = ctx
+
+        this.spawnPointSpread = 3  // Random offset around named spawn points
+
+        this.isRunning = false
+        this.totalCount = 0     // Enemies scheduled for the current night
+        this.spawnedCount = 0
+
+        this._elapsed = 0       // ms since night start
+        this._streams = []      // One per wave entry: {entry, remaining, nextSpawnAt}
+    }
+
+    // ==================== NIGHT ====================
+
+    getWavesForNight(nightNumber, nightWaves = DEFAULT_NIGHT_WAVES) {
+        if (!Array.isArray(nightWaves) || nightWaves.length === 0) return []
+        const index = Math.min(Math.max(nightNumber, 1), nightWaves.length) - 1
+        return nightWaves[index] || []
+    }
+
+    startNight(nightNumber, nightWaves = DEFAULT_NIGHT_WAVES) {
+        this.startWaves(this.getWavesForNight(nightNumber, nightWaves))
+        //console.log(`[WaveDirector] Night ${nightNumber}: ${this.totalCount} enemies in ${this._streams.length} waves`)
+    }
+
+    /**
+     * Release one night's wave entries (e.g. a DifficultyDirector plan)
+     */
+    startWaves(waves) {
+        this._elapsed = 0
+        this._streams = waves
+            .filter(entry => entry && entry.count > 0)
+            .map(entry => ({
+                entry,
+                remaining: entry.count,
+                nextSpawnAt: (entry.delaySec || 0) * 1000
+            }))
+
+        this.totalCount = this._streams.reduce((sum, stream) => sum + stream.remaining, 0)
+        this.spawnedCount = 0
+        this.isRunning = true
+    }
+
+    stop() {
+        this._streams = []
+        this.isRunning = false
+    }
+
+    /**
+     * Enemies still waiting to be spawned this night
+     */
+    get queuedCount() {
+        return this._streams.reduce((sum, stream) => sum + stream.remaining, 0)
+    }
+
+    // ==================== UPDATE ====================
+
+    update(deltaTime) {
+        if (!this.isRunning) return
+
+        this._elapsed += deltaTime
+
+        for (const stream of this._streams) {
+            while (stream.remaining > 0 && this._elapsed >= stream.nextSpawnAt) {
+                if (!this._spawnOne(stream.entry)) {
+                    // No spawner for this type - drop the rest so the night can still end
+                    console.warn(`[WaveDirector] Cannot spawn '${stream.entry.type}', dropping ${stream.remaining} queued`)
+                    stream.remaining = 0
+                    break
+                }
+
+                stream.remaining--
+                this.spawnedCount++
+                stream.nextSpawnAt += (stream.entry.intervalSec || 0) * 1000
+            }
+        }
+
+        this._streams = this._streams.filter(stream => stream.remaining > 0)
+    }
+
+    // ==================== SPAWNING ====================
+
+    _spawnOne(entry) {
+        const spawnerDef = SPAWNERS[entry.type]
+        if (!spawnerDef) return false
+
+        const spawners = this.ctx?.ecp?.getComponentsOfType?.(spawnerDef.componentType) || []
+        const spawner = spawners.find(s => s.enabled)
+        if (!spawner) return false
+
+        const position = this._resolveEntryPosition(entry.entry)
+        if (!position) return false
+
+        const enemy = spawnerDef.spawnAt(spawner, position.x, position.z)
+        if (enemy && entry.stats) {
+            this._applyStats(enemy, entry.stats)
+        }
+        return !!enemy
+    }
+
+    /**
+     * Scale a freshly spawned enemy (Enemy or CrowdMember)
+     */
+    _applyStats(enemy, {health = 1, damage = 1, speed = 1}) {
+        enemy.maxHealth *= health
+        enemy.health *= health
+        if (enemy._displayedHealth !== undefined) enemy._displayedHealth = enemy.health
+        enemy.damage *= damage
+        enemy.speed *= speed
+        if (enemy.ramDamage) enemy.ramDamage *= damage
+        if (enemy.maxSpeed) enemy.maxSpeed *= speed
+    }
+
+    _resolveEntryPosition(entryName = 'randomEdge') {
+        if (entryName === 'randomEdge') {
+            return this._randomEdgePosition()
+        }
+
+        const spawnPoint = this.ctx?.viewer?.scene?.getObjectByName(entryName)
+        if (!spawnPoint) {
+            console.warn(`[WaveDirector] Spawn point '${entryName}' not found, using a random edge`)
+            return this._randomEdgePosition()
+        }
+
+        const angle = Math.random() * Math.PI * 2
+        const radius = Math.random() * this.spawnPointSpread
+        return {
+            x: spawnPoint.position.x + Math.cos(angle) * radius,
+            z: spawnPoint.position.z + Math.sin(angle) * radius
+        }
+    }
+
+    /**
+     * Random walkable cell on one of the four map edges
+     */
+    _randomEdgePosition() {
+        const navGrid = getNavGrid(this.ctx)
+
+        let cx
+        let cz
+        const side = Math.floor(Math.random() * 4)
+        if (side < 2) {
+            cx = side === 0 ? navGrid.minX : navGrid.maxX
+            cz = navGrid.minZ + Math.floor(Math.random() * (navGrid.maxZ - navGrid.minZ + 1))
+        } else {
+            cz = side === 2 ? navGrid.minZ : navGrid.maxZ
+            cx = navGrid.minX + Math.floor(Math.random() * (navGrid.maxX - navGrid.minX + 1))
+        }
+
+        const cell = navGrid.findNearestWalkable(cx, cz)
+        return cell ? navGrid.cellToWorld(cell.x, cell.z) : null
+    }
+}
@@ -0,0 +1,48 @@
+import {test, afterEach} from 'node:test'
+import assert from 'node:assert/strict'
+import {getNavGrid} from '../assets/NavGrid.js'
+import {BreachPlanner} from '../assets/BreachPlanner.js'
+import {findPath} from '../assets/Pathfinding.js'
+
+const barricades = []
+const ctx = {ecp: {getComponentsOfType: (type) => type === 'Barricade' ? barricades : []}}
+
+/**
+ * Barricade wall across the whole map at z = 0
+ */
+function wallOffMap() {
+    const navGrid = getNavGrid()
+    navGrid.setBounds(-5.5, 5.5, -5.5, 5.5)
+
+    const wall = {isAlive: true, health: 200, armor: 2}
+    barricades.push(wall)
+    navGrid.addObstacle(wall, {x: 0, z: 0, width: 20, depth: 0.3, rotation: 0})
+    return navGrid
+}
+
+afterEach(() => {
+    barricades.length = 0
+    getNavGrid().reset()
+})
+
+test('the nav grid has no way through a wall', () => {
+    const navGrid = wallOffMap()
+    const {reachedGoal} = findPath(navGrid, {x: 0, z: -4}, {x: 0, z: 4})
+    assert.equal(reachedGoal, false)
+})
+
+test('crushing vehicles path straight through barricade cells', () => {
+    wallOffMap()
+    const planner = new BreachPlanner(ctx)
+
+    const {reachedGoal, path} = findPath(planner.grid, {x: 0, z: -4}, {x: 0, z: 4}, {getCost: () => 1})
+    assert.equal(reachedGoal, true)
+    assert.ok(path.every(cell => cell.x === 0), 'drives straight ahead')
+})
+
+test('walls still cost breaching agents their hits', () => {
+    wallOffMap()
+    const planner = new BreachPlanner(ctx)
+    assert.ok(planner.grid.getCost(0, 0) > 1)
+    assert.equal(planner.grid.getCost(0, 3), 1)
+})
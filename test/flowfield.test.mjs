@@ -0,0 +1,56 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {FlowField} from '../assets/FlowField.js'
+
+/**
+ * 11x11 grid (cells -5..5) with rectangular obstacles {minX, maxX, minZ, maxZ}
+ */
+function gridWith(obstacles) {
+    const cellsOf = (o) => {
+        const cells = []
+        for (let x = o.minX; x <= o.maxX; x++) {
+            for (let z = o.minZ; z <= o.maxZ; z++) cells.push({x, z})
+        }
+        return cells
+    }
+    const covers = (o, x, z) => x >= o.minX && x <= o.maxX && z >= o.minZ && z <= o.maxZ
+
+    return {
+        minX: -5, maxX: 5, minZ: -5, maxZ: 5,
+        version: 1,
+        inBounds(x, z) { return x >= this.minX && x <= this.maxX && z >= this.minZ && z <= this.maxZ },
+        isWalkable(x, z) { return this.inBounds(x, z) && !obstacles.some(o => covers(o, x, z)) },
+        getObstacleCellsAt: (x, z) => obstacles.filter(o => covers(o, x, z)).flatMap(cellsOf),
+        worldToCell: (x, z) => ({x: Math.round(x), z: Math.round(z)}),
+        cellToWorld: (x, z) => ({x, z})
+    }
+}
+
+const CITY_HALL = {minX: -1, maxX: 1, minZ: -1, maxZ: 1}
+const ATTACHED = {minX: 2, maxX: 3, minZ: -1, maxZ: 1}  // Building placed against City Hall's east wall
+
+test('goal ring surrounds the target footprint only', () => {
+    const field = new FlowField(gridWith([CITY_HALL, ATTACHED]), {x: 0, z: 0})
+    field.compute()
+
+    // West of City Hall: goal
+    assert.equal(field.getCost(-2, 0), 0)
+    // East of the attached building: must walk around to City Hall
+    assert.ok(field.getCost(4, 0) > 0 && field.getCost(4, 0) < Infinity)
+    // Beside City Hall's corner above the attached building: still a goal
+    assert.equal(field.getCost(2, 2), 0)
+})
+
+test('agents behind an attached building are steered away from its wall', () => {
+    const field = new FlowField(gridWith([CITY_HALL, ATTACHED]), {x: 0, z: 0})
+    const dir = field.sampleWorld(4, 0)
+
+    assert.ok(dir)
+    assert.ok(dir.z !== 0 || dir.x > 0, 'must not push west into the attached building')
+})
+
+test('a walkable target is its own goal', () => {
+    const field = new FlowField(gridWith([]), {x: 0, z: 0})
+    assert.equal(field.getCost(0, 0), 0)
+    assert.equal(field.getCost(1, 0), 1)
+})
@@ -0,0 +1,43 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {GasClouds} from '../assets/GasClouds.js'
+
+test('morale drops inside a cloud and not outside it', () => {
+    const gas = new GasClouds()
+    gas.add(0, 0, 5, 8000, 0.3, 0)
+
+    assert.equal(gas.moraleLossAt(3, 4), 0.3)   // On the edge
+    assert.equal(gas.moraleLossAt(4, 4), 0)     // Just outside
+
+    // A member standing inside for 2 seconds
+    let morale = 1
+    morale -= gas.moraleLossAt(1, 1) * 2
+    assert.ok(Math.abs(morale - 0.4) < 1e-9)
+})
+
+test('overlapping clouds stack', () => {
+    const gas = new GasClouds()
+    gas.add(0, 0, 5, 8000, 0.3, 0)
+    gas.add(2, 0, 5, 8000, 0.2, 0)
+
+    assert.ok(Math.abs(gas.moraleLossAt(1, 0) - 0.5) < 1e-9)
+})
+
+test('clouds clear after their duration', () => {
+    const gas = new GasClouds()
+    gas.add(0, 0, 5, 8000, 0.3, 1000)
+
+    gas.prune(8999)
+    assert.equal(gas.moraleLossAt(0, 0), 0.3)
+
+    gas.prune(9000)
+    assert.equal(gas.moraleLossAt(0, 0), 0)
+    assert.equal(gas.clouds.length, 0)
+})
+
+test('reset clears every cloud', () => {
+    const gas = new GasClouds()
+    gas.add(0, 0, 5, 8000, 0.3, 0)
+    gas.reset()
+    assert.equal(gas.moraleLossAt(0, 0), 0)
+})
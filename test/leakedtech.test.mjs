@@ -0,0 +1,72 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {LeakedTech, LEAKED_TECHS} from '../assets/LeakedTech.js'
+import {TargetKind} from '../assets/Targeting.js'
+
+/**
+ * Targeting selection of a destroyed production building
+ */
+function destroyedFarm(name = 'Farm_1') {
+    return {kind: TargetKind.PRODUCTION, object: {name}, component: {isAlive: false, object: {name}}}
+}
+
+test('destroying a production building leaks one tech, once', () => {
+    const tech = new LeakedTech()
+    const selection = destroyedFarm()
+
+    const id = tech.onTargetHit(selection, 1000)
+    assert.ok(id in LEAKED_TECHS)
+    assert.deepEqual(tech.acquired, [{id, source: 'Farm_1', time: 1000}])
+
+    // Later hits on the same ruin leak nothing
+    assert.equal(tech.onTargetHit(selection, 2000), null)
+    assert.equal(tech.acquired.length, 1)
+})
+
+test('live buildings and other targets leak nothing', () => {
+    const tech = new LeakedTech()
+    const alive = destroyedFarm()
+    alive.component.isAlive = true
+
+    assert.equal(tech.onTargetHit(alive), null)
+    assert.equal(tech.onTargetHit({...destroyedFarm(), kind: TargetKind.CITY_HALL}), null)
+    assert.equal(tech.acquired.length, 0)
+})
+
+test('every tech leaks at most once', () => {
+    const tech = new LeakedTech()
+    const ids = Object.keys(LEAKED_TECHS).map((_, index) => tech.leak(`Farm_${index}`))
+
+    assert.deepEqual([...ids].sort(), Object.keys(LEAKED_TECHS).sort())
+    assert.equal(tech.leak('Farm_extra'), null)
+})
+
+test('unlocked techs change unlock nights, stats and waves', (t) => {
+    const tech = new LeakedTech()
+    t.mock.method(Math, 'random', () => 0)
+    for (let i = 0; i < Object.keys(LEAKED_TECHS).length; i++) tech.leak('Farm')
+
+    assert.equal(tech.getUnlockNight('tractor', 3), 2)
+    assert.equal(tech.getUnlockNight('spy', 3), 3)
+    assert.equal(tech.getStatBonus('crowd').armorBonus, 2)
+    assert.equal(tech.getStatBonus('ev').speedMultiplier, 1.3)
+
+    const crowdOnly = [{type: 'crowd', count: 5}]
+    assert.deepEqual(tech.applyToWaves(crowdOnly).map(entry => entry.type), ['crowd', 'ev'])
+    // Nights that already have an EV don't get another
+    assert.equal(tech.applyToWaves([{type: 'ev', count: 2}]).length, 1)
+})
+
+test('new techs are briefed once, then stay active until reset', () => {
+    const tech = new LeakedTech()
+    tech.leak('Farm')
+
+    assert.equal(tech.takeBriefing().newTechs.length, 1)
+    const {newTechs, activeTechs} = tech.takeBriefing()
+    assert.equal(newTechs.length, 0)
+    assert.equal(activeTechs.length, 1)
+
+    tech.reset()
+    assert.equal(tech.acquired.length, 0)
+    assert.equal(tech.takeBriefing().activeTechs.length, 0)
+})
@@ -0,0 +1,29 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {NavGrid, distanceToFootprint} from '../assets/NavGrid.js'
+
+// Barricade wall: 1 x 0.3, turned a quarter so it runs along Z
+const WALL = {x: 10, z: 4, width: 1, depth: 0.3, rotation: Math.PI / 2}
+
+test('footprint distance is measured from the rotated edge, in world space', () => {
+    // Ends of the wall: inside, though 0.5 from its center
+    assert.ok(distanceToFootprint(WALL, 10, 4.5) < 1e-9)
+    assert.ok(distanceToFootprint(WALL, 10, 3.5) < 1e-9)
+    // Beside the long side
+    assert.ok(Math.abs(distanceToFootprint(WALL, 11, 4.2) - 0.85) < 1e-9)
+    // Past the end
+    assert.ok(Math.abs(distanceToFootprint(WALL, 10, 5.5) - 1) < 1e-9)
+})
+
+test('obstacles keep the footprint they were registered with', () => {
+    const navGrid = new NavGrid({extent: 20})
+    const owner = {}
+    navGrid.addObstacle(owner, WALL)
+
+    assert.deepEqual(navGrid.getObstacleFootprint(owner), WALL)
+    assert.equal(navGrid.isWalkable(10, 4), false)
+
+    navGrid.removeObstacle(owner)
+    assert.equal(navGrid.getObstacleFootprint(owner), null)
+    assert.equal(navGrid.isWalkable(10, 4), true)
+})
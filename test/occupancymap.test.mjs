@@ -0,0 +1,72 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {OccupancyMap} from '../assets/OccupancyMap.js'
+
+const cellsOf = (cells) => cells.map(cell => `${cell.cellX},${cell.cellZ}`).sort()
+
+test('rotating a quarter turn swaps width and depth', () => {
+    assert.deepEqual(OccupancyMap.getRotatedSize(3, 1, 0), {width: 3, depth: 1})
+    assert.deepEqual(OccupancyMap.getRotatedSize(3, 1, Math.PI / 2), {width: 1, depth: 3})
+    assert.deepEqual(OccupancyMap.getRotatedSize(3, 1, Math.PI), {width: 3, depth: 1})
+    assert.deepEqual(OccupancyMap.getRotatedSize(3, 1, -Math.PI / 2), {width: 1, depth: 3})
+})
+
+test('odd footprints center on a cell, even ones on a cell edge', () => {
+    const map = new OccupancyMap()
+
+    assert.deepEqual(map.snapFootprint(2.3, -0.8, 3, 3), {x: 2, z: -1})
+    assert.deepEqual(map.snapFootprint(2.3, -0.8, 2, 2), {x: 2.5, z: -0.5})
+    assert.deepEqual(cellsOf(map.getFootprintCells({x: 2.5, z: -0.5, gridWidth: 2, gridDepth: 2})), ['2,-1', '2,0', '3,-1', '3,0'])
+})
+
+test('rotated footprints cover the swapped cells', () => {
+    const map = new OccupancyMap()
+    const cells = map.getFootprintCells({x: 0, z: 0, gridWidth: 3, gridDepth: 1, rotation: Math.PI / 2})
+    assert.deepEqual(cellsOf(cells), ['0,-1', '0,0', '0,1'])
+})
+
+test('cells follow the GridVisual grid size', () => {
+    const gridVisual = {
+        gridSize: 2,
+        getGridCell: (x, z) => {
+            const cellX = Math.round(x / 2)
+            const cellZ = Math.round(z / 2)
+            return {cellX, cellZ, worldX: cellX * 2, worldZ: cellZ * 2}
+        }
+    }
+    const map = new OccupancyMap({ecp: {getComponentOfType: (type) => type === 'GridVisual' ? gridVisual : null}})
+
+    assert.equal(map.gridSize, 2)
+    assert.deepEqual(map.snapFootprint(3.1, 0, 2, 1), {x: 3, z: 0})
+    assert.deepEqual(cellsOf(map.getFootprintCells({x: 3, z: 0, gridWidth: 2, gridDepth: 1})), ['1,0', '2,0'])
+})
+
+test('overlapping buildings share cells until one is removed', () => {
+    const map = new OccupancyMap()
+    const hall = {}
+    const wall = {}
+    map.addBuilding(hall, {x: 0, z: 0, gridWidth: 3, gridDepth: 3})
+    map.addBuilding(wall, {x: 1, z: 1, gridWidth: 3, gridDepth: 1})
+
+    assert.equal(map.buildingCount, 2)
+    assert.deepEqual(map.getOccupants(1, 1), [hall, wall])
+    assert.deepEqual(map.getOccupants(-1, 1), [hall])
+    assert.deepEqual(map.getOccupants(2, 1), [wall])
+    assert.equal(map.isOccupied(2, 2), false)
+
+    map.removeBuilding(hall)
+    assert.deepEqual(map.getOccupants(1, 1), [wall])
+    assert.equal(map.isOccupied(0, 0), false)
+    assert.equal(map.getFootprint(hall), null)
+})
+
+test('re-registering a building moves it', () => {
+    const map = new OccupancyMap()
+    const wall = {}
+    map.addBuilding(wall, {x: 0, z: 0})
+    map.addBuilding(wall, {x: 5, z: 5})
+
+    assert.equal(map.isOccupied(0, 0), false)
+    assert.deepEqual(map.getOccupants(5, 5), [wall])
+    assert.deepEqual(map.getFootprint(wall), {x: 5, z: 5})
+})
@@ -0,0 +1,159 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {BinaryHeap, Heuristics, CornerCutting, findPath} from '../assets/Pathfinding.js'
+
+/**
+ * Grid from rows of '.' (walkable) and '#' (blocked); row index is z, column index is x
+ */
+function gridFrom(rows) {
+    return {
+        isWalkable: (x, z) => z >= 0 && z < rows.length && x >= 0 && x < rows[z].length && rows[z][x] !== '#'
+    }
+}
+
+const OPEN_5x5 = gridFrom([
+    '.....',
+    '.....',
+    '.....',
+    '.....',
+    '.....'
+])
+
+// ==================== BINARY HEAP ====================
+
+test('BinaryHeap pops items in ascending priority order', () => {
+    const heap = new BinaryHeap()
+    const priorities = [5, 1, 9, 3, 7, 2, 8, 0, 6, 4]
+    for (const priority of priorities) heap.push(`item${priority}`, priority)
+
+    assert.equal(heap.size, priorities.length)
+    assert.equal(heap.peekPriority(), 0)
+
+    const popped = []
+    while (heap.size > 0) popped.push(heap.pop())
+    assert.deepEqual(popped, [...priorities].sort((a, b) => a - b).map(priority => `item${priority}`))
+    assert.equal(heap.pop(), undefined)
+})
+
+test('BinaryHeap keeps duplicate priorities', () => {
+    const heap = new BinaryHeap()
+    heap.push('a', 2)
+    heap.push('b', 1)
+    heap.push('c', 2)
+
+    assert.equal(heap.pop(), 'b')
+    assert.deepEqual([heap.pop(), heap.pop()].sort(), ['a', 'c'])
+})
+
+// ==================== HEURISTICS ====================
+
+test('Heuristics compute their distances', () => {
+    assert.equal(Heuristics.manhattan(3, 4), 7)
+    assert.equal(Heuristics.euclidean(3, 4), 5)
+    assert.equal(Heuristics.chebyshev(3, 4), 4)
+    assert.ok(Math.abs(Heuristics.octile(3, 4) - (4 + (Math.SQRT2 - 1) * 3)) < 1e-9)
+})
+
+test('every heuristic finds an optimal path on an open grid', () => {
+    for (const heuristic of Object.keys(Heuristics)) {
+        const result = findPath(OPEN_5x5, {x: 0, z: 0}, {x: 4, z: 2}, {heuristic})
+        assert.equal(result.reachedGoal, true, heuristic)
+        // 2 diagonal + 2 straight steps is the shortest 8-connected route
+        assert.equal(result.path.length, 4, heuristic)
+        assert.deepEqual(result.path.at(-1), {x: 4, z: 2}, heuristic)
+    }
+})
+
+test('a heuristic function is accepted', () => {
+    const result = findPath(OPEN_5x5, {x: 0, z: 0}, {x: 3, z: 0}, {heuristic: () => 0})
+    assert.equal(result.reachedGoal, true)
+    assert.equal(result.path.length, 3)
+})
+
+// ==================== CORNER CUTTING ====================
+
+// Diagonal move (1,1) -> (2,2) passes the blocked corner (2,1); (1,2) stays open
+const ONE_CORNER = gridFrom([
+    '...',
+    '..#',
+    '...'
+])
+
+// Diagonal move (0,0) -> (1,1) passes two blocked corners (1,0) and (0,1)
+const TWO_CORNERS = gridFrom([
+    '.#',
+    '#.'
+])
+
+test("cornerCutting 'never' refuses a diagonal past one blocked corner", () => {
+    const result = findPath(ONE_CORNER, {x: 1, z: 1}, {x: 2, z: 2}, {cornerCutting: CornerCutting.NEVER})
+    assert.equal(result.reachedGoal, true)
+    assert.deepEqual(result.path, [{x: 1, z: 2}, {x: 2, z: 2}])
+})
+
+test("cornerCutting 'oneOpen' allows a diagonal past one blocked corner", () => {
+    const result = findPath(ONE_CORNER, {x: 1, z: 1}, {x: 2, z: 2}, {cornerCutting: CornerCutting.ONE_OPEN})
+    assert.deepEqual(result.path, [{x: 2, z: 2}])
+
+    const squeezed = findPath(TWO_CORNERS, {x: 0, z: 0}, {x: 1, z: 1}, {cornerCutting: CornerCutting.ONE_OPEN})
+    assert.equal(squeezed.reachedGoal, false)
+})
+
+test("cornerCutting 'always' allows a diagonal between two blocked corners", () => {
+    const result = findPath(TWO_CORNERS, {x: 0, z: 0}, {x: 1, z: 1}, {cornerCutting: CornerCutting.ALWAYS})
+    assert.equal(result.reachedGoal, true)
+    assert.deepEqual(result.path, [{x: 1, z: 1}])
+})
+
+test('allowDiagonal false moves only in straight steps', () => {
+    const result = findPath(OPEN_5x5, {x: 0, z: 0}, {x: 2, z: 2}, {allowDiagonal: false})
+    assert.equal(result.path.length, 4)
+    let previous = {x: 0, z: 0}
+    for (const cell of result.path) {
+        assert.equal(Math.abs(cell.x - previous.x) + Math.abs(cell.z - previous.z), 1)
+        previous = cell
+    }
+})
+
+// ==================== FAILURE SEMANTICS ====================
+
+// Goal (4,1) is walled off by the column at x = 3
+const WALLED_GOAL = gridFrom([
+    '...#.',
+    '...#.',
+    '...#.'
+])
+
+test('partial: true returns a path to the closest reachable cell', () => {
+    const result = findPath(WALLED_GOAL, {x: 0, z: 1}, {x: 4, z: 1}, {partial: true})
+    assert.equal(result.reachedGoal, false)
+    assert.deepEqual(result.path.at(-1), {x: 2, z: 1})
+})
+
+test('partial: false returns an empty path', () => {
+    const result = findPath(WALLED_GOAL, {x: 0, z: 1}, {x: 4, z: 1}, {partial: false})
+    assert.equal(result.reachedGoal, false)
+    assert.deepEqual(result.path, [])
+})
+
+test('maxIterations stops the search early', () => {
+    const budget = 3
+    const result = findPath(OPEN_5x5, {x: 0, z: 0}, {x: 4, z: 4}, {maxIterations: budget, partial: false})
+    assert.equal(result.reachedGoal, false)
+    assert.equal(result.iterations, budget)
+    assert.deepEqual(result.path, [])
+
+    const partial = findPath(OPEN_5x5, {x: 0, z: 0}, {x: 4, z: 4}, {maxIterations: budget})
+    assert.equal(partial.reachedGoal, false)
+    assert.ok(partial.path.length > 0 && partial.path.length < 4)
+})
+
+test('start equal to goal is reached with an empty path', () => {
+    const result = findPath(OPEN_5x5, {x: 2, z: 2}, {x: 2, z: 2})
+    assert.deepEqual(result, {path: [], reachedGoal: true, iterations: 0})
+})
+
+test('paths never include the start cell', () => {
+    const result = findPath(OPEN_5x5, {x: 0, z: 0}, {x: 0, z: 3})
+    assert.ok(result.path.every(cell => !(cell.x === 0 && cell.z === 0)))
+})
@@ -0,0 +1,67 @@
+import {test, afterEach} from 'node:test'
+import assert from 'node:assert/strict'
+import {getMissingRequirements, findZoneProvider, getProfessionMultiplier, PROFESSION_BOOST_PER_WORKER} from '../assets/ProductionChain.js'
+import {getRoadNetwork} from '../assets/RoadNetwork.js'
+
+/**
+ * Scene with components by type, e.g. {Residence: [...]}
+ */
+function sceneWith(components) {
+    return {
+        ecp: {
+            getComponentsOfType: (type) => components[type] || [],
+            getComponentOfType: (type) => (components[type] || [])[0] || null
+        }
+    }
+}
+
+const zone = (x, z, zoneRadius = 5) => ({object: {position: {x, z}}, zoneRadius, isAlive: true})
+
+afterEach(() => {
+    getRoadNetwork().reset()
+})
+
+test('zone providers cover their radius while alive', () => {
+    const residence = zone(0, 0)
+    const ctx = sceneWith({Residence: [residence]})
+
+    assert.equal(findZoneProvider(ctx, 'Residence', 3, 4), residence)
+    assert.equal(findZoneProvider(ctx, 'Residence', 4, 4), null)
+
+    residence.isAlive = false
+    assert.equal(findZoneProvider(ctx, 'Residence', 0, 0), null)
+})
+
+test('a sweatshop needs both a residential and a farm zone', () => {
+    const ctx = sceneWith({Residence: [zone(0, 0)], Farm: [zone(20, 0)]})
+    const footprint = {x: 2, z: 0, gridWidth: 2, gridDepth: 2}
+
+    assert.deepEqual(getMissingRequirements(ctx, 'Sweatshop', footprint), ['Must be within a farm zone'])
+
+    ctx.ecp.getComponentsOfType('Farm').push(zone(4, 0))
+    assert.deepEqual(getMissingRequirements(ctx, 'Sweatshop', footprint), [])
+})
+
+test('offices also need a road next to their footprint', () => {
+    const ctx = sceneWith({Residence: [zone(0, 0)]})
+    const footprint = {x: 0, z: 0, gridWidth: 1, gridDepth: 1}
+
+    assert.deepEqual(getMissingRequirements(ctx, 'BasicOffice', footprint), ['Must touch a road'])
+
+    getRoadNetwork(ctx).addRoad({}, {x: 1, z: 0})
+    assert.deepEqual(getMissingRequirements(ctx, 'BasicOffice', footprint), [])
+})
+
+test('buildings without requirements are never blocked', () => {
+    assert.deepEqual(getMissingRequirements(sceneWith({}), 'Farm', {x: 0, z: 0}), [])
+})
+
+test('profession workers are shared between the buildings they boost', () => {
+    const ledger = {get: (resource) => (resource === 'officeWorkers' ? 4 : 0)}
+    const offices = [{isAlive: true}, {isAlive: true}]
+    const ctx = sceneWith({ResourceLedger: [ledger], BasicOffice: offices})
+
+    assert.equal(getProfessionMultiplier(ctx, 'BasicOffice'), 1 + 2 * PROFESSION_BOOST_PER_WORKER)
+    assert.equal(getProfessionMultiplier(ctx, 'Farm'), 1)
+    assert.equal(getProfessionMultiplier(sceneWith({BasicOffice: offices}), 'BasicOffice'), 1)
+})
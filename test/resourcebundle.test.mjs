@@ -0,0 +1,30 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {normalizeBundle, scaleBundle, formatBundle} from '../assets/ResourceBundle.js'
+
+test('a plain number is a money cost', () => {
+    assert.deepEqual(normalizeBundle(200), {money: 200})
+    assert.deepEqual(normalizeBundle(null), {})
+})
+
+test('normalizing copies the bundle', () => {
+    const cost = {money: 50, gpu: 1}
+    const bundle = normalizeBundle(cost)
+    bundle.gpu = 3
+    assert.equal(cost.gpu, 1)
+})
+
+test('scaling multiplies every resource', () => {
+    assert.deepEqual(scaleBundle({money: 25, components: 2}, 3), {money: 75, components: 6})
+    assert.deepEqual(scaleBundle(40, 2), {money: 80})
+    assert.deepEqual(scaleBundle({food: 2}, 0), {food: 0})
+})
+
+test('formatting colors money, labels other resources and skips zeros', () => {
+    assert.equal(
+        formatBundle({money: 200, gpu: 2, blueprints: 0}),
+        '<span style="color:#FFD166">$200</span> 2 GPU'
+    )
+    assert.equal(formatBundle({components: 1, unknownThing: 4}), '1 Factory comp. 4 unknownThing')
+    assert.equal(formatBundle(scaleBundle({money: 10}, 0)), '')
+})
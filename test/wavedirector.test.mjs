@@ -0,0 +1,84 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {WaveDirector, DEFAULT_NIGHT_WAVES} from '../assets/WaveDirector.js'
+
+/**
+ * Scene with one enabled crowd spawner that records where members spawn
+ */
+function crowdScene() {
+    const spawned = []
+    const crowd = {
+        enabled: true,
+        spawnMemberAt: (x, z) => {
+            const member = {x, z, health: 100, maxHealth: 100, damage: 5, speed: 2}
+            spawned.push(member)
+            return member
+        }
+    }
+    const ctx = {ecp: {getComponentsOfType: (type) => type === 'CrowdController' ? [crowd] : []}}
+    return {ctx, spawned}
+}
+
+test('nights past the table repeat its last night', () => {
+    const director = new WaveDirector(null)
+
+    assert.equal(director.getWavesForNight(1), DEFAULT_NIGHT_WAVES[0])
+    assert.equal(director.getWavesForNight(3), DEFAULT_NIGHT_WAVES[2])
+    assert.equal(director.getWavesForNight(9), DEFAULT_NIGHT_WAVES[2])
+    assert.equal(director.getWavesForNight(0), DEFAULT_NIGHT_WAVES[0])
+    assert.deepEqual(director.getWavesForNight(1, []), [])
+})
+
+test('entries expand into delayed, evenly spaced spawns', () => {
+    const {ctx, spawned} = crowdScene()
+    const director = new WaveDirector(ctx)
+    director.startWaves([
+        {type: 'crowd', count: 3, intervalSec: 1, entry: 'randomEdge', delaySec: 2},
+        {type: 'crowd', count: 0, intervalSec: 1, entry: 'randomEdge'}
+    ])
+
+    assert.equal(director.totalCount, 3)
+    assert.equal(director.queuedCount, 3)
+
+    director.update(1999)
+    assert.equal(spawned.length, 0)
+    director.update(1)
+    assert.equal(spawned.length, 1)
+    director.update(1000)
+    assert.equal(spawned.length, 2)
+
+    // A long frame catches up on every spawn that came due
+    director.update(5000)
+    assert.equal(spawned.length, 3)
+    assert.equal(director.spawnedCount, 3)
+    assert.equal(director.queuedCount, 0)
+})
+
+test('interval 0 spawns the whole entry at once, scaled by its stats', () => {
+    const {ctx, spawned} = crowdScene()
+    const director = new WaveDirector(ctx)
+    director.startWaves([{type: 'crowd', count: 4, intervalSec: 0, stats: {health: 1.5, speed: 0.5}}])
+
+    director.update(0)
+    assert.equal(spawned.length, 4)
+    for (const member of spawned) {
+        assert.equal(member.maxHealth, 150)
+        assert.equal(member.health, 150)
+        assert.equal(member.speed, 1)
+        assert.equal(member.damage, 5)
+    }
+})
+
+test('entries without a spawner are dropped so the night can end', (t) => {
+    t.mock.method(console, 'warn', () => {})
+    const {ctx, spawned} = crowdScene()
+    const director = new WaveDirector(ctx)
+    director.startWaves([
+        {type: 'tractor', count: 2, intervalSec: 0},
+        {type: 'crowd', count: 1, intervalSec: 0}
+    ])
+
+    director.update(0)
+    assert.equal(spawned.length, 1)
+    assert.equal(director.queuedCount, 0)
+})